@@ -0,0 +1,158 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const {IngRequestError} = require('./IngApiError');
+
+const Scope = {
+    READ: 'read',
+    CARDS: 'cards',
+    MESSAGES: 'messages',
+    TRANSFERS: 'transfers',
+    SCA_VALIDATION: 'sca-validation'
+};
+
+/**
+ * Class authenticating the requests of the REST server with API keys
+ * The key is sent as a bearer token (Authorization: Bearer <key>) or in the X-Api-Key header, each key grants a list of
+ * scopes, only the SHA-256 hashes of the keys need to be kept in the configuration
+ * Usage :
+ * const authenticator = ApiKeyAuthenticator.fromFile('api-keys.json');
+ * app.use(authenticator.middleware());
+ * app.use(IngApiRouter.create(ingApi, {authenticator}));
+ */
+class ApiKeyAuthenticator {
+
+    /**
+     * Create a new ApiKeyAuthenticator instance
+     * @param {Array<{name: string, key?: string, keyHash?: string, scopes: Array<string>, customers?: Array<string>}>} keys -
+     * key or keyHash (hex SHA-256 of the key) must be given, scopes are values of Scope, customers restricts the key to
+     * some customers of the CustomerRegistry (all of them when not given)
+     */
+    constructor(keys) {
+        this.keys = keys.map(({name, key, keyHash, scopes, customers}) => {
+            if (!name) throw new Error('An API key must have a name');
+            if (!key && !keyHash) throw new Error(`The API key ${name} must have a key or a keyHash`);
+            const unknownScopes = (scopes || []).filter(scope => !Object.values(Scope).includes(scope));
+            if (unknownScopes.length) throw new Error(`Unknown scopes for the API key ${name} : ${unknownScopes.join(', ')}`);
+            const hash = key ? ApiKeyAuthenticator.hashKey(key) : Buffer.from(keyHash, 'hex');
+            if (hash.length !== 32) throw new Error(`The keyHash of the API key ${name} must be a hex SHA-256`);
+            return {name, hash, scopes: scopes || [], customers: customers || null};
+        });
+    }
+
+    /**
+     * Create an authenticator from a JSON file holding the keys (see constructor)
+     * Example :
+     * [{"name": "mobile-app", "keyHash": "9f86d081884c7d65...", "scopes": ["sca-validation"]}]
+     * @param {string} filePath
+     * @return {ApiKeyAuthenticator}
+     */
+    static fromFile(filePath) {
+        return new ApiKeyAuthenticator(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    /**
+     * Returns the SHA-256 of a key
+     * @param {string} key
+     * @return {Buffer}
+     */
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest();
+    }
+
+    /**
+     * Returns a new random key
+     * @return {string}
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    /**
+     * Returns the key sent with a request, or null
+     * @param {Request} req
+     * @return {string|null}
+     */
+    static getRequestKey(req) {
+        const authorization = req.get('Authorization');
+        if (authorization) {
+            const match = authorization.match(/^Bearer\s+(\S+)\s*$/i);
+            return match ? match[1] : null;
+        }
+        return req.get('X-Api-Key') || null;
+    }
+
+    /**
+     * Returns the configured key matching a key, or null
+     * Every configured key is compared in constant time
+     * @param {string} key
+     * @return {{name: string, scopes: Array<string>, customers: Array<string>|null}|null}
+     */
+    authenticate(key) {
+        const hash = ApiKeyAuthenticator.hashKey(key);
+        let found = null;
+        for (const apiKey of this.keys) {
+            if (crypto.timingSafeEqual(hash, apiKey.hash) && !found) found = {name: apiKey.name, scopes: apiKey.scopes, customers: apiKey.customers};
+        }
+        return found;
+    }
+
+    /**
+     * Express middleware authenticating the requests, the key found is set in req.apiKey
+     * The requests without a valid key are answered with REQUEST.UNAUTHORIZED
+     * @return {function(Request, Response, function)}
+     */
+    middleware() {
+        return (req, res, next) => {
+            const key = ApiKeyAuthenticator.getRequestKey(req);
+            const apiKey = key ? this.authenticate(key) : null;
+            if (!apiKey) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return next(new IngRequestError('REQUEST.UNAUTHORIZED', key ? 'Invalid API key' : 'An API key is required'));
+            }
+            req.apiKey = apiKey;
+            next();
+        };
+    }
+
+    /**
+     * Express middleware refusing the requests whose key doesn't grant a scope with REQUEST.FORBIDDEN
+     * @param {string} scope - value of Scope
+     * @return {function(Request, Response, function)}
+     */
+    requireScope(scope) {
+        return (req, res, next) => {
+            if (!req.apiKey) return next(new IngRequestError('REQUEST.UNAUTHORIZED', 'An API key is required'));
+            if (!req.apiKey.scopes.includes(scope)) {
+                return next(new IngRequestError('REQUEST.FORBIDDEN', `The API key ${req.apiKey.name} doesn't have the ${scope} scope`, {scope}));
+            }
+            next();
+        };
+    }
+
+    /**
+     * Returns if the key of a request can access a customer
+     * @param {Request} req
+     * @param {string} customerId
+     * @return {boolean}
+     */
+    static canAccessCustomer(req, customerId) {
+        const customers = req.apiKey ? req.apiKey.customers : null;
+        return !customers || customers.includes(customerId);
+    }
+}
+
+ApiKeyAuthenticator.Scope = Scope;
+
+// Generate a key : node ApiKeyAuthenticator.js <name> <scope>...
+if (require.main === module) {
+    const [name = 'default', ...scopes] = process.argv.slice(2);
+    const key = ApiKeyAuthenticator.generateKey();
+    const keyHash = ApiKeyAuthenticator.hashKey(key).toString('hex');
+    new ApiKeyAuthenticator([{name, keyHash, scopes}]);
+    console.log(`Key : ${key}`);
+    console.log(JSON.stringify({name, keyHash, scopes}));
+}
+
+module.exports = ApiKeyAuthenticator;
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Class representing a cookie jar storing the cookies set by the ING servers
+ * It follows the storage model of RFC 6265 : cookies are identified by name, domain and path, are merged as the
+ * responses come, and are only sent back to the matching domain and path until they expire.
+ */
+class CookieJar {
+
+    /**
+     * Create a new CookieJar instance
+     * @param {Array<{name: string, value: string, domain: string, hostOnly: boolean, path: string, expires: number|null, secure: boolean, httpOnly: boolean}>} cookies
+     */
+    constructor(cookies = []) {
+        this.cookies = cookies;
+    }
+
+    /**
+     * Store the cookies of the Set-Cookie headers received from a given url
+     * @param {Array<string>|string} setCookieHeaders
+     * @param {string} url
+     */
+    setCookies(setCookieHeaders, url) {
+        const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+        for (const header of headers) {
+            if (header) this.setCookie(header, url);
+        }
+    }
+
+    /**
+     * Store a cookie given a single Set-Cookie header
+     * @param {string} setCookieHeader - e.g. "JSESSIONID=abc; Path=/; HttpOnly"
+     * @param {string} url
+     */
+    setCookie(setCookieHeader, url) {
+        const cookie = CookieJar.parse(setCookieHeader, new URL(url));
+        if (!cookie) return;
+
+        this.cookies = this.cookies.filter(c => !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+
+        // An expiry date in the past is the way a server deletes a cookie
+        if (cookie.expires === null || cookie.expires > Date.now()) this.cookies.push(cookie);
+    }
+
+    /**
+     * Returns the Cookie header value to send to a given url, or null if no cookie matches
+     * @param {string} url
+     * @return {string|null}
+     */
+    getCookieHeader(url) {
+        const cookies = this.getCookies(url);
+        return cookies.length ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+    }
+
+    /**
+     * Returns the cookies to send to a given url, the most specific paths first
+     * @param {string} url
+     * @return {Array<{name: string, value: string, domain: string, hostOnly: boolean, path: string, expires: number|null, secure: boolean, httpOnly: boolean}>}
+     */
+    getCookies(url) {
+        const {hostname, pathname, protocol} = new URL(url);
+        this.removeExpiredCookies();
+        return this.cookies
+            .filter(cookie => CookieJar.domainMatch(hostname, cookie) && CookieJar.pathMatch(pathname, cookie.path))
+            .filter(cookie => !cookie.secure || protocol === 'https:')
+            .sort((a, b) => b.path.length - a.path.length);
+    }
+
+    /**
+     * Remove the expired cookies
+     */
+    removeExpiredCookies() {
+        const now = Date.now();
+        this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+    }
+
+    /**
+     * Remove all the cookies
+     */
+    clear() {
+        this.cookies = [];
+    }
+
+    /**
+     * Returns a serializable representation of the jar
+     * @return {Array<Object>}
+     */
+    toJSON() {
+        this.removeExpiredCookies();
+        return this.cookies.map(cookie => ({...cookie}));
+    }
+
+    /**
+     * Create a jar from its serialized representation
+     * @param {Array<Object>} cookies
+     * @return {CookieJar}
+     */
+    static fromJSON(cookies) {
+        const jar = new CookieJar(Array.isArray(cookies) ? cookies.map(cookie => ({...cookie})) : []);
+        jar.removeExpiredCookies();
+        return jar;
+    }
+
+    /**
+     * Parse a Set-Cookie header received from a given url
+     * @param {string} setCookieHeader
+     * @param {URL} url
+     * @return {{name: string, value: string, domain: string, hostOnly: boolean, path: string, expires: number|null, secure: boolean, httpOnly: boolean}|null}
+     */
+    static parse(setCookieHeader, url) {
+        const [nameValue, ...attributes] = setCookieHeader.split(';');
+        const separatorIndex = nameValue.indexOf('=');
+        if (separatorIndex <= 0) return null;
+
+        const cookie = {
+            name: nameValue.slice(0, separatorIndex).trim(),
+            value: nameValue.slice(separatorIndex + 1).trim(),
+            domain: url.hostname.toLowerCase(),
+            hostOnly: true,
+            path: CookieJar.defaultPath(url.pathname),
+            expires: null,
+            secure: false,
+            httpOnly: false
+        };
+
+        let maxAge = null;
+        for (const attribute of attributes) {
+            const attributeSeparatorIndex = attribute.indexOf('=');
+            const key = (attributeSeparatorIndex === -1 ? attribute : attribute.slice(0, attributeSeparatorIndex)).trim().toLowerCase();
+            const value = attributeSeparatorIndex === -1 ? '' : attribute.slice(attributeSeparatorIndex + 1).trim();
+
+            if (key === 'expires') {
+                const expires = Date.parse(value);
+                if (!isNaN(expires)) cookie.expires = expires;
+            } else if (key === 'max-age') {
+                if (/^-?\d+$/.test(value)) maxAge = parseInt(value);
+            } else if (key === 'domain') {
+                const domain = value.replace(/^\./, '').toLowerCase();
+                // A server can only set a cookie for its own domain or a parent domain
+                if (!domain || !CookieJar.domainMatch(cookie.domain, {domain, hostOnly: false})) return null;
+                cookie.domain = domain;
+                cookie.hostOnly = false;
+            } else if (key === 'path') {
+                if (value.startsWith('/')) cookie.path = value;
+            } else if (key === 'secure') {
+                cookie.secure = true;
+            } else if (key === 'httponly') {
+                cookie.httpOnly = true;
+            }
+        }
+
+        // Max-Age has precedence over Expires
+        if (maxAge !== null) cookie.expires = Date.now() + maxAge * 1000;
+
+        return cookie;
+    }
+
+    /**
+     * Returns the default path of a cookie set by a request on the given path
+     * @param {string} pathname
+     * @return {string}
+     */
+    static defaultPath(pathname) {
+        if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) return '/';
+        return pathname.slice(0, pathname.lastIndexOf('/'));
+    }
+
+    /**
+     * Returns true if a cookie must be sent to the given host
+     * @param {string} hostname
+     * @param {{domain: string, hostOnly: boolean}} cookie
+     * @return {boolean}
+     */
+    static domainMatch(hostname, cookie) {
+        const host = hostname.toLowerCase();
+        if (host === cookie.domain) return true;
+        return !cookie.hostOnly && host.endsWith(`.${cookie.domain}`);
+    }
+
+    /**
+     * Returns true if a cookie with the given path must be sent to the given request path
+     * @param {string} requestPath
+     * @param {string} cookiePath
+     * @return {boolean}
+     */
+    static pathMatch(requestPath, cookiePath) {
+        if (requestPath === cookiePath) return true;
+        if (!requestPath.startsWith(cookiePath)) return false;
+        return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+    }
+}
+
+module.exports = CookieJar;
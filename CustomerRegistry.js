@@ -0,0 +1,112 @@
+'use strict';
+
+const fs = require('fs');
+const IngApi = require('./IngApi');
+const {IngRequestError} = require('./IngApiError');
+const {OneTimePasswordWebhook} = require('./OneTimePasswordProvider');
+
+/**
+ * Class holding an IngApi instance for each configured ING customer
+ * Each customer has its own session, pending operations and one time password webhook, the IngApi options (baseUrl,
+ * sessionStore...) are shared, a SessionStore keeps the sessions by customer id
+ * The transferPolicy option is copied for each customer, so that the daily total and the reservations of a customer
+ * don't count for the others
+ * Usage :
+ * const registry = CustomerRegistry.fromFile('customers.json', {sessionStore});
+ * const ingApi = registry.getIngApi('0123456789');
+ */
+class CustomerRegistry {
+
+    /**
+     * Create a new CustomerRegistry instance
+     * @param {Object} ingApiOptions - Options given to every IngApi instance, see IngApi constructor
+     */
+    constructor(ingApiOptions = {}) {
+        this.ingApiOptions = ingApiOptions;
+        this.customers = new Map();
+        // The customer served by the routes which are not prefixed by /customers/:customerId
+        this.defaultCustomerId = null;
+    }
+
+    /**
+     * Create a registry from a JSON configuration file
+     * Example :
+     * {
+     *     "defaultCustomerId": "0123456789",
+     *     "customers": [
+     *         {"customerId": "0123456789", "birthdate": "01011970", "password": "123456", "name": "Household"},
+     *         {"customerId": "9876543210", "birthdate": "02021980", "password": "654321", "name": "Company"}
+     *     ]
+     * }
+     * When defaultCustomerId is not given, the only customer of the file is the default one
+     * @param {string} filePath
+     * @param {Object} ingApiOptions - See constructor
+     * @return {CustomerRegistry}
+     */
+    static fromFile(filePath, ingApiOptions = {}) {
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const registry = new CustomerRegistry(ingApiOptions);
+        for (const customer of config.customers || []) registry.add(customer);
+
+        const defaultCustomerId = config.defaultCustomerId || (registry.customers.size === 1 ? registry.list()[0].customerId : null);
+        if (defaultCustomerId) registry.setDefault(defaultCustomerId);
+        return registry;
+    }
+
+    /**
+     * Add a customer
+     * @param {{customerId: string, birthdate: string, password: string, name?: string}} customer
+     * @return {IngApi}
+     * @throws {Error} if the customer is incomplete or already registered
+     */
+    add({customerId, birthdate, password, name}) {
+        if (!customerId || !birthdate || !password) throw new Error('A customer requires a customerId, a birthdate and a password');
+        if (this.customers.has(customerId)) throw new Error(`The customer ${customerId} is already registered`);
+
+        const transferPolicy = this.ingApiOptions.transferPolicy ? this.ingApiOptions.transferPolicy.copy() : null;
+        const ingApi = new IngApi(customerId, birthdate, password, {...this.ingApiOptions, transferPolicy});
+        this.customers.set(customerId, {customerId, name: name || customerId, ingApi, oneTimePasswordWebhook: new OneTimePasswordWebhook()});
+        return ingApi;
+    }
+
+    /**
+     * Set the customer served by the routes which are not prefixed by /customers/:customerId
+     * @param {string} customerId
+     */
+    setDefault(customerId) {
+        this.get(customerId);
+        this.defaultCustomerId = customerId;
+    }
+
+    /**
+     * Returns a registered customer
+     * @param {string} customerId
+     * @return {{customerId: string, name: string, ingApi: IngApi, oneTimePasswordWebhook: OneTimePasswordWebhook}}
+     * @throws {IngRequestError} REQUEST.NOT_FOUND if the customer is unknown
+     */
+    get(customerId) {
+        const customer = this.customers.get(customerId);
+        if (!customer) throw new IngRequestError('REQUEST.NOT_FOUND', `Unknown customer ${customerId}`, {customerId});
+        return customer;
+    }
+
+    /**
+     * Returns the IngApi instance of a registered customer
+     * @param {string} customerId
+     * @return {IngApi}
+     * @throws {IngRequestError} REQUEST.NOT_FOUND if the customer is unknown
+     */
+    getIngApi(customerId) {
+        return this.get(customerId).ingApi;
+    }
+
+    /**
+     * Returns the registered customers, without their credentials
+     * @return {Array<{customerId: string, name: string, default: boolean}>}
+     */
+    list() {
+        return Array.from(this.customers.values(), ({customerId, name}) => ({customerId, name, default: customerId === this.defaultCustomerId}));
+    }
+}
+
+module.exports = CustomerRegistry;
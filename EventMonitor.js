@@ -0,0 +1,368 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+
+const EventType = {
+    TRANSACTION_NEW: 'transaction.new',
+    BALANCE_BELOW: 'balance.below',
+    MESSAGE_UNREAD: 'message.unread',
+    CARD_PREAUTHORIZATION: 'card.preauthorization',
+    FUTURE_TRANSFER_CREATED: 'futureTransfer.created'
+};
+
+/**
+ * Class polling the accounts, messages, cards and future transfers of a customer and emitting an event for each change
+ * found since the previous poll
+ * The first poll only takes the snapshot, the items already there are not reported (except the balances below their
+ * threshold). Each event is emitted under its type and under 'event', and posted to the webhooks
+ * Events : {id: string, type: string, customerId: string, occurredAt: string, data: Object}
+ * - transaction.new : {accountId, transaction}
+ * - balance.below : {accountId, balance, threshold}, emitted again once the balance went back above the threshold
+ * - message.unread : {message}
+ * - card.preauthorization : {accountId, cardId, transaction}
+ * - futureTransfer.created : {transfer}
+ * The polling errors, and the errors thrown by the listeners, are emitted as 'pollError', the webhooks failing after their retries as 'webhookError'
+ * Usage :
+ * const monitor = new EventMonitor(ingApi, {balanceThresholds: {'0000000001': 100}, webhooks: [{url, secret}]});
+ * monitor.on('transaction.new', event => console.log(event.data.transaction));
+ * monitor.start();
+ */
+class EventMonitor extends EventEmitter {
+
+    /**
+     * Create a new EventMonitor instance
+     * @param {IngApi} ingApi
+     * @param {{interval?: number, transactionsLimit?: number, balanceThresholds?: Object<string, number>, webhooks?: Array<{url: string, secret: string, events?: Array<string>}>, webhookOptions?: Object}} options -
+     * interval : ms between the end of a poll and the next one (5 minutes by default),
+     * transactionsLimit : number of recent transactions compared on each poll, the older new transactions are missed,
+     * balanceThresholds : threshold by account id,
+     * webhooks / webhookOptions : see WebhookDispatcher
+     */
+    constructor(ingApi, {interval = 5 * 60 * 1000, transactionsLimit = 20, balanceThresholds = {}, webhooks = [], webhookOptions = {}} = {}) {
+        super();
+        this.ingApi = ingApi;
+        this.interval = interval;
+        this.transactionsLimit = transactionsLimit;
+        this.balanceThresholds = balanceThresholds;
+        this.webhookDispatcher = webhooks.length ? new WebhookDispatcher(webhooks, webhookOptions) : null;
+
+        // Ids seen on the previous poll by source (e.g. transactions:0000000001), a source without ids is polled for the first time
+        this.snapshot = new Map();
+        // Accounts whose balance is below its threshold
+        this.accountsBelowThreshold = new Set();
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start polling, the first poll is done immediately
+     * @return {EventMonitor}
+     */
+    start() {
+        if (this.running) return this;
+        this.running = true;
+        const loop = async () => {
+            try {
+                await this.poll();
+            } catch (e) {
+                // e.g. a listener throwing while an event is emitted
+                this.emit('pollError', e);
+            }
+            if (this.running) this.timer = setTimeout(loop, this.interval);
+        };
+        loop();
+        return this;
+    }
+
+    /**
+     * Stop polling, a poll in progress is finished
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Poll every source once, emit the events and wait for their webhooks
+     * A failing source is emitted as 'pollError' and doesn't prevent the other ones from being polled
+     * @return {Promise<Array<Object>>} the emitted events
+     */
+    async poll() {
+        const events = [];
+        const pollSource = async source => {
+            try {
+                events.push(...await source());
+            } catch (e) {
+                this.emit('pollError', e);
+            }
+        };
+
+        try {
+            await this.ingApi.refreshSession();
+        } catch (e) {
+            this.emit('pollError', e);
+            return [];
+        }
+
+        let accounts = [];
+        await pollSource(async () => {
+            accounts = (await this.ingApi.getAccounts()).accounts;
+            return this.checkBalances(accounts);
+        });
+        for (const account of accounts) {
+            await pollSource(() => this.pollTransactions(account.uid));
+            await pollSource(() => this.pollCardTransactions(account.uid));
+        }
+        await pollSource(() => this.pollMessages());
+        await pollSource(() => this.pollFutureTransfers());
+
+        for (const event of events) {
+            this.emit(event.type, event);
+            this.emit('event', event);
+        }
+        if (this.webhookDispatcher) await Promise.all(events.map(event => this.dispatch(event)));
+        return events;
+    }
+
+    /**
+     * Returns the balance.below events of the accounts crossing their threshold
+     * @param {Array<Object>} accounts - Accounts of getAccounts
+     * @return {Array<Object>}
+     */
+    checkBalances(accounts) {
+        const events = [];
+        for (const account of accounts) {
+            const threshold = this.balanceThresholds[account.uid];
+            if (threshold === undefined) continue;
+
+            const balance = typeof account.availableBalance === 'number' ? account.availableBalance : account.ledgerBalance;
+            if (balance >= threshold) {
+                this.accountsBelowThreshold.delete(account.uid);
+            } else if (!this.accountsBelowThreshold.has(account.uid)) {
+                this.accountsBelowThreshold.add(account.uid);
+                events.push(this.createEvent(EventType.BALANCE_BELOW, {accountId: account.uid, balance, threshold}));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Returns the transaction.new events of an account
+     * @param {string} accountId
+     * @return {Promise<Array<Object>>}
+     */
+    async pollTransactions(accountId) {
+        const transactions = await this.ingApi.getAccountTransactions(accountId, 0, this.transactionsLimit);
+        return this.getNewItems(`transactions:${accountId}`, transactions, transaction => String(transaction.id))
+            .map(transaction => this.createEvent(EventType.TRANSACTION_NEW, {accountId, transaction}));
+    }
+
+    /**
+     * Returns the card.preauthorization events of the cards of an account
+     * @param {string} accountId
+     * @return {Promise<Array<Object>>}
+     */
+    async pollCardTransactions(accountId) {
+        const events = [];
+        for (const card of await this.ingApi.getCards(accountId)) {
+            const transactions = await this.ingApi.getCardTransactions(accountId, card.uid);
+            const newTransactions = this.getNewItems(`cardTransactions:${card.uid}`, transactions, transaction => transaction.transactionSequence);
+            for (const transaction of newTransactions) {
+                if (transaction.preAuthorization) events.push(this.createEvent(EventType.CARD_PREAUTHORIZATION, {accountId, cardId: card.uid, transaction}));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Returns the message.unread events, the messages are only loaded when there are unread ones
+     * @return {Promise<Array<Object>>}
+     */
+    async pollMessages() {
+        const unreadCount = await this.ingApi.getNumberOfUnreadMessages();
+        const unreadMessages = unreadCount > 0 ? (await this.ingApi.getMessages(Math.max(unreadCount, 30), 1)).filter(message => !message.alreadyRead) : [];
+        return this.getNewItems('messages', unreadMessages, message => String(message.messageId))
+            .map(message => this.createEvent(EventType.MESSAGE_UNREAD, {message}));
+    }
+
+    /**
+     * Returns the futureTransfer.created events
+     * @return {Promise<Array<Object>>}
+     */
+    async pollFutureTransfers() {
+        const {pendingTransfers = []} = await this.ingApi.getFutureTransfers();
+        return this.getNewItems('futureTransfers', pendingTransfers, transfer => transfer.uid)
+            .map(transfer => this.createEvent(EventType.FUTURE_TRANSFER_CREATED, {transfer}));
+    }
+
+    /**
+     * Returns the items of a source which were not there on the previous poll, and replace its snapshot
+     * On the first poll of the source, no item is new
+     * @param {string} source
+     * @param {Array<Object>} items
+     * @param {function(Object): string} getId
+     * @return {Array<Object>}
+     */
+    getNewItems(source, items, getId) {
+        const previousIds = this.snapshot.get(source);
+        this.snapshot.set(source, new Set(items.map(getId)));
+        return previousIds ? items.filter(item => !previousIds.has(getId(item))) : [];
+    }
+
+    /**
+     * Create an event
+     * @param {string} type - value of EventType
+     * @param {Object} data
+     * @return {{id: string, type: string, customerId: string, occurredAt: string, data: Object}}
+     */
+    createEvent(type, data) {
+        return {id: crypto.randomUUID(), type, customerId: this.ingApi.customerId, occurredAt: new Date().toISOString(), data};
+    }
+
+    /**
+     * Post an event to the webhooks, the failed deliveries are emitted as 'webhookError'
+     * @param {Object} event
+     * @return {Promise<void>}
+     */
+    async dispatch(event) {
+        for (const delivery of await this.webhookDispatcher.dispatch(event)) {
+            if (!delivery.delivered) this.emit('webhookError', {event, ...delivery});
+        }
+    }
+}
+
+/**
+ * Class posting the events to webhooks, signed with HMAC-SHA256 and retried with an exponential backoff
+ * Each request is a POST of the JSON event with the headers :
+ * - X-Ing-Event : the event type
+ * - X-Ing-Delivery : the event id
+ * - X-Ing-Timestamp : the unix time of the signature, in seconds
+ * - X-Ing-Signature : sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+ * The receiver can check it with WebhookDispatcher.verifySignature
+ */
+class WebhookDispatcher {
+
+    /**
+     * Create a new WebhookDispatcher instance
+     * @param {Array<{url: string, secret: string, events?: Array<string>}>} webhooks - events : the event types posted to
+     * the webhook, all of them when not given
+     * @param {{fetch?: Function, retries?: number, retryDelay?: number, timeout?: number}} options -
+     * retries : number of retries after the first attempt, retryDelay : ms before the first retry, doubled after each one,
+     * timeout : ms before an attempt is aborted
+     */
+    constructor(webhooks, {fetch: fetchFunction = fetch, retries = 5, retryDelay = 1000, timeout = 10000} = {}) {
+        for (const webhook of webhooks) {
+            if (!webhook.url || !webhook.secret) throw new Error('A webhook requires an url and a secret');
+        }
+        this.webhooks = webhooks;
+        this.fetch = fetchFunction;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Returns the signature of a webhook body
+     * @param {string} secret
+     * @param {number|string} timestamp
+     * @param {string} body
+     * @return {string}
+     */
+    static sign(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Returns if a webhook request is signed with a secret and recent enough
+     * Example :
+     * WebhookDispatcher.verifySignature(secret, req.get('X-Ing-Timestamp'), rawBody, req.get('X-Ing-Signature'));
+     * @param {string} secret
+     * @param {string} timestamp
+     * @param {string} body - The raw body
+     * @param {string} signature
+     * @param {number} tolerance - Maximum age of the signature in seconds
+     * @return {boolean}
+     */
+    static verifySignature(secret, timestamp, body, signature, tolerance = 300) {
+        if (!timestamp || !signature || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) return false;
+        const expected = Buffer.from(WebhookDispatcher.sign(secret, timestamp, body));
+        const received = Buffer.from(signature);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Returns if a failed attempt can be retried
+     * @param {number|null} status - The HTTP status, null when the request failed
+     * @return {boolean}
+     */
+    static isRetryable(status) {
+        return status === null || status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Post an event to the webhooks subscribed to its type
+     * @param {{id: string, type: string}} event
+     * @return {Promise<Array<{url: string, delivered: boolean, attempts: number, status: number|null, error?: string}>>}
+     */
+    async dispatch(event) {
+        const body = JSON.stringify(event);
+        const webhooks = this.webhooks.filter(webhook => !webhook.events || webhook.events.includes(event.type));
+        return await Promise.all(webhooks.map(webhook => this.deliver(webhook, event, body)));
+    }
+
+    /**
+     * Post an event to a webhook, retrying the network errors, 408, 429 and 5xx responses
+     * @param {{url: string, secret: string}} webhook
+     * @param {{id: string, type: string}} event
+     * @param {string} body
+     * @return {Promise<{url: string, delivered: boolean, attempts: number, status: number|null, error?: string}>}
+     */
+    async deliver(webhook, event, body) {
+        let status = null;
+        let error = null;
+        for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+            if (attempt > 1) await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 2)));
+
+            const timestamp = Math.floor(Date.now() / 1000);
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeout);
+            try {
+                const response = await this.fetch(webhook.url, {
+                    method: 'POST',
+                    body,
+                    signal: controller.signal,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Ing-Event': event.type,
+                        'X-Ing-Delivery': event.id,
+                        'X-Ing-Timestamp': String(timestamp),
+                        'X-Ing-Signature': WebhookDispatcher.sign(webhook.secret, timestamp, body)
+                    }
+                });
+                status = response.status;
+                error = response.ok ? null : `HTTP ${status}`;
+            } catch (e) {
+                status = null;
+                error = e.message;
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!error) return {url: webhook.url, delivered: true, attempts: attempt, status};
+            if (!WebhookDispatcher.isRetryable(status)) return {url: webhook.url, delivered: false, attempts: attempt, status, error};
+        }
+        return {url: webhook.url, delivered: false, attempts: this.retries + 1, status, error};
+    }
+}
+
+EventMonitor.EventType = EventType;
+
+module.exports = {
+    EventMonitor,
+    WebhookDispatcher,
+    EventType
+};
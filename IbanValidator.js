@@ -0,0 +1,283 @@
+'use strict';
+
+const {IngExternalAccountError} = require('./IngApiError');
+
+// BBAN structure of the IBAN by country, in the notation of the SWIFT IBAN registry : n digits, a upper case letters,
+// c upper case letters or digits
+const BBAN_STRUCTURES = {
+    AD: '4n4n12c',
+    AE: '3n16n',
+    AL: '8n16c',
+    AT: '5n11n',
+    AZ: '4a20c',
+    BA: '3n3n8n2n',
+    BE: '3n7n2n',
+    BG: '4a4n2n8c',
+    BH: '4a14c',
+    BI: '5n5n11n2n',
+    BR: '8n5n10n1a1c',
+    BY: '4c4n16c',
+    CH: '5n12c',
+    CR: '4n14n',
+    CY: '3n5n16c',
+    CZ: '4n6n10n',
+    DE: '8n10n',
+    DJ: '5n5n11n2n',
+    DK: '4n9n1n',
+    DO: '4c20n',
+    EE: '2n2n11n1n',
+    EG: '4n4n17n',
+    ES: '4n4n1n1n10n',
+    FI: '3n11n',
+    FK: '2a12n',
+    FO: '4n9n1n',
+    FR: '5n5n11c2n',
+    GB: '4a6n8n',
+    GE: '2a16n',
+    GI: '4a15c',
+    GL: '4n9n1n',
+    GR: '3n4n16c',
+    GT: '4c20c',
+    HN: '4a20n',
+    HR: '7n10n',
+    HU: '3n4n1n15n1n',
+    IE: '4a6n8n',
+    IL: '3n3n13n',
+    IQ: '4a3n12n',
+    IS: '4n2n6n10n',
+    IT: '1a5n5n12c',
+    JO: '4a4n18c',
+    KW: '4a22c',
+    KZ: '3n13c',
+    LB: '4n20c',
+    LC: '4a24c',
+    LI: '5n12c',
+    LT: '5n11n',
+    LU: '3n13c',
+    LV: '4a13c',
+    LY: '3n3n15n',
+    MC: '5n5n11c2n',
+    MD: '2c18c',
+    ME: '3n13n2n',
+    MK: '3n10c2n',
+    MN: '4n12n',
+    MR: '5n5n11n2n',
+    MT: '4a5n18c',
+    MU: '4a2n2n12n3n3a',
+    NI: '4a20n',
+    NL: '4a10n',
+    NO: '4n6n1n',
+    OM: '3n16c',
+    PK: '4a16c',
+    PL: '8n16n',
+    PS: '4a21c',
+    PT: '4n4n11n2n',
+    QA: '4a21c',
+    RO: '4a16c',
+    RS: '3n13n2n',
+    RU: '9n5n15c',
+    SA: '2n18c',
+    SC: '4a2n2n16n3a',
+    SD: '2n12n',
+    SE: '3n16n1n',
+    SI: '5n8n2n',
+    SK: '4n6n10n',
+    SM: '1a5n5n12c',
+    SO: '4n3n12n',
+    ST: '4n4n11n2n',
+    SV: '4a20n',
+    TL: '3n14n2n',
+    TN: '2n3n13n2n',
+    TR: '5n1n16c',
+    UA: '6n19c',
+    VA: '3n15n',
+    VG: '4a16n',
+    XK: '4n10n2n',
+    YE: '4a4n18c'
+};
+
+// Countries using the French RIB (bank code, counter code, account number and RIB key) as BBAN
+const RIB_COUNTRIES = ['FR', 'MC'];
+
+// Digits replacing the letters of a French account number in the RIB key computation
+const RIB_LETTER_DIGITS = {A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, J: 1, K: 2, L: 3, M: 4, N: 5, O: 6, P: 7, Q: 8, R: 9, S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9};
+
+// Shape of an IBAN whose country is not in the registry yet : only its mod-97 checksum is checked, ING decides
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+/**
+ * Class validating the IBANs and the BICs offline, before sending them to ING
+ * A validation returns {valid, errors: [{rule, message}]} listing every broken rule :
+ * - country : the IBAN doesn't start with a country code and check digits, or has the length of no IBAN
+ * - length : the IBAN doesn't have the length of its country
+ * - structure : the IBAN doesn't have the structure of its country
+ * - checksum : the mod-97 checksum of the IBAN is wrong
+ * - ribKey : the RIB key of a French (or Monaco) IBAN doesn't match its bank code, counter code and account number
+ * The IBANs of a country missing from the registry are only checked with their mod-97 checksum
+ * - format : the BIC is not 8 or 11 characters (bank, country, location and optional branch codes)
+ * Usage :
+ * const {valid, errors} = IbanValidator.validateIban('FR76 3043 8000 0100 0000 0000 116');
+ * IbanValidator.checkIban(iban); // throws an IngExternalAccountError
+ */
+class IbanValidator {
+
+    /**
+     * Normalize an IBAN or a BIC : upper case, without spaces
+     * @param {string} value
+     * @return {string}
+     */
+    static normalize(value) {
+        return String(value || '').replace(/\s/g, '').toUpperCase();
+    }
+
+    /**
+     * Returns the regular expression of the BBAN structure of a country, or null for an unknown country
+     * @param {string} country - ISO 3166 code
+     * @return {RegExp|null}
+     */
+    static getBbanPattern(country) {
+        const structure = BBAN_STRUCTURES[country];
+        if (!structure) return null;
+        const characters = {n: '\\d', a: '[A-Z]', c: '[A-Z0-9]'};
+        return new RegExp(`^${structure.replace(/(\d+)([nac])/g, (match, count, type) => `${characters[type]}{${count}}`)}$`);
+    }
+
+    /**
+     * Returns the length of the IBANs of a country, or null for an unknown country
+     * @param {string} country - ISO 3166 code
+     * @return {number|null}
+     */
+    static getIbanLength(country) {
+        const structure = BBAN_STRUCTURES[country];
+        return structure ? 4 + structure.match(/\d+/g).reduce((length, count) => length + Number(count), 0) : null;
+    }
+
+    /**
+     * Returns the remainder of an IBAN modulo 97 (1 for a valid checksum), the country code and the check digits being
+     * moved at the end and the letters replaced by 10 to 35
+     * @param {string} iban - Normalized IBAN
+     * @return {number}
+     */
+    static mod97(iban) {
+        const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+        // The number is too big for a Number, the remainder is computed by chunks
+        let remainder = 0;
+        for (let i = 0; i < digits.length; i += 7) remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+        return remainder;
+    }
+
+    /**
+     * Compute the RIB key of a French account
+     * @param {string} bankCode - 5 digits
+     * @param {string} counterCode - 5 digits
+     * @param {string} accountNumber - 11 letters or digits
+     * @return {string} the 2 digits key
+     */
+    static computeRibKey(bankCode, counterCode, accountNumber) {
+        const account = Number(accountNumber.toUpperCase().replace(/[A-Z]/g, letter => String(RIB_LETTER_DIGITS[letter])));
+        const key = 97 - (89 * Number(bankCode) + 15 * Number(counterCode) + 3 * account) % 97;
+        return String(key).padStart(2, '0');
+    }
+
+    /**
+     * Split a French (or Monaco) IBAN like the bank record returned by getAccountBankRecord
+     * @param {string} iban
+     * @return {{bankCode: string, counterCode: string, accountNumber: string, ribKey: string}|null} null if the IBAN is not a French RIB
+     */
+    static splitFrenchIban(iban) {
+        const normalized = IbanValidator.normalize(iban);
+        if (!RIB_COUNTRIES.includes(normalized.slice(0, 2)) || normalized.length !== 27) return null;
+        return {bankCode: normalized.slice(4, 9), counterCode: normalized.slice(9, 14), accountNumber: normalized.slice(14, 25), ribKey: normalized.slice(25, 27)};
+    }
+
+    /**
+     * Validate an IBAN : country, length, structure, checksum and RIB key of the French IBANs, only the checksum for
+     * a country missing from the registry
+     * @param {string} iban - Spaces and lower case letters are accepted
+     * @return {{valid: boolean, iban: string, country: string, errors: Array<{rule: string, message: string}>}}
+     */
+    static validateIban(iban) {
+        const normalized = IbanValidator.normalize(iban);
+        const country = normalized.slice(0, 2);
+        const errors = [];
+
+        const length = IbanValidator.getIbanLength(country);
+        if (length === null) {
+            if (!IBAN_PATTERN.test(normalized)) errors.push({rule: 'country', message: `Invalid IBAN ${normalized}`});
+            else if (IbanValidator.mod97(normalized) !== 1) errors.push({rule: 'checksum', message: 'The IBAN check digits are wrong'});
+        } else if (!/^[A-Z]{2}\d{2}/.test(normalized)) {
+            errors.push({rule: 'country', message: `Invalid IBAN ${normalized}`});
+        } else if (normalized.length !== length) {
+            errors.push({rule: 'length', message: `A ${country} IBAN has ${length} characters, not ${normalized.length}`});
+        } else if (!IbanValidator.getBbanPattern(country).test(normalized.slice(4))) {
+            errors.push({rule: 'structure', message: `The IBAN doesn't have the ${country} structure ${BBAN_STRUCTURES[country]}`});
+        } else {
+            if (IbanValidator.mod97(normalized) !== 1) errors.push({rule: 'checksum', message: 'The IBAN check digits are wrong'});
+            const rib = IbanValidator.splitFrenchIban(normalized);
+            if (rib && IbanValidator.computeRibKey(rib.bankCode, rib.counterCode, rib.accountNumber) !== rib.ribKey) {
+                errors.push({rule: 'ribKey', message: `The RIB key ${rib.ribKey} doesn't match the bank code, counter code and account number`});
+            }
+        }
+
+        return {valid: errors.length === 0, iban: normalized, country, errors};
+    }
+
+    /**
+     * Validate a bank record returned by getAccountBankRecord : its IBAN, its BIC, and its bank code, counter code,
+     * account number and RIB key against the split of its IBAN
+     * @param {{iban: string, bic: string, bankCode: string, counterCode: string, accountNumber: string, ribKey: string}} bankRecord
+     * @return {{valid: boolean, errors: Array<{rule: string, message: string}>}}
+     */
+    static validateBankRecord(bankRecord) {
+        const errors = [...IbanValidator.validateIban(bankRecord.iban).errors, ...IbanValidator.validateBic(bankRecord.bic).errors];
+        const rib = IbanValidator.splitFrenchIban(bankRecord.iban);
+        if (rib) {
+            const mismatches = Object.keys(rib).filter(key => rib[key] !== bankRecord[key]);
+            if (mismatches.length) errors.push({rule: 'ribKey', message: `The bank record doesn't match its IBAN : ${mismatches.join(', ')}`});
+        }
+        return {valid: errors.length === 0, errors};
+    }
+
+    /**
+     * Validate the format of a BIC
+     * @param {string} bic - Spaces and lower case letters are accepted
+     * @return {{valid: boolean, bic: string, errors: Array<{rule: string, message: string}>}}
+     */
+    static validateBic(bic) {
+        const normalized = IbanValidator.normalize(bic);
+        const errors = BIC_PATTERN.test(normalized) ? [] : [{rule: 'format', message: `Invalid BIC ${normalized}`}];
+        return {valid: errors.length === 0, bic: normalized, errors};
+    }
+
+    /**
+     * Throw if an IBAN is invalid, with the code answered by ING for an invalid IBAN
+     * @param {string} iban
+     * @return {string} the normalized IBAN
+     * @throws {IngExternalAccountError} EXTERNAL_ACCOUNT.IBAN_BAD_FORMAT, the broken rules in values.errors
+     */
+    static checkIban(iban) {
+        const {valid, iban: normalized, errors} = IbanValidator.validateIban(iban);
+        if (!valid) {
+            throw new IngExternalAccountError('EXTERNAL_ACCOUNT.IBAN_BAD_FORMAT', errors.map(error => error.message).join('; '), {iban, errors}, {retryable: false});
+        }
+        return normalized;
+    }
+
+    /**
+     * Throw if a BIC is invalid
+     * @param {string} bic
+     * @return {string} the normalized BIC
+     * @throws {IngExternalAccountError} EXTERNAL_ACCOUNT.BIC_BAD_FORMAT
+     */
+    static checkBic(bic) {
+        const {valid, bic: normalized, errors} = IbanValidator.validateBic(bic);
+        if (!valid) {
+            throw new IngExternalAccountError('EXTERNAL_ACCOUNT.BIC_BAD_FORMAT', errors[0].message, {bic, errors}, {retryable: false});
+        }
+        return normalized;
+    }
+}
+
+module.exports = IbanValidator;
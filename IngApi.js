@@ -2,6 +2,17 @@
 
 const fetch = require('node-fetch');
 const PasswordKeypad = require('./PasswordKeypad');
+const CookieJar = require('./CookieJar');
+const PendingOperationRegistry = require('./PendingOperationRegistry');
+const TransferPolicy = require('./TransferPolicy');
+const IbanValidator = require('./IbanValidator');
+const {IngApiError, IngScaError, IngExternalAccountError, IngOperationError, IngTransferError, IngCardError, IngDirectDebitError, IngHistoryLockedError} = require('./IngApiError');
+
+// Longest delay accepted by setTimeout, about 24 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Delay before retrying a card limits revert refused because the limits have already been changed in the day
+const CARD_LIMITS_REVERT_RETRY_DELAY = 60 * 60 * 1000;
 
 /**
  * Class representing the ING API
@@ -11,7 +22,63 @@ class IngApi {
     SensitiveOperationAction = {
         DISPLAY_TRANSACTIONS: 'DISPLAY_TRANSACTIONS',
         EXTERNAL_TRANSFER: 'EXTERNAL_TRANSFER',
-        ADD_TRANSFER_BENEFICIARY: 'ADD_TRANSFER_BENEFICIARY'
+        ADD_TRANSFER_BENEFICIARY: 'ADD_TRANSFER_BENEFICIARY',
+        CANCEL_FUTURE_TRANSFER: 'CANCEL_FUTURE_TRANSFER',
+        CHANGE_CARD_LIMITS: 'CHANGE_CARD_LIMITS',
+        SUSPEND_DIRECT_DEBIT_AUTHORIZATION: 'SUSPEND_DIRECT_DEBIT_AUTHORIZATION',
+        REVOKE_DIRECT_DEBIT_AUTHORIZATION: 'REVOKE_DIRECT_DEBIT_AUTHORIZATION',
+        BLOCK_DIRECT_DEBIT_CREDITOR: 'BLOCK_DIRECT_DEBIT_CREDITOR',
+        UNBLOCK_DIRECT_DEBIT_CREDITOR: 'UNBLOCK_DIRECT_DEBIT_CREDITOR',
+        REJECT_DIRECT_DEBIT: 'REJECT_DIRECT_DEBIT',
+        INTERNATIONAL_TRANSFER: 'INTERNATIONAL_TRANSFER',
+        ADD_INTERNATIONAL_BENEFICIARY: 'ADD_INTERNATIONAL_BENEFICIARY'
+    };
+
+    // Key of the request in the body of the sensitive operation calls, for the actions which have one
+    SensitiveOperationRequestKey = {
+        EXTERNAL_TRANSFER: 'transferRequest',
+        ADD_TRANSFER_BENEFICIARY: 'externalAccountsRequest',
+        CANCEL_FUTURE_TRANSFER: 'futureTransferCancelRequest', // Unverified against ING, see cancelFutureTransfer
+        CHANGE_CARD_LIMITS: 'cardLimitsRequest',
+        SUSPEND_DIRECT_DEBIT_AUTHORIZATION: 'directDebitAuthorizationRequest',
+        REVOKE_DIRECT_DEBIT_AUTHORIZATION: 'directDebitAuthorizationRequest',
+        BLOCK_DIRECT_DEBIT_CREDITOR: 'directDebitCreditorRequest',
+        UNBLOCK_DIRECT_DEBIT_CREDITOR: 'directDebitCreditorRequest',
+        REJECT_DIRECT_DEBIT: 'directDebitRejectRequest',
+        INTERNATIONAL_TRANSFER: 'internationalTransferRequest',
+        ADD_INTERNATIONAL_BENEFICIARY: 'internationalExternalAccountRequest'
+    };
+
+    // Codes of the mobilePeriodicity of the recurring transfers
+    TransferPeriodicity = {
+        WEEKLY: 'WEEKLY',
+        MONTHLY: 'MONTHLY',
+        QUARTERLY: 'QUARTERLY',
+        HALF_YEARLY: 'HALF_YEARLY',
+        YEARLY: 'YEARLY'
+    };
+
+    // Fee options of the international transfers : paid by the customer (OUR), shared (SHA) or paid by the beneficiary (BEN)
+    InternationalFeeOption = {
+        OUR: 'OUR',
+        SHA: 'SHA',
+        BEN: 'BEN'
+    };
+
+    // Types of the card limits returned by getCardLimits
+    CardLimitType = {
+        PAYMENT: 'PAYMENT',
+        WITHDRAWAL: 'WITHDRAWAL'
+    };
+
+    CardLimitsRevertStatus = {
+        SCHEDULED: 'SCHEDULED',
+        RUNNING: 'RUNNING',
+        DONE: 'DONE',
+        STARTED: 'STARTED',
+        SKIPPED: 'SKIPPED',
+        FAILED: 'FAILED',
+        CANCELLED: 'CANCELLED'
     };
 
     ErrorCode = {
@@ -20,11 +87,60 @@ class IngApi {
         },
         SCA: {
             STEP1_NOT_DONE: 'SCA.STEP1_NOT_DONE',
-            LOGOUT: 'SCA.LOGOUT'
+            LOGOUT: 'SCA.LOGOUT',
+            DISPLAY_TRANSACTIONS_REQUIRED: 'SCA.DISPLAY_TRANSACTIONS_REQUIRED',
+            CARD_LIMITS_REQUIRED: 'SCA.CARD_LIMITS_REQUIRED',
+            NO_OTP_CHANNEL: 'SCA.NO_OTP_CHANNEL'
+        },
+        OPERATION: {
+            NOT_FOUND: 'OPERATION.NOT_FOUND',
+            EXPIRED: 'OPERATION.EXPIRED',
+            NOT_PENDING: 'OPERATION.NOT_PENDING',
+            TIMEOUT: 'OPERATION.TIMEOUT',
+            ABORTED: 'OPERATION.ABORTED'
+        },
+        TRANSFER: {
+            NOT_FOUND: 'TRANSFER.NOT_FOUND',
+            NOT_CANCELABLE: 'TRANSFER.NOT_CANCELABLE',
+            INVALID_PERIODICITY: 'TRANSFER.INVALID_PERIODICITY',
+            INVALID_CURRENCY: 'TRANSFER.INVALID_CURRENCY',
+            INVALID_FEE_OPTION: 'TRANSFER.INVALID_FEE_OPTION',
+            QUOTE_MISMATCH: 'TRANSFER.QUOTE_MISMATCH',
+            QUOTE_DECLINED: 'TRANSFER.QUOTE_DECLINED',
+            QUOTE_EXPIRED: 'TRANSFER.QUOTE_EXPIRED'
+        },
+        CARD: {
+            NOT_FOUND: 'CARD.NOT_FOUND',
+            INVALID_LIMITS: 'CARD.INVALID_LIMITS',
+            FUNCTIONALITY_DISABLED: 'CARD.FUNCTIONALITY_DISABLED',
+            LIMITS_ALREADY_CHANGED: 'CARD.LIMITS_ALREADY_CHANGED',
+            REVERT_NOT_FOUND: 'CARD.REVERT_NOT_FOUND'
+        },
+        DIRECT_DEBIT: {
+            NOT_FOUND: 'DIRECT_DEBIT.NOT_FOUND',
+            INVALID_STATUS: 'DIRECT_DEBIT.INVALID_STATUS',
+            INVALID_CREDITOR_ID: 'DIRECT_DEBIT.INVALID_CREDITOR_ID'
         },
         EXTERNAL_ACCOUNT: {
             IBAN_BAD_FORMAT: 'EXTERNAL_ACCOUNT.IBAN_BAD_FORMAT',
-            EXTERNAL_ACCOUNT_ALREADY_EXISTS: 'EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS'
+            EXTERNAL_ACCOUNT_ALREADY_EXISTS: 'EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS',
+            INVALID_BENEFICIARY: 'EXTERNAL_ACCOUNT.INVALID_BENEFICIARY',
+            BIC_BAD_FORMAT: 'EXTERNAL_ACCOUNT.BIC_BAD_FORMAT'
+        },
+        KEYPAD: {
+            UNEXPECTED_SIZE: 'KEYPAD.UNEXPECTED_SIZE',
+            RECOGNITION_UNCERTAIN: 'KEYPAD.RECOGNITION_UNCERTAIN'
+        },
+        POLICY: {
+            INVALID_AMOUNT: 'POLICY.INVALID_AMOUNT',
+            TRANSFER_REFUSED: 'POLICY.TRANSFER_REFUSED',
+            BENEFICIARY_REFUSED: 'POLICY.BENEFICIARY_REFUSED'
+        },
+        TRANSPORT: {
+            NETWORK_ERROR: 'TRANSPORT.NETWORK_ERROR',
+            HTTP_ERROR: 'TRANSPORT.HTTP_ERROR',
+            INVALID_RESPONSE: 'TRANSPORT.INVALID_RESPONSE',
+            SCHEMA_MISMATCH: 'TRANSPORT.SCHEMA_MISMATCH'
         }
     };
 
@@ -33,26 +149,48 @@ class IngApi {
      * @param {string} customerId
      * @param {string} birthdate
      * @param {string} password
+     * @param {{baseUrl?: string, fetch?: Function, sessionStore?: SessionStore, pendingOperationTtl?: number, responseValidator?: OpenApiValidator, responseValidation?: string, transferPolicy?: TransferPolicy, logger?: {log: Function, warn: Function}}} options - baseUrl defaults to https://m.ing.fr, fetch to node-fetch,
+     * responseValidation : warn (default) or strict, see checkResponseSchema, transferPolicy : guard rails of makeTransfer and addNewBeneficiary,
+     * logger : receives the session refresh steps (log) and the schema mismatches (warn), console by default
      */
-    constructor(customerId, birthdate, password) {
+    constructor(customerId, birthdate, password, options = {}) {
 
         this.customerId = customerId;
         this.birthdate = birthdate;
         this.password = password;
 
+        // The transport can be replaced to target a mock backend (see MockIngServer.js)
+        this.baseUrl = (options.baseUrl || 'https://m.ing.fr').replace(/\/+$/, '');
+        this.fetch = options.fetch || fetch;
+        this.logger = options.logger || console;
+
+        // When a store is given, the session is restored from it and saved after each login (see SessionStore.js)
+        this.sessionStore = options.sessionStore || null;
+        // Restoration of the stored session shared by the concurrent first refreshes, and last saved session state
+        this.sessionLoading = null;
+        this.savedSessionState = null;
+
         // This object is used to store the authentication state of the API
         this.session = {
             regieId: null,
-            cookie: null,
+            cookieJar: new CookieJar(),
             authToken: null,
             saveInvestToken: null
         };
 
-        // TODO : manage better this side effect
-        this.validationRequest = {
-            transferRequest: null,
-            externalAccountsRequest: null
-        };
+        // The sensitive operations waiting for their one time password
+        this.pendingOperations = new PendingOperationRegistry({ttl: options.pendingOperationTtl});
+
+        // When a validator of openapi.yaml is given, the responses which drift from the schema are reported
+        this.responseValidator = options.responseValidator || null;
+        this.responseValidation = options.responseValidation || 'warn';
+
+        // When a policy is given, the transfers and the beneficiary additions breaking it are refused (see TransferPolicy.js)
+        this.transferPolicy = options.transferPolicy || null;
+
+        // The card limits to restore later, by card (see setCardLimits), they are lost when the process stops
+        this.cardLimitsReverts = new Map();
+        this.cardLimitsRevertTimers = new Map();
 
     }
 
@@ -70,10 +208,13 @@ class IngApi {
 
         const passwordKeypad = new PasswordKeypad(keypadImageBuffer);
 
+        // An IngKeypadError is thrown before posting anything when the keypad is not recognized with enough confidence
         const clickPositions = await passwordKeypad.getClicksPositions(missingPasswordDigitsPositions.pinPositions, this.password);
         await this.postLoginPinCode(clickPositions);
 
-        return await this.getSession();
+        const session = await this.getSession();
+        if (session.authenticated) await this.saveSession();
+        return session;
     }
 
     /**
@@ -116,11 +257,9 @@ class IngApi {
      * @return {Promise<Buffer>}
      */
     async getKeypadImageBuffer() {
-        const res = await fetch('https://m.ing.fr/secure/api-v1/keypad/newkeypad.png', {
-            headers: {
-                'Cookie': this.session.cookie
-            }
-        });
+        const path = 'keypad/newkeypad.png';
+        const res = await this.fetchIng(`${this.baseUrl}/secure/api-v1/${path}`, path, 'GET', {});
+        if (!res.ok) await this.parseIngApiResponse(res, path, 'GET');
         return await res.buffer();
     }
 
@@ -182,7 +321,7 @@ class IngApi {
      * @return {Promise<Array<{messageId: number, dateOnLine: string, object: string, alreadyRead: boolean, severity: number}>>}
      */
     async getMessages(messagesPerPage = 30, pageNumber = 1) {
-        return await this.callIngSecureApi(`customer/hermes?nbRowByPage=${messagesPerPage}&pageNumber=${messagesPerPage}`);
+        return await this.callIngSecureApi(`customer/hermes?nbRowByPage=${messagesPerPage}&pageNumber=${pageNumber}`);
     }
 
     /**
@@ -239,6 +378,53 @@ class IngApi {
         return await this.callIngSecureApi(`accounts/${accountId}/transactions/after/${startAt}/limit/${limit}`);
     }
 
+    /**
+     * Iterate over the transactions of an account, from the most recent to the oldest, loading the pages as needed
+     * When the transactions older than the DISPLAY_TRANSACTIONS limit are reached, the 2FA is performed if a
+     * getOneTimePassword provider is given (see OneTimePasswordProvider.js), otherwise an IngHistoryLockedError is thrown
+     * Unverified : the locked history is detected by the SCA.DISPLAY_TRANSACTIONS_REQUIRED code returned by
+     * MockIngServer, the answer of ING past the limit hasn't been observed
+     * Usage :
+     * for await (const transaction of ingApi.iterateTransactions(accountId, {since: '2021-01-01'})) { ... }
+     * @param {string} accountId
+     * @param {{since?: string|Date, until?: string|Date, pageSize?: number, getOneTimePassword?: Function, channel?: {type?: string, phone?: string}}} options - since and until are inclusive dates
+     * @return {AsyncGenerator<{id: string, effectiveDate: string, accountingDate: string, detail: string, amount: number, transcodeNeedCustomerAction: boolean, type: string, isOldBankCode: boolean, sameMonthAsPrevious: boolean, sameDateAsPrevious: boolean, sameDateAsNext: boolean}>}
+     * @throws {IngHistoryLockedError} if the history is locked and can't be unlocked
+     */
+    async* iterateTransactions(accountId, {since = null, until = null, pageSize = 50, getOneTimePassword = null, channel = null} = {}) {
+        const sinceDate = since ? IngApi.toIsoDate(since) : null;
+        const untilDate = until ? IngApi.toIsoDate(until) : null;
+
+        let startAt = 0;
+        let unlockTried = false;
+
+        while (true) {
+            let transactions;
+            try {
+                transactions = await this.getAccountTransactions(accountId, startAt, pageSize);
+            } catch (e) {
+                if (e.code !== this.ErrorCode.SCA.DISPLAY_TRANSACTIONS_REQUIRED) throw e;
+                const lastTransactionId = startAt === 0 ? null : startAt;
+                if (!getOneTimePassword || unlockTried) throw new IngHistoryLockedError(accountId, lastTransactionId, e);
+
+                unlockTried = true;
+                await this.accessMoreTransactions({oneTimePasswordProvider: getOneTimePassword, channel});
+                continue;
+            }
+
+            if (!transactions || transactions.length === 0) return;
+
+            for (const transaction of transactions) {
+                const transactionDate = transaction.effectiveDate.substr(0, 10);
+                if (sinceDate && transactionDate < sinceDate) return;
+                if (untilDate && transactionDate > untilDate) continue;
+                yield transaction;
+            }
+
+            startAt = transactions[transactions.length - 1].id;
+        }
+    }
+
     /**
      * Returns the status of the aggregation agreement
      * @return {Promise<boolean>} TODO : check this return
@@ -342,6 +528,184 @@ class IngApi {
         return await this.callIngSecureApi(`accounts/cards/v2/changeCardStatus`, 'POST', body);
     }
 
+    /**
+     * Change the payment and withdrawal limits of a card
+     * The CARD_LIMIT functionality of the card must be enabled and its limits can only be changed once a day
+     * (limitsChangedWithinTheDay). ING applies the decreases directly and requires a 2FA for the increases : the
+     * operation to confirm with confirmOneTimePassword is then returned
+     * With revertAt, the previous limits are restored at this date (e.g. a higher payment limit for a purchase of the
+     * day), see getCardLimitsReverts
+     * Usage :
+     * await ingApi.setCardLimits(accountId, cardId, {PAYMENT: 5000}, {revertAt: '2021-06-02T08:00:00Z', oneTimePasswordProvider});
+     * @param {string} accountId
+     * @param {string} cardId
+     * @param {Object<string, number>} limits - Authorized amount by CardLimitType, the other limits are kept
+     * @param {{revertAt?: Date|string, channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation,
+     * the channel and the oneTimePasswordProvider are also used by the revert when it requires a 2FA
+     * @return {Promise<{applied: boolean, limits: Array<{type: string, authorized: number}>, previousLimits: Array<{type: string, authorized: number}>, operation: Object|null, revert: Object|null}>}
+     * applied is false while the operation waits for its one time password
+     * Unverified against ING, see changeCardLimits
+     * @throws {IngCardError} if the card is unknown, the limits are invalid, the functionality is disabled or the limits have already been changed today
+     */
+    async setCardLimits(accountId, cardId, limits, options = {}) {
+        const types = Object.keys(limits || {});
+        if (!types.length || types.some(type => !this.CardLimitType[type] || typeof limits[type] !== 'number' || !(limits[type] > 0))) {
+            throw new IngCardError(this.ErrorCode.CARD.INVALID_LIMITS, `The limits must be positive amounts by type (${Object.values(this.CardLimitType).join(', ')})`, {limits}, {retryable: false});
+        }
+        const revertAt = options.revertAt ? new Date(options.revertAt) : null;
+        if (revertAt && !(revertAt.getTime() > Date.now())) {
+            throw new IngCardError(this.ErrorCode.CARD.INVALID_LIMITS, 'The revert date must be a future date', {revertAt: options.revertAt}, {retryable: false});
+        }
+
+        const card = (await this.getCards(accountId)).find(card => card.uid === cardId);
+        if (!card) throw new IngCardError(this.ErrorCode.CARD.NOT_FOUND, `Unknown card ${cardId}`, {accountId, cardId}, {retryable: false});
+
+        const {CARD_LIMIT: access} = await this.getCardFunctionalitiesAccess(accountId, cardId);
+        if (!access || !access.enabled) {
+            const restrictionType = access ? access.restrictionType : null;
+            throw new IngCardError(this.ErrorCode.CARD.FUNCTIONALITY_DISABLED, `The limits of the card ${cardId} can't be changed (${restrictionType})`, {cardId, restrictionType}, {retryable: false});
+        }
+        if (card.limitsChangedWithinTheDay) {
+            throw new IngCardError(this.ErrorCode.CARD.LIMITS_ALREADY_CHANGED, `The limits of the card ${cardId} have already been changed today`, {cardId}, {retryable: false});
+        }
+
+        const previousLimits = (await this.getCardLimits(accountId, cardId)).limits.map(({type, authorized}) => ({type, authorized}));
+        const missingTypes = types.filter(type => !previousLimits.some(limit => limit.type === type));
+        if (missingTypes.length) {
+            throw new IngCardError(this.ErrorCode.CARD.INVALID_LIMITS, `The card ${cardId} has no ${missingTypes.join(', ')} limit`, {limits}, {retryable: false});
+        }
+        const newLimits = previousLimits.map(({type, authorized}) => ({type, authorized: limits[type] === undefined ? authorized : limits[type]}));
+        const cardLimitsRequest = {accountUid: accountId, cardUid: cardId, limits: newLimits};
+
+        let operation = null;
+        try {
+            await this.changeCardLimits(cardLimitsRequest);
+        } catch (e) {
+            if (e.code !== this.ErrorCode.SCA.CARD_LIMITS_REQUIRED) throw e;
+            operation = await this.startSensitiveOperation(this.SensitiveOperationAction.CHANGE_CARD_LIMITS, cardLimitsRequest, options);
+        }
+
+        // A new change replaces the revert scheduled for the card
+        const scheduledRevert = this.cardLimitsReverts.get(`${accountId}/${cardId}`);
+        if (scheduledRevert && scheduledRevert.status === this.CardLimitsRevertStatus.SCHEDULED) this.cancelCardLimitsRevert(accountId, cardId);
+
+        const {channel, oneTimePasswordProvider, timeout} = options;
+        const revert = revertAt ? this.scheduleCardLimitsRevert({accountId, cardId, limits: previousLimits, changedLimits: newLimits, revertAt}, {channel, oneTimePasswordProvider, timeout}) : null;
+
+        const applied = !operation || operation.status === PendingOperationRegistry.Status.CONFIRMED;
+        return {applied, limits: newLimits, previousLimits, operation, revert};
+    }
+
+    /**
+     * Send new card limits to ING, the increases are refused with SCA.CARD_LIMITS_REQUIRED and must be sent with the
+     * CHANGE_CARD_LIMITS sensitive operation
+     * Unverified : this endpoint and the CHANGE_CARD_LIMITS action have only been tested against MockIngServer, not
+     * against ING
+     * @param {{accountUid: string, cardUid: string, limits: Array<{type: string, authorized: number}>}} cardLimitsRequest
+     * @return {Promise<{acknowledged: boolean}>}
+     */
+    async changeCardLimits(cardLimitsRequest) {
+        return await this.callIngSecureApi(`accounts/cards/v2/limits/change`, 'POST', cardLimitsRequest);
+    }
+
+    /**
+     * Register the revert of a card limits change and start its timer
+     * @param {{accountId: string, cardId: string, limits: Array<{type: string, authorized: number}>, changedLimits: Array<{type: string, authorized: number}>, revertAt: Date}} revert
+     * @param {Object} options - See setCardLimits
+     * @return {{accountId: string, cardId: string, limits: Array<{type: string, authorized: number}>, changedLimits: Array<{type: string, authorized: number}>, revertAt: Date, status: string, revertOperationId: string|null, lastError: Object|null}}
+     */
+    scheduleCardLimitsRevert(revert, options) {
+        const key = `${revert.accountId}/${revert.cardId}`;
+        const cardLimitsRevert = {...revert, status: this.CardLimitsRevertStatus.SCHEDULED, revertOperationId: null, lastError: null};
+        this.cardLimitsReverts.set(key, cardLimitsRevert);
+        this.cardLimitsRevertTimers.set(key, {options, timer: null});
+        this.startCardLimitsRevertTimer(key);
+        return cardLimitsRevert;
+    }
+
+    /**
+     * Start the timer of a scheduled revert, the delays longer than the setTimeout maximum are waited in several steps
+     * @param {string} key - accountId/cardId
+     */
+    startCardLimitsRevertTimer(key) {
+        const {accountId, cardId, revertAt} = this.cardLimitsReverts.get(key);
+        const delay = Math.min(Math.max(revertAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+        this.cardLimitsRevertTimers.get(key).timer = setTimeout(() => this.revertCardLimits(accountId, cardId), delay);
+    }
+
+    /**
+     * Restore the limits of a card saved by setCardLimits, called when the revert date is reached
+     * The revert is skipped when the change has not been applied (e.g. its one time password was never confirmed) or
+     * when the limits have been changed since. While the limits can't be changed again in the day, the revert is retried
+     * every hour
+     * @param {string} accountId
+     * @param {string} cardId
+     * @return {Promise<Object>} the revert, see getCardLimitsReverts
+     */
+    async revertCardLimits(accountId, cardId) {
+        const key = `${accountId}/${cardId}`;
+        const revert = this.cardLimitsReverts.get(key);
+        if (!revert || revert.status !== this.CardLimitsRevertStatus.SCHEDULED) return revert;
+        if (revert.revertAt.getTime() > Date.now()) {
+            this.startCardLimitsRevertTimer(key);
+            return revert;
+        }
+
+        revert.status = this.CardLimitsRevertStatus.RUNNING;
+        try {
+            await this.refreshSession();
+            const currentLimits = (await this.getCardLimits(accountId, cardId)).limits;
+            const changed = revert.changedLimits.every(({type, authorized}) => currentLimits.some(limit => limit.type === type && limit.authorized === authorized));
+            if (!changed) {
+                revert.status = this.CardLimitsRevertStatus.SKIPPED;
+            } else {
+                const limits = Object.fromEntries(revert.limits.map(({type, authorized}) => [type, authorized]));
+                const result = await this.setCardLimits(accountId, cardId, limits, this.cardLimitsRevertTimers.get(key).options);
+                revert.status = result.applied ? this.CardLimitsRevertStatus.DONE : this.CardLimitsRevertStatus.STARTED;
+                revert.revertOperationId = result.operation ? result.operation.id : null;
+            }
+            revert.lastError = null;
+        } catch (e) {
+            revert.lastError = {code: e.code, message: e.message};
+            if (e.code === this.ErrorCode.CARD.LIMITS_ALREADY_CHANGED) {
+                revert.status = this.CardLimitsRevertStatus.SCHEDULED;
+                revert.revertAt = new Date(Date.now() + CARD_LIMITS_REVERT_RETRY_DELAY);
+                this.startCardLimitsRevertTimer(key);
+                return revert;
+            }
+            revert.status = this.CardLimitsRevertStatus.FAILED;
+        }
+        this.cardLimitsRevertTimers.delete(key);
+        return revert;
+    }
+
+    /**
+     * Returns the card limits reverts registered by setCardLimits, with their status (see CardLimitsRevertStatus)
+     * @return {Array<{accountId: string, cardId: string, limits: Array<{type: string, authorized: number}>, changedLimits: Array<{type: string, authorized: number}>, revertAt: Date, status: string, revertOperationId: string|null, lastError: {code: string, message: string}|null}>}
+     */
+    getCardLimitsReverts() {
+        return [...this.cardLimitsReverts.values()];
+    }
+
+    /**
+     * Cancel the scheduled revert of the limits of a card, the current limits are kept
+     * @param {string} accountId
+     * @param {string} cardId
+     * @return {Object} the cancelled revert, see getCardLimitsReverts
+     * @throws {IngCardError} if no revert is scheduled for the card
+     */
+    cancelCardLimitsRevert(accountId, cardId) {
+        const key = `${accountId}/${cardId}`;
+        const revert = this.cardLimitsReverts.get(key);
+        if (!revert || revert.status !== this.CardLimitsRevertStatus.SCHEDULED) {
+            throw new IngCardError(this.ErrorCode.CARD.REVERT_NOT_FOUND, `No revert scheduled for the limits of the card ${cardId}`, {accountId, cardId}, {retryable: false});
+        }
+        clearTimeout(this.cardLimitsRevertTimers.get(key).timer);
+        this.cardLimitsRevertTimers.delete(key);
+        revert.status = this.CardLimitsRevertStatus.CANCELLED;
+        return revert;
+    }
+
     /**
      * Returns the future transfers
      * @return {Promise<{pendingTransfers: Array<{uid: string, amount: number, label: string, mobilePeriodicity: {code: string, label: string}, executionDate: string, fromAccountUid: string, fromAccountLabel: string, fromAccountType: {code: string, label: string}, toExternalAccountUid: string, toAccountLabel: string, toAccountOwner: string, toAccountBankName: string, toAccountType: {code: string, label: string}, toAccountNotOwned: boolean, cancelable: boolean}>, mobileReccuringTransfers: Array<Object>, nbPendingTransfers: number}>}
@@ -387,12 +751,130 @@ class IngApi {
     /**
      * Returns the direct debit pending transactions
      * @param {string} accountId
-     * @return {Promise<Array<Object>>}
+     * @return {Promise<Array<{uid: string, effectiveDate: string, creditorName: string, creditorId: string, reference: string, type: string, amount: number, status: string}>>}
      */
     async getAccountDirectDebitPendingTransactions(accountId) {
         return await this.callIngSecureApi(`accounts/direct/debit/pending/list/${accountId}`);
     }
 
+    /**
+     * Suspend a direct debit authorization (SDD mandate), a 2FA verification is necessary
+     * The debits of the creditor are rejected while the mandate is suspended
+     * Unverified : the direct debit actions have only been tested against MockIngServer, not against ING
+     * @param {string} accountId
+     * @param {string} authorizationId - uid of an authorization returned by getAccountDirectDebitAuthorizations
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: {accountUid: string, authorizationUid: string}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngDirectDebitError} if the authorization is unknown or not active
+     */
+    async suspendDirectDebitAuthorization(accountId, authorizationId, options = {}) {
+        await this.getDirectDebitAuthorization(accountId, authorizationId, ['ACTIVE']);
+        const authorizationRequest = {accountUid: accountId, authorizationUid: authorizationId};
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.SUSPEND_DIRECT_DEBIT_AUTHORIZATION, authorizationRequest, options);
+    }
+
+    /**
+     * Revoke a direct debit authorization (SDD mandate), a 2FA verification is necessary
+     * A revoked mandate can't be used by the creditor anymore, a new mandate must be signed to be debited again
+     * Unverified against ING, see suspendDirectDebitAuthorization
+     * @param {string} accountId
+     * @param {string} authorizationId - uid of an authorization returned by getAccountDirectDebitAuthorizations
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: {accountUid: string, authorizationUid: string}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngDirectDebitError} if the authorization is unknown or already revoked
+     */
+    async revokeDirectDebitAuthorization(accountId, authorizationId, options = {}) {
+        await this.getDirectDebitAuthorization(accountId, authorizationId, ['ACTIVE', 'SUSPENDED']);
+        const authorizationRequest = {accountUid: accountId, authorizationUid: authorizationId};
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.REVOKE_DIRECT_DEBIT_AUTHORIZATION, authorizationRequest, options);
+    }
+
+    /**
+     * Returns a direct debit authorization of an account, checking its status
+     * @param {string} accountId
+     * @param {string} authorizationId
+     * @param {Array<string>} allowedStatuses - Status codes accepted for the operation
+     * @return {Promise<Object>} the authorization, see getAccountDirectDebitAuthorizations
+     * @throws {IngDirectDebitError} if the authorization is unknown or its status is not allowed
+     */
+    async getDirectDebitAuthorization(accountId, authorizationId, allowedStatuses) {
+        const authorization = (await this.getAccountDirectDebitAuthorizations(accountId)).find(authorization => authorization.uid === authorizationId);
+        if (!authorization) {
+            throw new IngDirectDebitError(this.ErrorCode.DIRECT_DEBIT.NOT_FOUND, `Unknown direct debit authorization ${authorizationId}`, {accountId, authorizationId}, {retryable: false});
+        }
+        if (!allowedStatuses.includes(authorization.status.code)) {
+            throw new IngDirectDebitError(this.ErrorCode.DIRECT_DEBIT.INVALID_STATUS, `The direct debit authorization ${authorizationId} is ${authorization.status.code}`, {authorizationId, status: authorization.status.code}, {retryable: false});
+        }
+        return authorization;
+    }
+
+    /**
+     * Block the direct debits of a creditor on an account, a 2FA verification is necessary
+     * The creditor can be blocked without any authorization, its authorizations are then flagged with creditorBlocked
+     * Unverified against ING, see suspendDirectDebitAuthorization
+     * @param {string} accountId
+     * @param {string} creditorId - SEPA creditor identifier (e.g. FR21ZZZ123456)
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: {accountUid: string, creditorId: string}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngDirectDebitError} if the creditor identifier is invalid
+     */
+    async blockDirectDebitCreditor(accountId, creditorId, options = {}) {
+        const creditorRequest = {accountUid: accountId, creditorId: this.normalizeCreditorId(creditorId)};
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.BLOCK_DIRECT_DEBIT_CREDITOR, creditorRequest, options);
+    }
+
+    /**
+     * Unblock the direct debits of a creditor on an account, a 2FA verification is necessary
+     * Unverified against ING, see suspendDirectDebitAuthorization
+     * @param {string} accountId
+     * @param {string} creditorId - SEPA creditor identifier (e.g. FR21ZZZ123456)
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: {accountUid: string, creditorId: string}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngDirectDebitError} if the creditor identifier is invalid
+     */
+    async unblockDirectDebitCreditor(accountId, creditorId, options = {}) {
+        const creditorRequest = {accountUid: accountId, creditorId: this.normalizeCreditorId(creditorId)};
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.UNBLOCK_DIRECT_DEBIT_CREDITOR, creditorRequest, options);
+    }
+
+    /**
+     * Returns a SEPA creditor identifier without spaces and in upper case
+     * Example :
+     * ingApi.normalizeCreditorId('fr21 zzz 123456') = 'FR21ZZZ123456'
+     * @param {string} creditorId
+     * @return {string}
+     * @throws {IngDirectDebitError} if the creditor identifier is invalid
+     */
+    normalizeCreditorId(creditorId) {
+        const normalizedCreditorId = String(creditorId || '').replace(/\s/g, '').toUpperCase();
+        // Country code, check digits, creditor business code and national identifier
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{3}[A-Z0-9]{1,28}$/.test(normalizedCreditorId)) {
+            throw new IngDirectDebitError(this.ErrorCode.DIRECT_DEBIT.INVALID_CREDITOR_ID, `Invalid SEPA creditor identifier ${creditorId}`, {creditorId}, {retryable: false});
+        }
+        return normalizedCreditorId;
+    }
+
+    /**
+     * Reject a pending direct debit before its execution, a 2FA verification is necessary
+     * Unverified against ING, see suspendDirectDebitAuthorization
+     * @param {string} accountId
+     * @param {string} debitId - uid of a debit returned by getAccountDirectDebitPendingTransactions
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: {accountUid: string, debitUid: string}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngDirectDebitError} if the debit is unknown or not pending anymore
+     */
+    async rejectDirectDebit(accountId, debitId, options = {}) {
+        const debit = (await this.getAccountDirectDebitPendingTransactions(accountId)).find(debit => debit.uid === debitId);
+        if (!debit) {
+            throw new IngDirectDebitError(this.ErrorCode.DIRECT_DEBIT.NOT_FOUND, `Unknown pending direct debit ${debitId}`, {accountId, debitId}, {retryable: false});
+        }
+        if (debit.status !== 'PENDING') {
+            throw new IngDirectDebitError(this.ErrorCode.DIRECT_DEBIT.INVALID_STATUS, `The direct debit ${debitId} is ${debit.status}`, {debitId, status: debit.status}, {retryable: false});
+        }
+        const rejectRequest = {accountUid: accountId, debitUid: debitId};
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.REJECT_DIRECT_DEBIT, rejectRequest, options);
+    }
+
     /**
      * Returns the external accounts beneficiaries
      * @return {Promise<Array<{uid: string, label: string, owner: string, type: {code: string, label: string}, bankName: string, bic: string, inGoodStanding: boolean, hasPositiveBalance: boolean}>>}
@@ -417,6 +899,7 @@ class IngApi {
     async generateSaveInvestApiToken() {
         const res = await this.callIngSecureApi(`saveInvest/token/generate`);
         this.session.saveInvestToken = res.token;
+        await this.saveSession();
         return res;
     }
 
@@ -471,12 +954,12 @@ class IngApi {
      * @return {Promise<Buffer>}
      */
     async getKeypadImageBufferSensitiveOperationAction(keyPadUrl) {
-        const res = await fetch(`https://m.ing.fr/secure/api-v1/${keyPadUrl}`, {
+        const res = await this.fetchIng(`${this.baseUrl}/secure/api-v1/${keyPadUrl}`, keyPadUrl, 'GET', {
             headers: {
-                'Cookie': this.session.cookie,
                 'Ingdf-Auth-Token': this.session.authToken
             }
         });
+        if (!res.ok) await this.parseIngApiResponse(res, keyPadUrl, 'GET');
         return await res.buffer();
     }
 
@@ -484,13 +967,12 @@ class IngApi {
      * Validate a sensitive operation action posting password missing digits positions
      * @param {Array<Array<Number>>} clickPositions
      * @param {string} sensitiveOperationAction
-     * @param {{fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string} | {accountHolderName: string, bankName:string, bic: string, iban: string} | null} request
+     * @param {{fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string} | {accountHolderName: string, bankName:string, bic: string, iban: string} | {transferUid: string, recurring: boolean} | {accountUid: string, cardUid: string, limits: Array<{type: string, authorized: number}>} | {accountUid: string, authorizationUid: string} | {accountUid: string, creditorId: string} | {accountUid: string, debitUid: string} | {fromAccount: string, toAccount: string, amount: number, currency: string, feeOption: string, label: string, quoteId: string} | Object | null} request
      * @return {Promise<{validated: boolean, secretCode: string, executed: boolean}>}
      */
     async validatePinSensitiveOperationAction(clickPositions, sensitiveOperationAction, request = null) {
         const body = {keyPad: {clickPositions: clickPositions}, sensitiveOperationAction: sensitiveOperationAction};
-        if (sensitiveOperationAction === this.SensitiveOperationAction.EXTERNAL_TRANSFER && request) body.transferRequest = request;
-        else if (sensitiveOperationAction === this.SensitiveOperationAction.ADD_TRANSFER_BENEFICIARY && request) body.externalAccountsRequest = request;
+        this.addSensitiveOperationRequest(body, sensitiveOperationAction, request);
         return await this.callIngSecureApi('sca/validatePin', 'POST', body);
     }
 
@@ -500,87 +982,362 @@ class IngApi {
      * @param {string} secretCode
      * @param {string} channelValue
      * @param {string} channelType
-     * @param {{fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string} | {accountHolderName: string, bankName:string, bic: string, iban: string} | null} request
+     * @param {{fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string} | {accountHolderName: string, bankName:string, bic: string, iban: string} | {transferUid: string, recurring: boolean} | {accountUid: string, cardUid: string, limits: Array<{type: string, authorized: number}>} | {accountUid: string, authorizationUid: string} | {accountUid: string, creditorId: string} | {accountUid: string, debitUid: string} | {fromAccount: string, toAccount: string, amount: number, currency: string, feeOption: string, label: string, quoteId: string} | Object | null} request
      * @return {Promise<{acknowledged: boolean}>}
      */
     async sendOneTimePassword(sensitiveOperationAction, secretCode, channelValue, channelType, request = null) {
         const body = {sensitiveOperationAction, secretCode, channelValue, channelType};
-        if (sensitiveOperationAction === this.SensitiveOperationAction.EXTERNAL_TRANSFER && request) body.transferRequest = request
-        else if (sensitiveOperationAction === this.SensitiveOperationAction.ADD_TRANSFER_BENEFICIARY && request) body.externalAccountsRequest = request
+        this.addSensitiveOperationRequest(body, sensitiveOperationAction, request);
         return await this.callIngSecureApi('sca/sendOtp', 'POST', body);
     }
 
     /**
-     * Confirm the one time password received
+     * Confirm the one time password received for a sensitive operation action
      * @param {string} sensitiveOperationAction
      * @param {string} oneTimePassword
-     * @param {{fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string} | {accountHolderName: string, bankName:string, bic: string, iban: string} | null} request
+     * @param {{fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string} | {accountHolderName: string, bankName:string, bic: string, iban: string} | {transferUid: string, recurring: boolean} | {accountUid: string, cardUid: string, limits: Array<{type: string, authorized: number}>} | {accountUid: string, authorizationUid: string} | {accountUid: string, creditorId: string} | {accountUid: string, debitUid: string} | {fromAccount: string, toAccount: string, amount: number, currency: string, feeOption: string, label: string, quoteId: string} | Object | null} request
      * @return {Promise<{acknowledged: boolean}>}
      */
-    async confirmOneTimePassword(sensitiveOperationAction, oneTimePassword, request = null) {
+    async confirmOneTimePasswordSensitiveOperationAction(sensitiveOperationAction, oneTimePassword, request = null) {
         const body = {sensitiveOperationAction, otp: oneTimePassword};
-        if (sensitiveOperationAction === this.SensitiveOperationAction.EXTERNAL_TRANSFER && request) body.transferRequest = request
-        else if (sensitiveOperationAction === this.SensitiveOperationAction.ADD_TRANSFER_BENEFICIARY && request) body.externalAccountsRequest = request
+        this.addSensitiveOperationRequest(body, sensitiveOperationAction, request);
         return await this.callIngSecureApi('sca/confirmOtp', 'POST', body);
     }
 
     /**
-     * Allows the loading of more transactions, a 2FA verification is necessary
+     * Confirm the one time password received for a pending operation
+     * A wrong one time password leaves the operation pending, so that it can be confirmed again until it expires
+     * @param {string} operationId - Id returned by accessMoreTransactions or by the operations requiring a 2FA (makeTransfer, addNewBeneficiary, setCardLimits, rejectDirectDebit...)
+     * @param {string} oneTimePassword
      * @return {Promise<{acknowledged: boolean}>}
+     * @throws {IngOperationError} if the operation is unknown, expired, cancelled, superseded by a newer operation, being confirmed or already confirmed
      */
-    async accessMoreTransactions() {
-        const sensitiveOperationAction = this.SensitiveOperationAction.DISPLAY_TRANSACTIONS;
+    async confirmOneTimePassword(operationId, oneTimePassword) {
+        const {CONFIRMING, CONFIRMED, PENDING} = PendingOperationRegistry.Status;
+        const operation = this.pendingOperations.getPending(operationId);
+        // Set before the first await : a second confirmation or a cancel is refused while ING answers
+        this.pendingOperations.setStatus(operationId, CONFIRMING);
+        try {
+            const result = await this.confirmOneTimePasswordSensitiveOperationAction(operation.type, oneTimePassword, operation.payload);
+            this.pendingOperations.transition(operationId, CONFIRMING, CONFIRMED, {lastError: null});
+            return result;
+        } catch (e) {
+            this.pendingOperations.transition(operationId, CONFIRMING, PENDING, {lastError: {code: e.code, message: e.message}});
+            throw e;
+        }
+    }
 
+    /**
+     * Cancel a pending operation, its one time password will not be confirmed
+     * @param {string} operationId
+     * @return {{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}}
+     */
+    cancelOperation(operationId) {
+        return this.pendingOperations.cancel(operationId);
+    }
+
+    /**
+     * Returns the sensitive operations, the most recent first
+     * @param {{status?: string, type?: string}} filters
+     * @return {Array<{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}>}
+     */
+    getOperations(filters = {}) {
+        return this.pendingOperations.list(filters);
+    }
+
+    /**
+     * Perform the keypad and pin code steps of a sensitive operation action, send the one time password and register
+     * the operation waiting for it
+     * ING keeps a single flow by session, the pending operations are superseded when the keypad is requested and when
+     * the new operation is registered
+     * With a oneTimePasswordProvider, the one time password is awaited and confirmed : the operation is returned
+     * confirmed, or cancelled with an IngOperationError on timeout or abort
+     * @param {string} sensitiveOperationAction
+     * @param {Object|null} request
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options
+     * @return {Promise<{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}>}
+     */
+    async startSensitiveOperation(sensitiveOperationAction, request = null, options = {}) {
+        this.pendingOperations.supersede(sensitiveOperationAction);
         const missingPasswordDigitsPositions = await this.getMissingPasswordDigitsPositionsSensitiveOperationAction(sensitiveOperationAction);
         const keypadImageBuffer = await this.getKeypadImageBufferSensitiveOperationAction(missingPasswordDigitsPositions.keyPadUrl);
 
-        const passwordKeypad = new PasswordKeypad(keypadImageBuffer, 5);
+        const passwordKeypad = new PasswordKeypad(keypadImageBuffer);
 
         const clickPositions = await passwordKeypad.getClicksPositions(missingPasswordDigitsPositions.pinPositions, this.password);
-        const validatePin = await this.validatePinSensitiveOperationAction(clickPositions, sensitiveOperationAction);
+        const validatePin = await this.validatePinSensitiveOperationAction(clickPositions, sensitiveOperationAction, request);
 
         const oneTimePasswordChannels = await this.getSensitiveOperationOneTimePasswordChannels(sensitiveOperationAction);
+        const channel = this.selectOneTimePasswordChannel(oneTimePasswordChannels, options.channel);
+
+        await this.sendOneTimePassword(sensitiveOperationAction, validatePin.secretCode, channel.phone, channel.type, request);
+
+        // An operation started meanwhile has been superseded by this flow on the ING side
+        this.pendingOperations.supersede(sensitiveOperationAction);
+        const operation = this.pendingOperations.create(sensitiveOperationAction, request, {channel: {type: channel.type, phone: channel.phone}});
+        if (!options.oneTimePasswordProvider) return operation;
+
+        const oneTimePassword = await this.waitForOneTimePassword(operation, options.oneTimePasswordProvider, options);
+        await this.confirmOneTimePassword(operation.id, oneTimePassword);
+        return this.pendingOperations.get(operation.id);
+    }
 
-        const otpSmsChannel = oneTimePasswordChannels.find(channel => channel.type === "SMS_MOBILE");
+    /**
+     * Select the channel to send a one time password to
+     * Without criteria, the SMS_MOBILE channel is preferred
+     * @param {Array<{phone: string, type: string}>} channels - Returned by getSensitiveOperationOneTimePasswordChannels
+     * @param {{type?: string, phone?: string}|null} criteria - The phone can be masked like ING does (e.g. +33 6** ** ** 42)
+     * @return {{phone: string, type: string}}
+     * @throws {IngScaError} if no channel matches
+     */
+    selectOneTimePasswordChannel(channels, criteria = null) {
+        const availableChannels = Array.isArray(channels) ? channels : [];
+        const normalizePhone = phone => String(phone || '').replace(/[\s.\-]/g, '');
+        const phoneMatch = (channelPhone, phone) => {
+            const a = normalizePhone(channelPhone), b = normalizePhone(phone);
+            return a.length === b.length && [...a].every((c, i) => c === b[i] || c === '*' || b[i] === '*');
+        };
 
-        return this.sendOneTimePassword(sensitiveOperationAction, validatePin.secretCode, otpSmsChannel.phone, otpSmsChannel.type);
+        let channel;
+        if (criteria && (criteria.type || criteria.phone)) {
+            channel = availableChannels.find(c => (!criteria.type || c.type === criteria.type) && (!criteria.phone || phoneMatch(c.phone, criteria.phone)));
+        } else {
+            channel = availableChannels.find(c => c.type === 'SMS_MOBILE') || availableChannels[0];
+        }
 
+        if (!channel) {
+            throw new IngScaError(this.ErrorCode.SCA.NO_OTP_CHANNEL, 'No one time password channel matches', {criteria, channels: availableChannels});
+        }
+        return channel;
+    }
+
+    /**
+     * Wait for the one time password of a pending operation given by a provider
+     * The operation is cancelled if the timeout is reached or the signal is aborted
+     * @param {{id: string, type: string, channel: {type: string, phone: string}}} operation
+     * @param {function({operation: Object, sensitiveOperationAction: string, channel: Object, signal: AbortSignal}): Promise<string>} oneTimePasswordProvider
+     * @param {{timeout?: number, signal?: AbortSignal}} options - timeout in ms, the operation expiry by default
+     * @return {Promise<string>}
+     * @throws {IngOperationError} on timeout or abort
+     */
+    async waitForOneTimePassword(operation, oneTimePasswordProvider, {timeout = null, signal = null} = {}) {
+        const providerController = new AbortController();
+        const waitTime = timeout || Math.max(operation.expiresAt.getTime() - Date.now(), 0);
+
+        let timer, onAbort;
+        const interruption = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new IngOperationError(this.ErrorCode.OPERATION.TIMEOUT, `No one time password received for the operation ${operation.id}`, {operationId: operation.id})), waitTime);
+            onAbort = () => reject(new IngOperationError(this.ErrorCode.OPERATION.ABORTED, `The operation ${operation.id} has been aborted`, {operationId: operation.id}));
+            if (signal && signal.aborted) onAbort();
+            else if (signal) signal.addEventListener('abort', onAbort, {once: true});
+        });
+
+        try {
+            const context = {operation, sensitiveOperationAction: operation.type, channel: operation.channel, signal: providerController.signal};
+            return String(await Promise.race([oneTimePasswordProvider(context), interruption])).trim();
+        } catch (e) {
+            if (e instanceof IngOperationError && this.pendingOperations.get(operation.id).status === PendingOperationRegistry.Status.PENDING) {
+                this.pendingOperations.cancel(operation.id);
+            }
+            throw e;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            providerController.abort();
+        }
+    }
+
+    /**
+     * Add the request of a sensitive operation action to a request body, under the key expected by ING
+     * @param {Object} body
+     * @param {string} sensitiveOperationAction
+     * @param {Object|null} request
+     */
+    addSensitiveOperationRequest(body, sensitiveOperationAction, request) {
+        const requestKey = this.SensitiveOperationRequestKey[sensitiveOperationAction];
+        if (requestKey && request) body[requestKey] = request;
+    }
+
+    /**
+     * Allows the loading of more transactions, a 2FA verification is necessary
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: null, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     */
+    async accessMoreTransactions(options = {}) {
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.DISPLAY_TRANSACTIONS, null, options);
     }
 
     /**
      * Create and validate a credit transfer, a 2FA verification is necessary
+     * The transfer is checked against the transfer policy before being sent to ING
+     * With the dryRun option, the transfer is validated by ING and its suggested execution date is returned with the
+     * policy verdict, without starting the 2FA
+     * With the recurrence option, a recurring transfer is created : desiredExecutionDate is its first execution, and it
+     * is listed in the mobileReccuringTransfers of getFutureTransfers (unverified against ING, see getRecurrenceFields)
      * @param {string} fromAccount - Debit account id
      * @param {string} toAccount - External account id
      * @param {number} amount
      * @param {string} label
      * @param {string} desiredExecutionDate - Desired execution date with format "YYYY-MM-DD"
-     * @return {Promise<{acknowledged: boolean}>}
+     * @param {{dryRun?: boolean, recurrence?: {periodicity: string, endDate?: string}, channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation,
+     * recurrence : periodicity is a TransferPeriodicity code, endDate the last execution date with format "YYYY-MM-DD" (none by default)
+     * @return {Promise<{id: string, type: string, payload: {fromAccount: string, toAccount: string, amount: number, label: string, executionDate: string, mobilePeriodicity?: {code: string}, endDate?: string}, createdAt: Date, expiresAt: Date, status: string}|{dryRun: boolean, transferRequest: Object, executionDate: string, policy: {allowed: boolean, violations: Array<{rule: string, message: string}>}}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngPolicyError} if the amount is invalid or the transfer breaks the transfer policy
+     * @throws {IngTransferError} if the periodicity is unknown
      */
-    async makeTransfer(fromAccount, toAccount, amount, label = '', desiredExecutionDate = '') {
-        const sensitiveOperationAction = this.SensitiveOperationAction.EXTERNAL_TRANSFER;
+    async makeTransfer(fromAccount, toAccount, amount, label = '', desiredExecutionDate = '', options = {}) {
+        TransferPolicy.checkAmount(amount);
 
-        const initiatedTransfer = await this.validateNewTransfer(fromAccount, toAccount, amount, label, desiredExecutionDate);
+        const recurrence = options.recurrence || null;
+        if (recurrence && !Object.values(this.TransferPeriodicity).includes(recurrence.periodicity)) {
+            throw new IngTransferError(this.ErrorCode.TRANSFER.INVALID_PERIODICITY, `Unknown periodicity ${recurrence.periodicity}`, {periodicity: recurrence.periodicity}, {retryable: false});
+        }
 
-        const executionSuggestedDateDay = initiatedTransfer.executionSuggestedDate.substr(0, 2);
-        const executionSuggestedDateMonth = initiatedTransfer.executionSuggestedDate.substr(3, 2);
-        const executionSuggestedDateYear = initiatedTransfer.executionSuggestedDate.substr(6, 4);
+        const {reservation, ...policy} = this.transferPolicy ? await this.transferPolicy.checkTransfer(this, {fromAccount, toAccount, amount}, new Date(), {reserve: !options.dryRun}) : {allowed: true, violations: []};
+        try {
+            if (!options.dryRun) TransferPolicy.assertAllowed(policy, this.ErrorCode.POLICY.TRANSFER_REFUSED);
 
-        const executionDate = `${executionSuggestedDateYear}-${executionSuggestedDateMonth}-${executionSuggestedDateDay}`;
-        const transferRequest = {fromAccount, toAccount, amount, label, executionDate};
-        this.validationRequest.transferRequest = transferRequest;
+            const initiatedTransfer = await this.validateNewTransfer(fromAccount, toAccount, amount, label, desiredExecutionDate, recurrence);
 
-        const missingPasswordDigitsPositions = await this.getMissingPasswordDigitsPositionsSensitiveOperationAction(sensitiveOperationAction);
-        const keypadImageBuffer = await this.getKeypadImageBufferSensitiveOperationAction(missingPasswordDigitsPositions.keyPadUrl);
+            const executionSuggestedDateDay = initiatedTransfer.executionSuggestedDate.substr(0, 2);
+            const executionSuggestedDateMonth = initiatedTransfer.executionSuggestedDate.substr(3, 2);
+            const executionSuggestedDateYear = initiatedTransfer.executionSuggestedDate.substr(6, 4);
 
-        const passwordKeypad = new PasswordKeypad(keypadImageBuffer, 5);
+            const executionDate = `${executionSuggestedDateYear}-${executionSuggestedDateMonth}-${executionSuggestedDateDay}`;
+            const transferRequest = {fromAccount, toAccount, amount, label, executionDate, ...IngApi.getRecurrenceFields(recurrence)};
 
-        const clickPositions = await passwordKeypad.getClicksPositions(missingPasswordDigitsPositions.pinPositions, this.password);
-        const validatePin = await this.validatePinSensitiveOperationAction(clickPositions, sensitiveOperationAction, transferRequest);
+            if (options.dryRun) return {dryRun: true, transferRequest, executionDate, policy};
 
-        const oneTimePasswordChannels = await this.getSensitiveOperationOneTimePasswordChannels(sensitiveOperationAction);
-        const otpSmsChannel = oneTimePasswordChannels.find(channel => channel.type === "SMS_MOBILE");
+            if (reservation) reservation.payload = transferRequest;
+            return await this.startSensitiveOperation(this.SensitiveOperationAction.EXTERNAL_TRANSFER, transferRequest, options);
+        } finally {
+            if (reservation) this.transferPolicy.releaseReservation(reservation);
+        }
+    }
+
+    /**
+     * Returns the fields describing a recurrence in the transfer requests, ING uses the mobilePeriodicity shape of
+     * getFutureTransfers
+     * Unverified : these fields of the validateNewTransfer and EXTERNAL_TRANSFER requests are inferred from the
+     * getFutureTransfers responses and have only been tested against MockIngServer, not against ING
+     * @param {{periodicity: string, endDate?: string}|null} recurrence
+     * @return {{mobilePeriodicity?: {code: string}, endDate?: string}}
+     */
+    static getRecurrenceFields(recurrence) {
+        if (!recurrence) return {};
+        const fields = {mobilePeriodicity: {code: recurrence.periodicity}};
+        if (recurrence.endDate) fields.endDate = recurrence.endDate;
+        return fields;
+    }
+
+    /**
+     * Cancel a deferred or recurring transfer returned by getFutureTransfers, a 2FA verification is necessary
+     * Unverified : the CANCEL_FUTURE_TRANSFER action and its futureTransferCancelRequest have only been tested against
+     * MockIngServer, not against ING
+     * @param {string} transferId - uid of a pendingTransfers or mobileReccuringTransfers item
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation
+     * @return {Promise<{id: string, type: string, payload: {transferUid: string, recurring: boolean}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngTransferError} if the transfer is unknown or can't be cancelled anymore
+     */
+    async cancelFutureTransfer(transferId, options = {}) {
+        const {pendingTransfers = [], mobileReccuringTransfers = []} = await this.getFutureTransfers();
+        const pendingTransfer = pendingTransfers.find(transfer => transfer.uid === transferId);
+        const recurringTransfer = mobileReccuringTransfers.find(transfer => transfer.uid === transferId);
+        const transfer = pendingTransfer || recurringTransfer;
+
+        if (!transfer) {
+            throw new IngTransferError(this.ErrorCode.TRANSFER.NOT_FOUND, `Unknown future transfer ${transferId}`, {transferId}, {retryable: false});
+        }
+        // ING flags the deferred transfers whose execution has started
+        if (transfer.cancelable === false) {
+            throw new IngTransferError(this.ErrorCode.TRANSFER.NOT_CANCELABLE, `The transfer ${transferId} can't be cancelled anymore`, {transferId}, {retryable: false});
+        }
+
+        const cancelRequest = {transferUid: transferId, recurring: Boolean(recurringTransfer)};
+        return await this.startSensitiveOperation(this.SensitiveOperationAction.CANCEL_FUTURE_TRANSFER, cancelRequest, options);
+    }
 
-        return await this.sendOneTimePassword(sensitiveOperationAction, validatePin.secretCode, otpSmsChannel.phone, otpSmsChannel.type, transferRequest);
+    /**
+     * Returns the quote of an international transfer : exchange rate, amount debited in euros, fees and execution date,
+     * valid until its expiry date
+     * Unverified : the international endpoints and the INTERNATIONAL_TRANSFER and ADD_INTERNATIONAL_BENEFICIARY actions
+     * have only been tested against MockIngServer, not against ING
+     * @param {string} fromAccount - Debit account id
+     * @param {string} toAccount - International beneficiary id
+     * @param {number} amount - Amount in the transfer currency
+     * @param {string} currency - ISO 4217 code of the transfer currency (e.g. USD)
+     * @param {string} feeOption - InternationalFeeOption
+     * @return {Promise<{quoteId: string, fromAccount: string, toAccount: string, amount: number, currency: string, feeOption: string, exchangeRate: number, debitAmount: number, fees: {amount: number, currency: string}, totalDebitAmount: number, executionDate: string, expiresAt: string}>}
+     */
+    async quoteInternationalTransfer(fromAccount, toAccount, amount, currency, feeOption) {
+        const body = {fromAccount, toAccount, amount, currency, feeOption};
+        return await this.callIngSecureApi(`transfers/international/quote`, 'POST', body);
+    }
+
+    /**
+     * Returns a quote returned by quoteInternationalTransfer, if it has not expired
+     * Unverified against ING, see quoteInternationalTransfer
+     * @param {string} quoteId
+     * @return {Promise<Object>} the quote, see quoteInternationalTransfer
+     */
+    async getInternationalTransferQuote(quoteId) {
+        return await this.callIngSecureApi(`transfers/international/quote/${quoteId}`);
+    }
+
+    /**
+     * Make an international wire transfer to an international beneficiary (non-SEPA or foreign currency account), a 2FA
+     * verification is necessary
+     * Unverified against ING, see quoteInternationalTransfer
+     * The transfer is quoted by ING first, or uses the quote of quoteId (e.g. returned by a dry run). The quote is given
+     * to onQuote before the 2FA, returning false declines it. The transfer policy is checked against the amount debited
+     * in euros, fees included
+     * @param {string} fromAccount - Debit account id
+     * @param {string} toAccount - International beneficiary id
+     * @param {number} amount - Amount in the transfer currency
+     * @param {string} currency - ISO 4217 code of the transfer currency (e.g. USD)
+     * @param {{feeOption?: string, label?: string, quoteId?: string, dryRun?: boolean, onQuote?: function(Object): Promise<boolean|void>, channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal}} options - See startSensitiveOperation,
+     * feeOption : InternationalFeeOption, SHA by default
+     * @return {Promise<{id: string, type: string, payload: {fromAccount: string, toAccount: string, amount: number, currency: string, feeOption: string, label: string, quoteId: string, totalDebitAmount: number}, createdAt: Date, expiresAt: Date, status: string}|{dryRun: boolean, transferRequest: Object, quote: Object, policy: {allowed: boolean, violations: Array<{rule: string, message: string}>}}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngPolicyError} if the amount is invalid or the transfer breaks the transfer policy
+     * @throws {IngTransferError} if the currency or the fee option is invalid, the quote doesn't match the transfer or is declined
+     */
+    async makeInternationalTransfer(fromAccount, toAccount, amount, currency, options = {}) {
+        TransferPolicy.checkAmount(amount);
+
+        const transferCurrency = String(currency || '').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(transferCurrency)) {
+            throw new IngTransferError(this.ErrorCode.TRANSFER.INVALID_CURRENCY, `Invalid currency ${currency}`, {currency}, {retryable: false});
+        }
+        const feeOption = options.feeOption || this.InternationalFeeOption.SHA;
+        if (!Object.values(this.InternationalFeeOption).includes(feeOption)) {
+            throw new IngTransferError(this.ErrorCode.TRANSFER.INVALID_FEE_OPTION, `Unknown fee option ${feeOption}`, {feeOption}, {retryable: false});
+        }
+
+        const quote = options.quoteId
+            ? await this.getInternationalTransferQuote(options.quoteId)
+            : await this.quoteInternationalTransfer(fromAccount, toAccount, amount, transferCurrency, feeOption);
+        const expected = {fromAccount, toAccount, amount, currency: transferCurrency, feeOption};
+        const mismatches = Object.keys(expected).filter(key => quote[key] !== expected[key]);
+        if (mismatches.length) {
+            throw new IngTransferError(this.ErrorCode.TRANSFER.QUOTE_MISMATCH, `The quote ${quote.quoteId} doesn't match the transfer ${mismatches.join(', ')}`, {quoteId: quote.quoteId, mismatches}, {retryable: false});
+        }
+
+        const {reservation, ...policy} = this.transferPolicy ? await this.transferPolicy.checkTransfer(this, {fromAccount, toAccount, amount: quote.totalDebitAmount}, new Date(), {reserve: !options.dryRun}) : {allowed: true, violations: []};
+        try {
+            if (!options.dryRun) TransferPolicy.assertAllowed(policy, this.ErrorCode.POLICY.TRANSFER_REFUSED);
+
+            const transferRequest = {...expected, label: options.label || '', quoteId: quote.quoteId, totalDebitAmount: quote.totalDebitAmount};
+            if (options.dryRun) return {dryRun: true, transferRequest, quote, policy};
+
+            if (options.onQuote && await options.onQuote(quote) === false) {
+                throw new IngTransferError(this.ErrorCode.TRANSFER.QUOTE_DECLINED, `The quote ${quote.quoteId} has been declined`, {quoteId: quote.quoteId}, {retryable: false});
+            }
+
+            if (reservation) reservation.payload = transferRequest;
+            return await this.startSensitiveOperation(this.SensitiveOperationAction.INTERNATIONAL_TRANSFER, transferRequest, options);
+        } finally {
+            if (reservation) this.transferPolicy.releaseReservation(reservation);
+        }
     }
 
     /**
@@ -599,10 +1356,11 @@ class IngApi {
      * @param {number} amount
      * @param {string} label
      * @param {string} executionDate
+     * @param {{periodicity: string, endDate?: string}|null} recurrence - See makeTransfer
      * @return {Promise<{executionSuggestedDate: string}>}
      */
-    async validateNewTransfer(fromAccount, toAccount, amount, label = '', executionDate = '') {
-        const body = {fromAccount, toAccount, amount, keyPadSize: {width: 3800, height: 1520}};
+    async validateNewTransfer(fromAccount, toAccount, amount, label = '', executionDate = '', recurrence = null) {
+        const body = {fromAccount, toAccount, amount, keyPadSize: {width: 3800, height: 1520}, ...IngApi.getRecurrenceFields(recurrence)};
         if (label) body.label = label;
         if (executionDate) body.executionDate = executionDate;
         return await this.callIngSecureApi(`transfers/v3/new/validate`, 'POST', body);
@@ -610,47 +1368,158 @@ class IngApi {
 
     /**
      * Create and validate a new beneficiary, a 2FA verification is necessary
+     * The IBAN is checked offline (see IbanValidator) before being sent to ING, then the BIC of the bank returned by ING
+     * and the beneficiary against the existing ones (see checkBeneficiaryNotExisting), before the 2FA
      * @param {string} accountHolderName
      * @param {string} iban
-     * @return {Promise<{acknowledged: boolean}|{error: {code: string, message: string, values: {}}}>}
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal, allowSameHolder?: boolean}} options - See startSensitiveOperation and checkBeneficiaryNotExisting
+     * @return {Promise<{id: string, type: string, payload: {accountHolderName: string, bankName:string, bic: string, iban: string}, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngExternalAccountError} if the IBAN is invalid or the beneficiary already exists
+     * @throws {IngPolicyError} if the beneficiary addition breaks the transfer policy
      */
-    async addNewBeneficiary(accountHolderName, iban) {
+    async addNewBeneficiary(accountHolderName, iban, options = {}) {
         const sensitiveOperationAction = this.SensitiveOperationAction.ADD_TRANSFER_BENEFICIARY;
+        const normalizedIban = IbanValidator.checkIban(iban);
 
-        const externalAccountRequest = await this.addExternalAccountRequest(accountHolderName, iban);
-
-        if (externalAccountRequest.error) return externalAccountRequest; // TODO : manage the error
-        this.validationRequest.externalAccountsRequest = externalAccountRequest;
-
-        const toggleScaStatusResponse = await this.toggleScaStatus(sensitiveOperationAction);
-        console.log(toggleScaStatusResponse);
-
-        const missingPasswordDigitsPositions = await this.getMissingPasswordDigitsPositionsSensitiveOperationAction(sensitiveOperationAction);
-        const keypadImageBuffer = await this.getKeypadImageBufferSensitiveOperationAction(missingPasswordDigitsPositions.keyPadUrl);
-
-        const passwordKeypad = new PasswordKeypad(keypadImageBuffer, 5);
-        const clickPositions = await passwordKeypad.getClicksPositions(missingPasswordDigitsPositions.pinPositions, this.password);
-
-        const validatePin = await this.validatePinSensitiveOperationAction(clickPositions, sensitiveOperationAction, externalAccountRequest);
+        if (this.transferPolicy) {
+            TransferPolicy.assertAllowed(this.transferPolicy.checkBeneficiaryAddition({accountHolderName, iban: normalizedIban}), this.ErrorCode.POLICY.BENEFICIARY_REFUSED);
+        }
 
-        const oneTimePasswordChannels = await this.getSensitiveOperationOneTimePasswordChannels(sensitiveOperationAction);
-        const otpSmsChannel = oneTimePasswordChannels.find(channel => channel.type === "SMS_MOBILE");
+        const externalAccountRequest = await this.addExternalAccountRequest(accountHolderName, normalizedIban);
+        const bic = IbanValidator.checkBic(externalAccountRequest.bic);
+        await this.checkBeneficiaryNotExisting({accountNumber: normalizedIban, accountHolderName, bic}, options);
 
-        return this.sendOneTimePassword(sensitiveOperationAction, validatePin.secretCode, otpSmsChannel.phone, otpSmsChannel.type);
+        await this.toggleScaStatus(sensitiveOperationAction);
 
+        return await this.startSensitiveOperation(sensitiveOperationAction, externalAccountRequest, options);
     }
 
     /**
      * Send a request to initiate the external account addition process
      * @param {string} accountHolderName
      * @param {string} iban
-     * @return {Promise<{accountHolderName: string, bankName:string, bic: string, iban: string}|{error: {code: string, message:string, values:{}}}>}
+     * @return {Promise<{accountHolderName: string, bankName:string, bic: string, iban: string}>}
+     * @throws {IngExternalAccountError} if the IBAN is invalid or the beneficiary already exists
      */
     async addExternalAccountRequest(accountHolderName, iban) {
-        const body = {accountHolderName, iban};
+        const body = {accountHolderName, iban: IbanValidator.checkIban(iban)};
         return await this.callIngSecureApi(`externalAccounts/add/validateRequest`, 'POST', body);
     }
 
+    /**
+     * Create and validate a new international beneficiary (non-SEPA or foreign currency account), a 2FA verification is
+     * necessary
+     * Unverified against ING, see quoteInternationalTransfer
+     * @param {{accountHolderName: string, accountNumber: string, bic: string, bankName: string, bankAddress: {address1: string, city: string, postCode?: string, country: string}, holderAddress?: {address1: string, city: string, postCode?: string, country: string}, currency: string, intermediaryBank?: {bic: string, bankName?: string}}} beneficiary -
+     * accountNumber : IBAN or local account number, bic : SWIFT/BIC code of the bank, country : ISO 3166 code, currency :
+     * ISO 4217 code of the account, intermediaryBank : correspondent bank through which the transfers are routed
+     * @param {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function, timeout?: number, signal?: AbortSignal, allowSameHolder?: boolean}} options - See startSensitiveOperation and checkBeneficiaryNotExisting
+     * @return {Promise<{id: string, type: string, payload: Object, createdAt: Date, expiresAt: Date, status: string}>} the operation to confirm with confirmOneTimePassword
+     * @throws {IngExternalAccountError} if the beneficiary is invalid or already exists
+     * @throws {IngPolicyError} if the beneficiary addition breaks the transfer policy
+     */
+    async addNewInternationalBeneficiary(beneficiary, options = {}) {
+        const sensitiveOperationAction = this.SensitiveOperationAction.ADD_INTERNATIONAL_BENEFICIARY;
+        const internationalBeneficiary = this.normalizeInternationalBeneficiary(beneficiary);
+
+        if (this.transferPolicy) {
+            const {accountHolderName, accountNumber} = internationalBeneficiary;
+            TransferPolicy.assertAllowed(this.transferPolicy.checkBeneficiaryAddition({accountHolderName, iban: accountNumber}), this.ErrorCode.POLICY.BENEFICIARY_REFUSED);
+        }
+
+        await this.checkBeneficiaryNotExisting(internationalBeneficiary, options);
+
+        const externalAccountRequest = await this.addInternationalExternalAccountRequest(internationalBeneficiary);
+
+        await this.toggleScaStatus(sensitiveOperationAction);
+
+        return await this.startSensitiveOperation(sensitiveOperationAction, externalAccountRequest, options);
+    }
+
+    /**
+     * Throw if an account is already a beneficiary
+     * ING doesn't return the IBAN of the beneficiaries, only the account number of the international ones : the
+     * beneficiaries with an account number are compared on it, the others on their BIC and holder name (label or owner)
+     * @param {{accountNumber: string, accountHolderName: string, bic: string}} account - Normalized IBAN or account number
+     * @param {{allowSameHolder?: boolean}} options - allowSameHolder : a beneficiary without account number, of the same
+     * holder and bank, is not a duplicate (e.g. a second account of the holder in this bank)
+     * @return {Promise<void>}
+     * @throws {IngExternalAccountError} EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS, with the beneficiaryId and the fields it matched on
+     */
+    async checkBeneficiaryNotExisting({accountNumber, accountHolderName, bic}, {allowSameHolder = false} = {}) {
+        // Upper case, without accents, civility nor punctuation : "Mme Hélène Dupont" matches "MME HELENE DUPONT"
+        const holderName = name => String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase()
+            .replace(/[^A-Z0-9]+/g, ' ').trim().replace(/^(M|MR|MME|MLLE|MRS|MS) /, '');
+        // The 8 characters BICs are the head office, XXX
+        const bank = code => IbanValidator.normalize(code).padEnd(11, 'X');
+
+        for (const beneficiary of await this.getExternalAccountsBeneficiaries()) {
+            const numbers = [beneficiary.iban, beneficiary.accountNumber].filter(Boolean).map(IbanValidator.normalize);
+            let matchedOn = null;
+            if (numbers.length) {
+                if (numbers.includes(accountNumber)) matchedOn = ['accountNumber'];
+            } else if (!allowSameHolder && beneficiary.bic && bank(beneficiary.bic) === bank(bic)) {
+                if ([beneficiary.label, beneficiary.owner].some(name => name && holderName(name) === holderName(accountHolderName))) matchedOn = ['accountHolderName', 'bic'];
+            }
+            if (matchedOn) {
+                throw new IngExternalAccountError(this.ErrorCode.EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS, `This external account already exists : ${beneficiary.uid} (${beneficiary.label})`, {accountNumber, beneficiaryId: beneficiary.uid, matchedOn}, {retryable: false});
+            }
+        }
+    }
+
+    /**
+     * Send a request to initiate the international external account addition process
+     * Unverified against ING, see quoteInternationalTransfer
+     * @param {Object} internationalBeneficiary - See addNewInternationalBeneficiary
+     * @return {Promise<Object>} the beneficiary validated by ING
+     * @throws {IngExternalAccountError} if the beneficiary is invalid or already exists
+     */
+    async addInternationalExternalAccountRequest(internationalBeneficiary) {
+        return await this.callIngSecureApi(`externalAccounts/international/add/validateRequest`, 'POST', internationalBeneficiary);
+    }
+
+    /**
+     * Returns a copy of an international beneficiary with its codes in upper case and without spaces
+     * @param {Object} beneficiary - See addNewInternationalBeneficiary
+     * @return {Object}
+     * @throws {IngExternalAccountError} if a field is missing or invalid, the invalid fields are listed in values.fields
+     */
+    normalizeInternationalBeneficiary(beneficiary) {
+        const code = value => String(value || '').replace(/\s/g, '').toUpperCase();
+        const text = value => String(value || '').trim();
+        const normalizeAddress = address => address ? {...address, address1: text(address.address1), city: text(address.city), country: code(address.country)} : null;
+        const {accountHolderName, accountNumber, bic, bankName, bankAddress, holderAddress, currency, intermediaryBank} = beneficiary || {};
+
+        const normalized = {
+            accountHolderName: text(accountHolderName),
+            accountNumber: code(accountNumber),
+            bic: code(bic),
+            bankName: text(bankName),
+            bankAddress: normalizeAddress(bankAddress),
+            currency: code(currency)
+        };
+        if (holderAddress) normalized.holderAddress = normalizeAddress(holderAddress);
+        if (intermediaryBank) normalized.intermediaryBank = {...intermediaryBank, bic: code(intermediaryBank.bic)};
+
+        const isValidAddress = address => Boolean(address && address.address1 && address.city && /^[A-Z]{2}$/.test(address.country));
+        // The account numbers looking like an IBAN of a country of the registry must be valid IBANs
+        const isIban = /^[A-Z]{2}\d{2}/.test(normalized.accountNumber) && IbanValidator.getIbanLength(normalized.accountNumber.slice(0, 2)) !== null;
+        const invalidFields = [
+            !normalized.accountHolderName && 'accountHolderName',
+            (!/^[A-Z0-9]{4,34}$/.test(normalized.accountNumber) || (isIban && !IbanValidator.validateIban(normalized.accountNumber).valid)) && 'accountNumber',
+            !IbanValidator.validateBic(normalized.bic).valid && 'bic',
+            !normalized.bankName && 'bankName',
+            !isValidAddress(normalized.bankAddress) && 'bankAddress',
+            normalized.holderAddress && !isValidAddress(normalized.holderAddress) && 'holderAddress',
+            !/^[A-Z]{3}$/.test(normalized.currency) && 'currency',
+            normalized.intermediaryBank && !IbanValidator.validateBic(normalized.intermediaryBank.bic).valid && 'intermediaryBank'
+        ].filter(Boolean);
+        if (invalidFields.length) {
+            throw new IngExternalAccountError(this.ErrorCode.EXTERNAL_ACCOUNT.INVALID_BENEFICIARY, `Invalid international beneficiary : ${invalidFields.join(', ')}`, {fields: invalidFields}, {retryable: false});
+        }
+        return normalized;
+    }
+
     /**
      * Toggle the strong customer authentication status to the given sensitive operation action
      * @param {string} sensitiveOperationAction
@@ -672,12 +1541,7 @@ class IngApi {
     /*
     TODO :
     Endpoints :
-        - Change card payment limits
-        - Cancel a recurrent transfer
-        - Suspend a direct debit authorization
-        - Make an international wire transfer
         - 2FA management (maybe an app to scan the SMS) : Partially done with mobile application
-        - Error management
      */
 
     /**
@@ -695,60 +1559,155 @@ class IngApi {
      * @param {string} method
      * @param {Object} body
      * @return {Promise<Object>}
+     * @throws {IngApiError} if the request fails or ING answers with an error
      */
     async callIngSecureApi(path, method = 'GET', body = null) {
 
-        const ING_HOST = 'm.ing.fr';
         const BASE_PATH = 'secure/api-v1';
 
-        const res = await fetch(`https://${ING_HOST}/${BASE_PATH}/${path}`, {
+        const res = await this.fetchIng(`${this.baseUrl}/${BASE_PATH}/${path}`, path, method, {
             method: method,
             body: body ? JSON.stringify(body) : null,
             headers: {
                 'Content-Type': 'application/json',
-                'Cookie': this.session.cookie,
                 'Ingdf-Auth-Token': this.session.authToken
             }
         });
 
-        if (res.headers.get('Set-Cookie')) this.session.cookie = res.headers.get('Set-Cookie');
         if (res.headers.get('Ingdf-Auth-Token')) this.session.authToken = res.headers.get('Ingdf-Auth-Token');
 
-        return await res.json();
+        return await this.parseIngApiResponse(res, path, method);
     }
 
     /**
      * Refresh the session tokens if expired and regenerate authentication token
-     * @return {Promise<{authenticated: boolean}|{error: {code: string, message:string, values:{}}}>}
+     * @return {Promise<{authenticated: boolean}>}
      */
     async refreshSession() {
 
-        const session = await this.getSession();
-        if (session.authenticated) {
-            console.log("Connection recovered with session");
-            return session;
+        // The first refresh starts from the session saved by a previous process, if any
+        if (!this.sessionLoading) {
+            this.sessionLoading = this.loadSession().then(restored => {
+                if (restored) this.logger.log("Session restored from the session store");
+            }, e => {
+                this.logger.log("Error while restoring the session from the session store", e);
+            });
         }
+        await this.sessionLoading;
 
         try {
-            const connectWithRegieIdResult = await this.connect(this.loginWithRegieIdAndBirthdate());
-            if (connectWithRegieIdResult.authenticated) {
-                console.log("Connection recovered with loginWithRegieIdAndBirthdate");
-                return connectWithRegieIdResult;
+            const session = await this.getSession();
+            if (session.authenticated) {
+                this.logger.log("Connection recovered with session");
+                // Only the session changes (e.g. renewed cookies) are saved
+                await this.saveSession();
+                return session;
             }
         } catch (e) {
-            console.log("Error whit loginWithRegieIdAndBirthdate, trying connectWithCustomerIdResult");
+            this.logger.log("Error with the current session, trying loginWithRegieIdAndBirthdate");
+        }
+
+        if (this.session.regieId) {
+            try {
+                const connectWithRegieIdResult = await this.connect(this.loginWithRegieIdAndBirthdate());
+                if (connectWithRegieIdResult.authenticated) {
+                    this.logger.log("Connection recovered with loginWithRegieIdAndBirthdate");
+                    return connectWithRegieIdResult;
+                }
+            } catch (e) {
+                this.logger.log("Error whit loginWithRegieIdAndBirthdate, trying connectWithCustomerIdResult");
+            }
         }
 
         try {
             const connectWithCustomerIdResult = await this.connect(this.loginWithCustomerIdAndBirthdate());
             if (connectWithCustomerIdResult.authenticated) {
-                console.log("Connection recovered with loginWithCustomerIdAndBirthdate");
+                this.logger.log("Connection recovered with loginWithCustomerIdAndBirthdate");
                 return connectWithCustomerIdResult;
             }
         } catch (e) {
-            console.log(e);
+            this.logger.log(`Error with loginWithCustomerIdAndBirthdate : ${e.message}`);
+        }
+
+    }
+
+    /**
+     * Returns a serializable copy of the session state, to be given to restoreSession
+     * @return {{customerId: string, regieId: string, cookies: Array<Object>, authToken: string, saveInvestToken: string, savedAt: string}}
+     */
+    serializeSession() {
+        return {
+            customerId: this.customerId,
+            regieId: this.session.regieId,
+            cookies: this.session.cookieJar.toJSON(),
+            authToken: this.session.authToken,
+            saveInvestToken: this.session.saveInvestToken,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Restore a session state returned by serializeSession
+     * @param {{customerId: string, regieId: string, cookies: Array<Object>, authToken: string, saveInvestToken: string}} serializedSession
+     */
+    restoreSession(serializedSession) {
+        if (serializedSession.customerId && serializedSession.customerId !== this.customerId) {
+            throw new Error(`The session belongs to the customer ${serializedSession.customerId}`);
         }
+        this.session.regieId = serializedSession.regieId || null;
+        this.session.cookieJar = CookieJar.fromJSON(serializedSession.cookies);
+        this.session.authToken = serializedSession.authToken || null;
+        this.session.saveInvestToken = serializedSession.saveInvestToken || null;
+    }
 
+    /**
+     * Restore the session saved in the session store
+     * @return {Promise<boolean>} true if a session was restored
+     */
+    async loadSession() {
+        if (!this.sessionStore) return false;
+        const serializedSession = await this.sessionStore.load(this.customerId);
+        if (!serializedSession) return false;
+        this.restoreSession(serializedSession);
+        this.savedSessionState = IngApi.getSessionState(this.serializeSession());
+        return true;
+    }
+
+    /**
+     * Save the session in the session store if it has changed since the last save
+     * A failed save is only logged : the session is still valid in memory
+     * @return {Promise<void>}
+     */
+    async saveSession() {
+        if (!this.sessionStore) return;
+        const serializedSession = this.serializeSession();
+        const sessionState = IngApi.getSessionState(serializedSession);
+        if (sessionState === this.savedSessionState) return;
+        try {
+            await this.sessionStore.save(this.customerId, serializedSession);
+            this.savedSessionState = sessionState;
+        } catch (e) {
+            this.logger.log("Error while saving the session in the session store", e);
+        }
+    }
+
+    /**
+     * Returns a comparable state of a serialized session, without its save date
+     * @param {Object} serializedSession - See serializeSession
+     * @return {string}
+     */
+    static getSessionState({savedAt, ...serializedSession}) {
+        return JSON.stringify(serializedSession);
+    }
+
+    /**
+     * Returns the date with the format "YYYY-MM-DD"
+     * @param {string|Date} date
+     * @return {string}
+     */
+    static toIsoDate(date) {
+        if (date instanceof Date) return date.toISOString().substr(0, 10);
+        return String(date).substr(0, 10);
     }
 
     /**
@@ -757,40 +1716,113 @@ class IngApi {
      * @param {string} method
      * @param {Object} body
      * @return {Promise<Object>}
+     * @throws {IngApiError} if the request fails or ING answers with an error
      */
     async callIngSaveInvestApi(path, method = 'GET', body = null) {
 
-        const ING_HOST = 'm.ing.fr';
         const BASE_PATH = 'saveinvestapi/v1';
 
         // We need to generate a saveInvestToken to request the saveInvest API
         if (!this.session.saveInvestToken) await this.generateSaveInvestApiToken();
 
-        const res = await fetch(`https://${ING_HOST}/${BASE_PATH}/${path}`, {
+        const res = await this.fetchIng(`${this.baseUrl}/${BASE_PATH}/${path}`, path, method, {
             method: method,
             body: body ? JSON.stringify(body) : null,
             headers: {
                 'Content-Type': 'application/json',
-                'Cookie': this.session.cookie,
                 'Authorization': `Bearer ${this.session.saveInvestToken}`
             }
         });
 
-        return await res.json();
+        return await this.parseIngApiResponse(res, path, method);
     }
-}
 
-class IngApiError {
     /**
-     * Create a new IngApiError instance
-     * @param {string} code
-     * @param {string} message
-     * @param {Object} values
+     * Send a request to ING with the cookies of the session jar, turning network failures into a retryable IngApiError
+     * The cookies set by the response are stored in the session jar
+     * @param {string} url
+     * @param {string} path - Path reported in the error
+     * @param {string} method - Method reported in the error
+     * @param {Object} options - node-fetch options
+     * @return {Promise<Response>}
+     * @throws {IngApiError}
+     */
+    async fetchIng(url, path, method, options) {
+        const headers = {...options.headers};
+        const cookie = this.session.cookieJar.getCookieHeader(url);
+        if (cookie) headers['Cookie'] = cookie;
+
+        let res;
+        try {
+            res = await this.fetch(url, {...options, headers});
+        } catch (e) {
+            throw new IngApiError(this.ErrorCode.TRANSPORT.NETWORK_ERROR, e.message, {}, {path, method, retryable: true});
+        }
+
+        this.session.cookieJar.setCookies(IngApi.getSetCookieHeaders(res), url);
+        return res;
+    }
+
+    /**
+     * Returns the Set-Cookie headers of a response, one entry per cookie
+     * The Fetch API joins them in a single header, so we rely on the raw headers when available
+     * @param {Response} res
+     * @return {Array<string>}
+     */
+    static getSetCookieHeaders(res) {
+        if (typeof res.headers.raw === 'function') return res.headers.raw()['set-cookie'] || [];
+        if (typeof res.headers.getSetCookie === 'function') return res.headers.getSetCookie();
+        const header = res.headers.get('Set-Cookie');
+        return header ? header.split(/,(?=\s*[^;,=\s]+=)/) : [];
+    }
+
+    /**
+     * Parse the body of an ING response and throw an IngApiError if the request failed
+     * Empty bodies (e.g. 204) are returned as null
+     * @param {Response} res
+     * @param {string} path
+     * @param {string} method
+     * @return {Promise<Object|null>}
+     * @throws {IngApiError}
+     */
+    async parseIngApiResponse(res, path, method) {
+        const text = await res.text();
+        const details = {status: res.status, path, method, body: text};
+
+        let data = null;
+        if (text.trim()) {
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                // ING answers with an HTML page during maintenance windows
+                if (res.ok) throw new IngApiError(this.ErrorCode.TRANSPORT.INVALID_RESPONSE, `Unexpected non JSON response on ${method} ${path}`, {}, {...details, retryable: true});
+            }
+        }
+
+        if (data && data.error) throw IngApiError.fromCode(data.error.code, data.error.message, data.error.values, details);
+        if (!res.ok) throw new IngApiError(this.ErrorCode.TRANSPORT.HTTP_ERROR, `HTTP ${res.status} ${res.statusText} on ${method} ${path}`, {}, details);
+
+        this.checkResponseSchema(data, path, method, details);
+        return data;
+    }
+
+    /**
+     * Check a successful response against the responseValidator, a mismatch means that ING changed its API
+     * The mismatches are logged in warn mode, and thrown in strict mode
+     * @param {Object|null} data
+     * @param {string} path
+     * @param {string} method
+     * @param {{status: number, path: string, method: string, body: string}} details
+     * @throws {IngApiError} in strict mode, if the response does not match the schema
      */
-    constructor(code, message, values) {
-        this.code = code;
-        this.message = message;
-        this.values = values;
+    checkResponseSchema(data, path, method, details) {
+        if (!this.responseValidator) return;
+        const errors = this.responseValidator.validateResponse(method, path, details.status, data);
+        if (!errors.length) return;
+
+        const message = `The response of ${method} ${path.split('?')[0]} does not match the schema : ${errors.map(error => `${error.location} ${error.message}`).join(', ')}`;
+        if (this.responseValidation === 'strict') throw new IngApiError(this.ErrorCode.TRANSPORT.SCHEMA_MISMATCH, message, {errors}, {...details, retryable: false});
+        this.logger.warn(message);
     }
 }
 
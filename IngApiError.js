@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Class representing an error returned by the ING API
+ */
+class IngApiError extends Error {
+
+    /**
+     * Create a new IngApiError instance
+     * @param {string} code
+     * @param {string} message
+     * @param {Object} values
+     * @param {{status?: number, path?: string, method?: string, retryable?: boolean, body?: string}} details
+     */
+    constructor(code, message, values = {}, details = {}) {
+        super(message || code);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.values = values || {};
+        this.status = details.status || null;
+        this.path = details.path || null;
+        this.method = details.method || null;
+        this.retryable = details.retryable === undefined ? IngApiError.isRetryableStatus(details.status) : details.retryable;
+        this.body = details.body || null;
+    }
+
+    /**
+     * Returns true if a request failing with the given HTTP status may succeed if sent again
+     * @param {number} status
+     * @return {boolean}
+     */
+    static isRetryableStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Build the error matching an ING error code (e.g. SCA.STEP1_NOT_DONE)
+     * @param {string} code
+     * @param {string} message
+     * @param {Object} values
+     * @param {{status?: number, path?: string, method?: string, retryable?: boolean, body?: string}} details
+     * @return {IngApiError}
+     */
+    static fromCode(code, message, values = {}, details = {}) {
+        const family = typeof code === 'string' ? code.split('.')[0] : null;
+        const ErrorClass = IngApiError.errorClassesByFamily[family] || IngApiError;
+        return new ErrorClass(code, message, values, details);
+    }
+}
+
+/**
+ * Error raised during the login process (e.g. AUTHENTICATION.INVALID_CIF_AND_BIRTHDATE_COMBINATION)
+ */
+class IngAuthenticationError extends IngApiError {
+}
+
+/**
+ * Error raised during a strong customer authentication flow (e.g. SCA.STEP1_NOT_DONE)
+ */
+class IngScaError extends IngApiError {
+}
+
+/**
+ * Error raised while managing external accounts (e.g. EXTERNAL_ACCOUNT.IBAN_BAD_FORMAT)
+ */
+class IngExternalAccountError extends IngApiError {
+}
+
+/**
+ * Error raised while making or cancelling a transfer (e.g. TRANSFER.INSUFFICIENT_BALANCE, TRANSFER.NOT_CANCELABLE)
+ */
+class IngTransferError extends IngApiError {
+}
+
+/**
+ * Error raised while managing a card (e.g. CARD.LIMITS_ALREADY_CHANGED)
+ */
+class IngCardError extends IngApiError {
+}
+
+/**
+ * Error raised while managing the direct debits and their authorizations (e.g. DIRECT_DEBIT.INVALID_STATUS)
+ */
+class IngDirectDebitError extends IngApiError {
+}
+
+/**
+ * Error raised while managing the pending sensitive operations (e.g. OPERATION.EXPIRED)
+ */
+class IngOperationError extends IngApiError {
+}
+
+/**
+ * Error raised when a request received by the REST server is invalid (e.g. REQUEST.MISSING_PARAMETER)
+ */
+class IngRequestError extends IngApiError {
+}
+
+/**
+ * Error raised when the digits of a password keypad can't be recognized with enough confidence, the pin code is not
+ * submitted (e.g. KEYPAD.RECOGNITION_UNCERTAIN)
+ */
+class IngKeypadError extends IngApiError {
+}
+
+/**
+ * Error raised when a transfer or a beneficiary addition is refused by the transfer policy, before any call to ING
+ * (e.g. POLICY.TRANSFER_REFUSED), the broken rules are listed in values.violations
+ */
+class IngPolicyError extends IngApiError {
+}
+
+/**
+ * Error raised when the older transactions of an account can't be displayed without a 2FA (DISPLAY_TRANSACTIONS)
+ */
+class IngHistoryLockedError extends IngScaError {
+
+    /**
+     * Create a new IngHistoryLockedError instance
+     * @param {string} accountId
+     * @param {string|null} lastTransactionId - Id of the last transaction returned before the lock, to resume the iteration
+     * @param {IngApiError|null} cause - The error returned by ING
+     */
+    constructor(accountId, lastTransactionId, cause = null) {
+        super(cause ? cause.code : 'SCA.DISPLAY_TRANSACTIONS_REQUIRED', `The transactions history of the account ${accountId} is locked, a 2FA is required`, cause ? cause.values : {}, cause || {});
+        this.accountId = accountId;
+        this.lastTransactionId = lastTransactionId;
+    }
+}
+
+IngApiError.errorClassesByFamily = {
+    AUTHENTICATION: IngAuthenticationError,
+    SCA: IngScaError,
+    EXTERNAL_ACCOUNT: IngExternalAccountError,
+    TRANSFER: IngTransferError,
+    CARD: IngCardError,
+    DIRECT_DEBIT: IngDirectDebitError,
+    OPERATION: IngOperationError,
+    REQUEST: IngRequestError,
+    KEYPAD: IngKeypadError,
+    POLICY: IngPolicyError
+};
+
+module.exports = {
+    IngApiError,
+    IngAuthenticationError,
+    IngScaError,
+    IngExternalAccountError,
+    IngTransferError,
+    IngCardError,
+    IngDirectDebitError,
+    IngOperationError,
+    IngRequestError,
+    IngKeypadError,
+    IngPolicyError,
+    IngHistoryLockedError
+};
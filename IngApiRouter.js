@@ -0,0 +1,467 @@
+'use strict';
+
+const express = require('express');
+const {IngApiError, IngAuthenticationError, IngScaError, IngOperationError, IngRequestError, IngPolicyError, IngExternalAccountError, IngTransferError, IngCardError, IngDirectDebitError} = require('./IngApiError');
+const ApiKeyAuthenticator = require('./ApiKeyAuthenticator');
+
+const {Scope} = ApiKeyAuthenticator;
+
+/**
+ * Class building the express router exposing the IngApi endpoints as a REST resource tree
+ * Every handler answers with JSON, the errors are turned into {error: {code, message, values, retryable}} responses by
+ * errorHandler
+ * Usage :
+ * app.use(express.json());
+ * app.use(IngApiRouter.create(ingApi, {oneTimePasswordWebhook}));
+ * app.use(IngApiRouter.notFoundHandler);
+ * app.use(IngApiRouter.errorHandler);
+ */
+class IngApiRouter {
+
+    /**
+     * Build the router
+     * @param {IngApi} ingApi
+     * @param {{oneTimePasswordWebhook?: OneTimePasswordWebhook, requestValidator?: OpenApiValidator, authenticator?: ApiKeyAuthenticator, refreshSession?: boolean}} options -
+     * oneTimePasswordWebhook : receives the codes posted to /validation/sms for the operations started with waitForValidation,
+     * requestValidator : validator of openapi-server.yaml, the invalid requests are answered with REQUEST.VALIDATION_FAILED,
+     * authenticator : checks the scope of the API key of each route, its middleware must be mounted before the router,
+     * refreshSession : the session is refreshed before the handler of each route, once its request is validated and its
+     * scope checked, so that the refused or unknown requests never reach ING
+     * @return {express.Router}
+     */
+    static create(ingApi, {oneTimePasswordWebhook = null, requestValidator = null, authenticator = null, refreshSession = false} = {}) {
+        const router = express.Router();
+        const handle = IngApiRouter.handle;
+        const checkScope = name => authenticator ? authenticator.requireScope(name) : (req, res, next) => next();
+        const scope = refreshSession ? name => [checkScope(name), IngApiRouter.refreshSession(ingApi)] : checkScope;
+        const sensitiveOperationOptions = body => IngApiRouter.getSensitiveOperationOptions(body, oneTimePasswordWebhook);
+
+        if (requestValidator) router.use(requestValidator.middleware());
+
+        // Customer
+
+        router.get('/customer', scope(Scope.READ), handle(() => ingApi.getCustomerInfo()));
+
+        router.get('/customer/status', scope(Scope.READ), handle(() => ingApi.getCustomerStatus()));
+
+        // Accounts, /accounts/debit must be declared before /accounts/:accountId
+
+        router.get('/accounts', scope(Scope.READ), handle(() => ingApi.getAccounts()));
+
+        router.get('/accounts/debit', scope(Scope.READ), handle(() => ingApi.getTransfersDebitAccounts()));
+
+        router.get('/accounts/:accountId', scope(Scope.READ), handle(req => ingApi.getAccountById(req.params.accountId)));
+
+        router.get('/accounts/:accountId/transactions', scope(Scope.READ), handle(req => {
+            const startAt = req.query.startAt || 0;
+            const limit = IngApiRouter.parsePositiveInteger(req.query.limit, 'limit', 50);
+            return ingApi.getAccountTransactions(req.params.accountId, startAt, limit);
+        }));
+
+        router.get('/accounts/:accountId/futureOperations', scope(Scope.READ), handle(req => ingApi.getAccountFutureOperations(req.params.accountId)));
+
+        router.get('/accounts/:accountId/bankRecord', scope(Scope.READ), handle(req => ingApi.getAccountBankRecord(req.params.accountId)));
+
+        router.get('/accounts/:accountId/creditAccounts', scope(Scope.READ), handle(req => ingApi.getCreditAccounts(req.params.accountId)));
+
+        router.post('/accounts/:accountId/transfers', scope(Scope.TRANSFERS), handle(req => IngApiRouter.makeTransfer(ingApi, req.params.accountId, req.body, sensitiveOperationOptions(req.body))));
+
+        router.post('/accounts/:accountId/internationalTransfers', scope(Scope.TRANSFERS), handle(req => {
+            return IngApiRouter.makeInternationalTransfer(ingApi, req.params.accountId, req.body, sensitiveOperationOptions(req.body));
+        }));
+
+        // Cards
+
+        router.get('/accounts/:accountId/cards', scope(Scope.READ), handle(req => ingApi.getCards(req.params.accountId)));
+
+        router.get('/accounts/:accountId/cards/:cardId/transactions', scope(Scope.READ), handle(req => ingApi.getCardTransactions(req.params.accountId, req.params.cardId)));
+
+        router.get('/accounts/:accountId/cards/:cardId/functionalities', scope(Scope.READ), handle(req => ingApi.getCardFunctionalitiesAccess(req.params.accountId, req.params.cardId)));
+
+        router.get('/accounts/:accountId/cards/:cardId/limits', scope(Scope.READ), handle(req => ingApi.getCardLimits(req.params.accountId, req.params.cardId)));
+
+        router.put('/accounts/:accountId/cards/:cardId/limits', scope(Scope.CARDS), handle(req => {
+            const limits = IngApiRouter.getRequiredParameter(req.body, 'limits');
+            return ingApi.setCardLimits(req.params.accountId, req.params.cardId, limits, {...sensitiveOperationOptions(req.body), revertAt: req.body.revertAt || null});
+        }));
+
+        router.delete('/accounts/:accountId/cards/:cardId/limits/revert', scope(Scope.CARDS), handle(req => ingApi.cancelCardLimitsRevert(req.params.accountId, req.params.cardId)));
+
+        router.put('/accounts/:accountId/cards/:cardId/contactless', scope(Scope.CARDS), handle(req => {
+            const status = IngApiRouter.getEnumParameter(req.body, 'status', ['ON', 'OFF']);
+            return ingApi.setCardContactlessStatus(req.params.accountId, req.params.cardId, status);
+        }));
+
+        router.put('/accounts/:accountId/cards/:cardId/status', scope(Scope.CARDS), handle(req => {
+            const status = IngApiRouter.getEnumParameter(req.body, 'status', ['ACTIVATED', 'LOCKED_BY_CLIENT']);
+            return ingApi.setCardStatus(req.params.accountId, req.params.cardId, status);
+        }));
+
+        router.get('/cards/limits/reverts', scope(Scope.READ), handle(() => ingApi.getCardLimitsReverts()));
+
+        // Direct debits
+
+        router.get('/accounts/:accountId/directDebits/authorizations', scope(Scope.READ), handle(req => ingApi.getAccountDirectDebitAuthorizations(req.params.accountId)));
+
+        router.get('/accounts/:accountId/directDebits/past', scope(Scope.READ), handle(req => ingApi.getAccountDirectDebitPastTransactions(req.params.accountId)));
+
+        router.get('/accounts/:accountId/directDebits/pending', scope(Scope.READ), handle(req => ingApi.getAccountDirectDebitPendingTransactions(req.params.accountId)));
+
+        router.post('/accounts/:accountId/directDebits/authorizations/:authorizationId/suspend', scope(Scope.TRANSFERS), handle(req => {
+            return ingApi.suspendDirectDebitAuthorization(req.params.accountId, req.params.authorizationId, sensitiveOperationOptions(req.body || {}));
+        }));
+
+        router.post('/accounts/:accountId/directDebits/authorizations/:authorizationId/revoke', scope(Scope.TRANSFERS), handle(req => {
+            return ingApi.revokeDirectDebitAuthorization(req.params.accountId, req.params.authorizationId, sensitiveOperationOptions(req.body || {}));
+        }));
+
+        router.post('/accounts/:accountId/directDebits/creditors/:creditorId/block', scope(Scope.TRANSFERS), handle(req => {
+            return ingApi.blockDirectDebitCreditor(req.params.accountId, req.params.creditorId, sensitiveOperationOptions(req.body || {}));
+        }));
+
+        router.post('/accounts/:accountId/directDebits/creditors/:creditorId/unblock', scope(Scope.TRANSFERS), handle(req => {
+            return ingApi.unblockDirectDebitCreditor(req.params.accountId, req.params.creditorId, sensitiveOperationOptions(req.body || {}));
+        }));
+
+        router.post('/accounts/:accountId/directDebits/pending/:debitId/reject', scope(Scope.TRANSFERS), handle(req => {
+            return ingApi.rejectDirectDebit(req.params.accountId, req.params.debitId, sensitiveOperationOptions(req.body || {}));
+        }));
+
+        // Transfers
+
+        router.get('/transfers/debitAccounts', scope(Scope.READ), handle(() => ingApi.getTransfersDebitAccounts()));
+
+        router.get('/transfers/future', scope(Scope.READ), handle(() => ingApi.getFutureTransfers()));
+
+        router.post('/transfers/future/:transferId/cancel', scope(Scope.TRANSFERS), handle(req => ingApi.cancelFutureTransfer(req.params.transferId, sensitiveOperationOptions(req.body || {}))));
+
+        // Beneficiaries
+
+        router.get('/beneficiaries', scope(Scope.READ), handle(() => ingApi.getExternalAccountsBeneficiaries()));
+
+        router.post('/beneficiaries', scope(Scope.TRANSFERS), handle(req => {
+            const accountHolderName = IngApiRouter.getRequiredParameter(req.body, 'accountHolderName');
+            const iban = IngApiRouter.getRequiredParameter(req.body, 'iban');
+            return ingApi.addNewBeneficiary(accountHolderName, iban, {...sensitiveOperationOptions(req.body), allowSameHolder: Boolean(req.body.allowSameHolder)});
+        }));
+
+        router.post('/beneficiaries/international', scope(Scope.TRANSFERS), handle(req => {
+            const body = req.body || {};
+            const {accountHolderName, accountNumber, bic, bankName, bankAddress, holderAddress, currency, intermediaryBank} = body;
+            const beneficiary = {accountHolderName, accountNumber, bic, bankName, bankAddress, holderAddress, currency, intermediaryBank};
+            return ingApi.addNewInternationalBeneficiary(beneficiary, {...sensitiveOperationOptions(body), allowSameHolder: Boolean(body.allowSameHolder)});
+        }));
+
+        router.delete('/beneficiaries/:beneficiaryId', scope(Scope.TRANSFERS), handle(req => ingApi.deleteBeneficiary(req.params.beneficiaryId)));
+
+        // Messages
+
+        router.get('/messages', scope(Scope.READ), handle(req => {
+            const perPage = IngApiRouter.parsePositiveInteger(req.query.perPage, 'perPage', 30);
+            const page = IngApiRouter.parsePositiveInteger(req.query.page, 'page', 1);
+            return ingApi.getMessages(perPage, page);
+        }));
+
+        router.get('/messages/count', scope(Scope.READ), handle(async req => {
+            const count = req.query.unread === 'true' ? await ingApi.getNumberOfUnreadMessages() : await ingApi.getNumberOfMessages();
+            return {count};
+        }));
+
+        router.get('/messages/:messageId', scope(Scope.READ), handle(req => ingApi.getMessageContent(req.params.messageId)));
+
+        router.post('/messages/:messageId/read', scope(Scope.MESSAGES), handle(req => ingApi.setMessageAsAlreadyRead(Number(req.params.messageId))));
+
+        router.delete('/messages/:messageId', scope(Scope.MESSAGES), handle(req => ingApi.deleteMessage(req.params.messageId)));
+
+        // Life insurance
+
+        router.get('/lifeInsurance/externalAccounts', scope(Scope.READ), handle(() => ingApi.getLifeInsuranceExternalAccounts()));
+
+        router.get('/lifeInsurance/mandates', scope(Scope.READ), handle(() => ingApi.getLifeInsuranceMandates()));
+
+        router.get('/lifeInsurance/contracts/:contractId', scope(Scope.READ), handle(req => ingApi.getLifeInsuranceContract(req.params.contractId)));
+
+        router.get('/lifeInsurance/contracts/:contractId/amounts', scope(Scope.READ), handle(req => ingApi.getLifeInsuranceContractAmounts(req.params.contractId)));
+
+        router.get('/lifeInsurance/contracts/:contractId/advice', scope(Scope.READ), handle(req => ingApi.getLifeInsuranceAdvice(ingApi.customerId, req.params.contractId)));
+
+        // Sensitive operations
+
+        router.get('/operations', scope(Scope.READ), handle(req => ingApi.getOperations({status: req.query.status, type: req.query.type})));
+
+        router.get('/operations/:operationId', scope(Scope.READ), handle(req => ingApi.pendingOperations.get(req.params.operationId)));
+
+        router.post('/operations/:operationId/confirm', scope(Scope.SCA_VALIDATION), handle(req => {
+            return ingApi.confirmOneTimePassword(req.params.operationId, IngApiRouter.getRequiredParameter(req.body, 'code'));
+        }));
+
+        router.delete('/operations/:operationId', scope(Scope.TRANSFERS), handle(req => ingApi.cancelOperation(req.params.operationId)));
+
+        // The SMS only tells the operation type : the operation id is needed when several operations of this type are pending
+        router.post('/validation/sms', scope(Scope.SCA_VALIDATION), handle(req => {
+            const validation = IngApiRouter.getRequiredParameter(req.body, 'validation');
+            const {operation, operationId} = validation;
+            const code = IngApiRouter.getRequiredParameter(validation, 'code');
+
+            if (oneTimePasswordWebhook && oneTimePasswordWebhook.deliver(code, {operation, operationId})) return {delivered: true};
+
+            const pendingOperations = ingApi.getOperations({status: 'PENDING', type: operation});
+            if (!operationId && pendingOperations.length !== 1) {
+                throw new IngOperationError(
+                    pendingOperations.length ? 'OPERATION.AMBIGUOUS' : 'OPERATION.NOT_FOUND',
+                    `${pendingOperations.length} pending ${operation} operations, an operationId is required`,
+                    {operationIds: pendingOperations.map(pendingOperation => pendingOperation.id)}
+                );
+            }
+
+            return ingApi.confirmOneTimePassword(operationId || pendingOperations[0].id, code);
+        }));
+
+        // Routes of the first versions of app.js, kept for the existing clients
+
+        router.get('/account/:accountId/externalAccount', scope(Scope.READ), handle(req => ingApi.getCreditAccounts(req.params.accountId)));
+
+        router.get('/account/:accountId/bankRecord', scope(Scope.READ), handle(req => ingApi.getAccountBankRecord(req.params.accountId)));
+
+        router.post('/account/:accountId/transfer', scope(Scope.TRANSFERS), handle(req => IngApiRouter.makeTransfer(ingApi, req.params.accountId, req.body, sensitiveOperationOptions(req.body))));
+
+        return router;
+    }
+
+    /**
+     * Build the router serving the customers of a registry under /customers/:customerId, the routes of create are also
+     * served without prefix for the default customer of the registry
+     * The session of the customer is refreshed before each of its requests matching a route, see the refreshSession option
+     * of create
+     * Usage :
+     * app.use(IngApiRouter.createForRegistry(registry, {requestValidator, authenticator}));
+     * @param {CustomerRegistry} registry
+     * @param {{requestValidator?: OpenApiValidator, authenticator?: ApiKeyAuthenticator}} options - See create, the keys
+     * restricted to some customers are answered with REQUEST.FORBIDDEN for the other ones
+     * @return {express.Router}
+     */
+    static createForRegistry(registry, {requestValidator = null, authenticator = null} = {}) {
+        const router = express.Router();
+        const scope = name => authenticator ? authenticator.requireScope(name) : (req, res, next) => next();
+
+        // The router of each customer is built on its first request, the customers can be added to the registry later
+        const customerRouters = new Map();
+        const serveCustomer = (customerId, req, res, next) => {
+            if (!ApiKeyAuthenticator.canAccessCustomer(req, customerId)) {
+                return next(new IngRequestError('REQUEST.FORBIDDEN', `The API key ${req.apiKey.name} can't access the customer ${customerId}`, {customerId}));
+            }
+            try {
+                if (!customerRouters.has(customerId)) {
+                    const {ingApi, oneTimePasswordWebhook} = registry.get(customerId);
+                    customerRouters.set(customerId, IngApiRouter.create(ingApi, {oneTimePasswordWebhook, requestValidator, authenticator, refreshSession: true}));
+                }
+            } catch (e) {
+                return next(e);
+            }
+            customerRouters.get(customerId)(req, res, next);
+        };
+
+        router.get('/customers', scope(Scope.READ), IngApiRouter.handle(req => {
+            return registry.list().filter(customer => ApiKeyAuthenticator.canAccessCustomer(req, customer.customerId));
+        }));
+
+        router.use('/customers/:customerId', (req, res, next) => serveCustomer(req.params.customerId, req, res, next));
+
+        router.use((req, res, next) => {
+            if (!registry.defaultCustomerId || req.path.startsWith('/customers/')) return next();
+            serveCustomer(registry.defaultCustomerId, req, res, next);
+        });
+
+        return router;
+    }
+
+    /**
+     * Express middleware refreshing the session of an IngApi instance before the requests
+     * @param {IngApi} ingApi
+     * @return {function(Request, Response, function): Promise<void>}
+     */
+    static refreshSession(ingApi) {
+        return async (req, res, next) => {
+            try {
+                await ingApi.refreshSession();
+                next();
+            } catch (e) {
+                next(e);
+            }
+        };
+    }
+
+    /**
+     * Wrap a handler returning the response body (or a promise of it) into an express middleware
+     * The errors, thrown or rejected, are given to the error middleware
+     * @param {function(Request): *} handler
+     * @return {function(Request, Response, function): Promise<void>}
+     */
+    static handle(handler) {
+        return async (req, res, next) => {
+            try {
+                const result = await handler(req);
+                res.json(result === undefined ? null : result);
+            } catch (e) {
+                next(e);
+            }
+        };
+    }
+
+    /**
+     * Start a transfer from the body of a transfer request
+     * With dryRun, the transfer is only validated : the suggested execution date and the policy verdict are returned
+     * With recurrence, a recurring transfer starting on executionDate is created
+     * @param {IngApi} ingApi
+     * @param {string} accountId
+     * @param {{beneficiaryId: string, amount: number, label?: string, executionDate?: string, dryRun?: boolean, recurrence?: {periodicity: string, endDate?: string}}} body
+     * @param {Object} options - See startSensitiveOperation
+     * @return {Promise<Object>} the operation, or the dry run result
+     */
+    static makeTransfer(ingApi, accountId, body, options) {
+        const beneficiaryId = IngApiRouter.getRequiredParameter(body, 'beneficiaryId');
+        const amount = IngApiRouter.getRequiredParameter(body, 'amount');
+        if (typeof amount !== 'number' || !(amount > 0)) throw new IngRequestError('REQUEST.INVALID_PARAMETER', 'amount must be a positive number', {parameter: 'amount'});
+        return ingApi.makeTransfer(accountId, beneficiaryId, amount, body.label || '', body.executionDate || '', {...options, dryRun: body.dryRun === true, recurrence: body.recurrence || null});
+    }
+
+    /**
+     * Start an international transfer from the body of an international transfer request
+     * With dryRun, the transfer is only quoted : the quote and the policy verdict are returned, its quoteId can be given
+     * back to make the transfer at the quoted rate
+     * @param {IngApi} ingApi
+     * @param {string} accountId
+     * @param {{beneficiaryId: string, amount: number, currency: string, feeOption?: string, label?: string, quoteId?: string, dryRun?: boolean}} body
+     * @param {Object} options - See startSensitiveOperation
+     * @return {Promise<Object>} the operation, or the dry run result
+     */
+    static makeInternationalTransfer(ingApi, accountId, body, options) {
+        const beneficiaryId = IngApiRouter.getRequiredParameter(body, 'beneficiaryId');
+        const amount = IngApiRouter.getRequiredParameter(body, 'amount');
+        const currency = IngApiRouter.getRequiredParameter(body, 'currency');
+        if (typeof amount !== 'number' || !(amount > 0)) throw new IngRequestError('REQUEST.INVALID_PARAMETER', 'amount must be a positive number', {parameter: 'amount'});
+        const {feeOption, label, quoteId} = body;
+        return ingApi.makeInternationalTransfer(accountId, beneficiaryId, amount, currency, {...options, feeOption, label, quoteId, dryRun: body.dryRun === true});
+    }
+
+    /**
+     * Returns the sensitive operation options given in a request body
+     * With waitForValidation, the response is sent once the code has been posted to /validation/sms
+     * @param {{channel?: {type?: string, phone?: string}, waitForValidation?: boolean}} body
+     * @param {OneTimePasswordWebhook|null} oneTimePasswordWebhook
+     * @return {{channel?: {type?: string, phone?: string}, oneTimePasswordProvider?: Function}}
+     */
+    static getSensitiveOperationOptions(body, oneTimePasswordWebhook) {
+        const options = {channel: body.channel};
+        if (body.waitForValidation) {
+            if (!oneTimePasswordWebhook) throw new IngRequestError('REQUEST.INVALID_PARAMETER', 'waitForValidation is not available on this server', {parameter: 'waitForValidation'});
+            options.oneTimePasswordProvider = oneTimePasswordWebhook.provider;
+        }
+        return options;
+    }
+
+    /**
+     * Returns a required parameter of a request body
+     * @param {Object} body
+     * @param {string} name
+     * @return {*}
+     * @throws {IngRequestError} if the parameter is missing
+     */
+    static getRequiredParameter(body, name) {
+        const value = body ? body[name] : undefined;
+        if (value === undefined || value === null || value === '') throw new IngRequestError('REQUEST.MISSING_PARAMETER', `${name} is required`, {parameter: name});
+        return value;
+    }
+
+    /**
+     * Returns a required parameter of a request body which must be one of the given values
+     * @param {Object} body
+     * @param {string} name
+     * @param {Array<string>} values
+     * @return {string}
+     * @throws {IngRequestError} if the parameter is missing or invalid
+     */
+    static getEnumParameter(body, name, values) {
+        const value = IngApiRouter.getRequiredParameter(body, name);
+        if (!values.includes(value)) throw new IngRequestError('REQUEST.INVALID_PARAMETER', `${name} must be one of ${values.join(', ')}`, {parameter: name, values});
+        return value;
+    }
+
+    /**
+     * Parse an optional positive integer query parameter
+     * @param {string|undefined} value
+     * @param {string} name
+     * @param {number} defaultValue
+     * @return {number}
+     * @throws {IngRequestError} if the parameter is not a positive integer
+     */
+    static parsePositiveInteger(value, name, defaultValue) {
+        if (value === undefined || value === '') return defaultValue;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number <= 0) throw new IngRequestError('REQUEST.INVALID_PARAMETER', `${name} must be a positive integer`, {parameter: name});
+        return number;
+    }
+
+    /**
+     * Returns the HTTP status answered for an error
+     * The API key errors are answered with 401 and 403, the errors of ING with 403 when a 2FA is required and 502 when ING fails or the login is refused,
+     * their 400, 404, 409 and 422 statuses are kept as they come from the request parameters, the transfers refused by
+     * the transfer policy and the card limits which can't be changed are answered with 403
+     * The operations which are not pending anymore are answered with 409, including the ones superseded by any sensitive
+     * operation started since on the same customer, by another client as well
+     * @param {Error} err
+     * @return {number}
+     */
+    static getErrorStatus(err) {
+        if (err instanceof IngRequestError) return {'REQUEST.UNAUTHORIZED': 401, 'REQUEST.FORBIDDEN': 403, 'REQUEST.NOT_FOUND': 404}[err.code] || 400;
+        if (err instanceof IngOperationError) return {'OPERATION.NOT_FOUND': 404, 'OPERATION.TIMEOUT': 504}[err.code] || 409;
+        if (err instanceof IngAuthenticationError) return 502;
+        if (err instanceof IngScaError) return 403;
+        if (err instanceof IngPolicyError) return err.code === 'POLICY.INVALID_AMOUNT' ? 400 : 403;
+        // The external account, transfer, card and direct debit errors raised before calling ING have no status
+        if (err instanceof IngExternalAccountError && !err.status) return 400;
+        if (err instanceof IngTransferError && !err.status) return {'TRANSFER.NOT_FOUND': 404, 'TRANSFER.NOT_CANCELABLE': 409}[err.code] || 400;
+        if (err instanceof IngCardError && !err.status) {
+            return {'CARD.NOT_FOUND': 404, 'CARD.REVERT_NOT_FOUND': 404, 'CARD.FUNCTIONALITY_DISABLED': 403, 'CARD.LIMITS_ALREADY_CHANGED': 409}[err.code] || 400;
+        }
+        if (err instanceof IngDirectDebitError && !err.status) return {'DIRECT_DEBIT.NOT_FOUND': 404, 'DIRECT_DEBIT.INVALID_STATUS': 409}[err.code] || 400;
+        if (err instanceof IngApiError) return [400, 404, 409, 422].includes(err.status) ? err.status : 502;
+        // Errors of the express middlewares (e.g. invalid JSON body)
+        const status = err.status || err.statusCode;
+        return status >= 400 && status < 500 ? status : 500;
+    }
+
+    /**
+     * Express middleware answering the unknown routes with a JSON 404
+     * @param {Request} req
+     * @param {Response} res
+     * @param {function} next
+     */
+    static notFoundHandler(req, res, next) {
+        next(new IngRequestError('REQUEST.NOT_FOUND', `Unknown route ${req.method} ${req.path}`));
+    }
+
+    /**
+     * Express error middleware answering the errors with a JSON body
+     * @param {Error} err
+     * @param {Request} req
+     * @param {Response} res
+     * @param {function} next
+     */
+    static errorHandler(err, req, res, next) {
+        if (res.headersSent) return next(err);
+
+        const status = IngApiRouter.getErrorStatus(err);
+        if (err instanceof IngApiError) {
+            return res.status(status).json({error: {code: err.code, message: err.message, values: err.values, retryable: err.retryable}});
+        }
+        if (status < 500) {
+            return res.status(status).json({error: {code: 'REQUEST.INVALID_BODY', message: err.message, values: {}, retryable: false}});
+        }
+
+        console.error(err);
+        res.status(500).json({error: {code: 'INTERNAL_ERROR', message: 'Internal server error', values: {}, retryable: false}});
+    }
+}
+
+module.exports = IngApiRouter;
@@ -0,0 +1,147 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const PasswordKeypad = require('./PasswordKeypad');
+const Util = require('./Util');
+
+// The images of keypad_digits, read once per process
+const labeledDigitImages = new Map();
+
+/**
+ * Class generating synthetic password keypads from the labeled digits of keypad_digits, with their ground truth
+ * The generation is reproducible : the same seed gives the same keypads
+ * Usage :
+ * const generator = new KeypadGenerator({seed: 42});
+ * const {image, digits} = await generator.generate({scale: 5, noise: 0.05, jpegQuality: 40});
+ */
+class KeypadGenerator {
+
+    /**
+     * Create a new KeypadGenerator instance
+     * @param {{seed?: number}} options - Random seed by default
+     */
+    constructor({seed = crypto.randomInt(2 ** 31)} = {}) {
+        this.seed = seed;
+        this.random = KeypadGenerator.createRandom(seed);
+    }
+
+    /**
+     * Returns a seeded pseudo-random generator (mulberry32) of numbers in [0, 1[
+     * @param {number} seed
+     * @return {function(): number}
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Returns the image of a labeled digit
+     * @param {number} digit
+     * @return {Promise<Jimp>}
+     */
+    static async getLabeledDigitImage(digit) {
+        if (!labeledDigitImages.has(digit)) {
+            labeledDigitImages.set(digit, await Jimp.read(path.join(__dirname, 'keypad_digits', `${digit}.png`)));
+        }
+        return labeledDigitImages.get(digit);
+    }
+
+    /**
+     * Compose a keypad image from the labeled digits
+     * @param {Array<number>} digits - The digits in keypad order
+     * @param {number} scale - 1 for the login keypad (484x190), 5 for the sensitive operation keypad
+     * @return {Promise<Jimp>}
+     */
+    static async render(digits, scale = 1) {
+        const cells = new PasswordKeypad(null).digitsPositions;
+        const image = new Jimp(Math.round(484 * scale), Math.round(190 * scale), 0xFFFFFFFF);
+        for (const i of Util.range(cells.length)) {
+            const digitImage = (await KeypadGenerator.getLabeledDigitImage(digits[i])).clone();
+            digitImage.resize(Math.round(cells[i].width * scale), Math.round(cells[i].height * scale));
+            image.composite(digitImage, Math.round(cells[i].x * scale), Math.round(cells[i].y * scale));
+        }
+        return image;
+    }
+
+    /**
+     * Add a uniform noise to each channel of the pixels of an image
+     * @param {Jimp} image
+     * @param {number} noise - Amplitude of the noise, from 0 to 1
+     * @param {function(): number} random
+     * @return {Jimp}
+     */
+    static addNoise(image, noise, random) {
+        const {data} = image.bitmap;
+        for (let offset = 0; offset < data.length; offset += 4) {
+            for (let channel = 0; channel < 3; channel++) {
+                const value = data[offset + channel] + (random() * 2 - 1) * noise * 255;
+                data[offset + channel] = Math.min(255, Math.max(0, Math.round(value)));
+            }
+        }
+        return image;
+    }
+
+    /**
+     * Returns the digits 0-9 in a random order
+     * @return {Array<number>}
+     */
+    shuffleDigits() {
+        const digits = Util.range(10);
+        for (let i = digits.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [digits[i], digits[j]] = [digits[j], digits[i]];
+        }
+        return digits;
+    }
+
+    /**
+     * Generate a keypad with the digits in a random order
+     * @param {{scale?: number, noise?: number, jpegQuality?: number|null}} options - scale : size multiplicator of the
+     * 484x190 keypad, noise : see addNoise, jpegQuality : the image is JPEG encoded with this quality (1-100) to add
+     * compression artifacts, PNG otherwise
+     * @return {Promise<{image: Buffer, mime: string, digits: Array<number>, scale: number, noise: number, jpegQuality: number|null}>}
+     */
+    async generate({scale = 1, noise = 0, jpegQuality = null} = {}) {
+        const digits = this.shuffleDigits();
+        const image = await KeypadGenerator.render(digits, scale);
+        if (noise) KeypadGenerator.addNoise(image, noise, this.random);
+
+        const mime = jpegQuality ? Jimp.MIME_JPEG : Jimp.MIME_PNG;
+        if (jpegQuality) image.quality(jpegQuality);
+        return {image: await image.getBufferAsync(mime), mime, digits, scale, noise, jpegQuality};
+    }
+
+    /**
+     * Generate keypads and write them in a directory, each image (keypad-0001.png...) is written with its ground truth
+     * (keypad-0001.json : {digits, scale, noise, jpegQuality})
+     * @param {string} directory
+     * @param {number} count
+     * @param {Object} options - See generate
+     * @return {Promise<Array<string>>} the paths of the images
+     */
+    async writeKeypads(directory, count, options = {}) {
+        await fs.promises.mkdir(directory, {recursive: true});
+        const filePaths = [];
+        for (const i of Util.range(count)) {
+            const {image, mime, ...groundTruth} = await this.generate(options);
+            const name = `keypad-${String(i + 1).padStart(4, '0')}`;
+            const filePath = path.join(directory, `${name}.${mime === Jimp.MIME_JPEG ? 'jpg' : 'png'}`);
+            await fs.promises.writeFile(filePath, image);
+            await fs.promises.writeFile(path.join(directory, `${name}.json`), JSON.stringify(groundTruth));
+            filePaths.push(filePath);
+        }
+        return filePaths;
+    }
+}
+
+module.exports = KeypadGenerator;
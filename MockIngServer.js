@@ -0,0 +1,914 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const Jimp = require('jimp');
+const PasswordKeypad = require('./PasswordKeypad');
+const KeypadGenerator = require('./KeypadGenerator');
+const Util = require('./Util');
+
+// Labels of the mobilePeriodicity codes of the recurring transfers
+const PERIODICITY_LABELS = {
+    WEEKLY: 'Hebdomadaire',
+    MONTHLY: 'Mensuel',
+    QUARTERLY: 'Trimestriel',
+    HALF_YEARLY: 'Semestriel',
+    YEARLY: 'Annuel'
+};
+
+// Exchange rates from EUR of the currencies of the international transfers
+const EXCHANGE_RATES = {
+    EUR: 1,
+    USD: 1.08,
+    GBP: 0.85,
+    CHF: 0.96,
+    JPY: 160.5,
+    CAD: 1.47
+};
+
+// Fees in EUR of the international transfers by fee option
+const INTERNATIONAL_TRANSFER_FEES = {
+    OUR: 25,
+    SHA: 12,
+    BEN: 0
+};
+
+// Validity of the international transfer quotes
+const QUOTE_VALIDITY = 10 * 60 * 1000;
+
+/**
+ * Class representing a local mock of the ING backend, used to run the IngApi without hitting the real bank
+ * Usage :
+ * const server = new MockIngServer();
+ * const baseUrl = await server.start();
+ * const ingApi = new IngApi('0123456789', '01011970', '123456', {baseUrl});
+ */
+class MockIngServer {
+
+    /**
+     * Create a new MockIngServer instance
+     * @param {{customer?: {customerId?: string, birthdate?: string, password?: string, regieId?: string}, transactionsHistoryDays?: number, onOneTimePassword?: function({action: string, phone: string, type: string, otp: string, sentAt: Date})}} options
+     */
+    constructor(options = {}) {
+
+        this.customer = {
+            customerId: '0123456789',
+            birthdate: '01011970',
+            password: '123456',
+            regieId: '9f2c41e7a0d34b1c',
+            ...options.customer
+        };
+
+        // Each server gets its own copy of the fixtures, so that transfers and beneficiaries can be added
+        this.fixtures = MockIngServer.loadFixtures();
+        // Number of the last beneficiary uid, never reused after a deletion like the ING uids
+        this.lastBeneficiaryNumber = this.fixtures.beneficiaries.reduce((max, beneficiary) => Math.max(max, parseInt(beneficiary.uid.replace(/^EXT/, '')) || 0), 0);
+
+        // Number of days of transactions that can be displayed without the DISPLAY_TRANSACTIONS 2FA
+        this.transactionsHistoryDays = options.transactionsHistoryDays || 45;
+
+        // JSESSIONID -> session state
+        this.sessions = new Map();
+
+        // The one time passwords "sent by SMS", to be read by the tests
+        this.sentOneTimePasswords = [];
+        this.executedTransfers = [];
+        // The transfers executed after today and the recurring transfers, returned by futureTransfers
+        this.futureTransfers = [];
+        this.recurringTransfers = [];
+        // quoteId -> quote of an international transfer
+        this.internationalQuotes = new Map();
+        // Called with each sent one time password, e.g. to display it when the server runs standalone
+        this.onOneTimePassword = options.onOneTimePassword || null;
+
+        this.app = this.createApp();
+        this.server = null;
+    }
+
+    /**
+     * Returns a fresh copy of the fixtures stored in the mock_fixtures directory
+     * @return {Object<string, Object>}
+     */
+    static loadFixtures() {
+        const fixtures = {};
+        for (const name of ['accounts', 'accountDetails', 'transactions', 'bankRecords', 'beneficiaries', 'otpChannels', 'cards', 'cardTransactions', 'cardLimits', 'messages', 'customer', 'directDebits', 'lifeInsurance']) {
+            fixtures[name] = JSON.parse(JSON.stringify(require(path.join(__dirname, 'mock_fixtures', `${name}.json`))));
+        }
+        return fixtures;
+    }
+
+    /**
+     * Start listening on the given port (0 for a random port)
+     * @param {number} port
+     * @param {string} host
+     * @return {Promise<string>} the base url to give to the IngApi constructor
+     */
+    start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, () => resolve(this.getBaseUrl()));
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop the server
+     * @return {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve, reject) => {
+            if (!this.server) return resolve();
+            this.server.close(err => err ? reject(err) : resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Returns the base url of the running server
+     * @return {string}
+     */
+    getBaseUrl() {
+        const address = this.server.address();
+        return `http://${address.address}:${address.port}`;
+    }
+
+    /**
+     * Returns the last one time password sent by the mock
+     * @return {string|null}
+     */
+    getLastOneTimePassword() {
+        const last = this.sentOneTimePasswords[this.sentOneTimePasswords.length - 1];
+        return last ? last.otp : null;
+    }
+
+    /**
+     * Build the express application serving the mocked endpoints
+     * @return {Express}
+     */
+    createApp() {
+        const app = express();
+        const secure = express.Router();
+
+        app.use(express.json({strict: false}));
+        app.use((req, res, next) => {
+            req.ingSession = this.getOrCreateSession(req, res);
+            next();
+        });
+        app.use('/secure/api-v1', secure);
+        const saveInvest = express.Router();
+        app.use('/saveinvestapi/v1', saveInvest);
+
+        const authenticated = (req, res, next) => {
+            if (!this.isAuthenticated(req)) {
+                return this.sendError(res, 401, 'AUTHENTICATION.NOT_AUTHENTICATED', 'You must be authenticated');
+            }
+            next();
+        };
+
+        // Login
+
+        secure.post('/login/cif', (req, res) => {
+            const {cif, regieId, birthDate} = req.body || {};
+            const knownCustomer = cif ? cif === this.customer.customerId : regieId === this.customer.regieId;
+            if (!knownCustomer || birthDate !== this.customer.birthdate) {
+                return this.sendError(res, 401, 'AUTHENTICATION.INVALID_CIF_AND_BIRTHDATE_COMBINATION', 'Invalid customer id and birthdate combination');
+            }
+            req.ingSession.loginStep = 'CIF';
+            res.json({regieId: this.customer.regieId, mustCreatePinCode: false});
+        });
+
+        secure.post('/login/keypad', (req, res) => {
+            if (req.ingSession.loginStep !== 'CIF') return this.sendError(res, 400, 'AUTHENTICATION.STEP1_NOT_DONE', 'The customer id step must be done first');
+            req.ingSession.keypad = MockIngServer.newKeypad(1);
+            res.json({pinPositions: req.ingSession.keypad.pinPositions});
+        });
+
+        secure.get('/keypad/newkeypad.png', async (req, res, next) => {
+            if (!req.ingSession.keypad) return this.sendError(res, 400, 'AUTHENTICATION.STEP1_NOT_DONE', 'No keypad requested');
+            this.sendKeypad(res, req.ingSession.keypad).catch(next);
+        });
+
+        secure.post('/login/sca/pin', (req, res) => {
+            const session = req.ingSession;
+            const keypad = session.keypad;
+            session.keypad = null;
+            if (!keypad || !this.checkClickPositions(keypad, (req.body || {}).clickPositions)) {
+                return this.sendError(res, 401, 'AUTHENTICATION.INVALID_PIN_CODE', 'Invalid pin code');
+            }
+            session.authenticated = true;
+            session.authToken = MockIngServer.randomToken();
+            session.authCookie = MockIngServer.randomToken();
+            res.set('Ingdf-Auth-Token', session.authToken);
+            // Like ING, a second cookie is set after the login, the session dies if it replaces JSESSIONID
+            res.append('Set-Cookie', `INGDF_AUTH=${session.authCookie}; Path=/secure; HttpOnly; Max-Age=1800`);
+            res.json({strongAuthenticationLoginExempted: true});
+        });
+
+        secure.get('/session', (req, res) => {
+            res.json({authenticated: this.isAuthenticated(req)});
+        });
+
+        secure.get('/login/informations', authenticated, (req, res) => {
+            res.json({firstName: 'Jean', lastName: 'Dupont', title: 'M', lastLogin: new Date().toISOString()});
+        });
+
+        // Customer
+
+        secure.get('/customer/info', authenticated, (req, res) => {
+            res.json(this.fixtures.customer);
+        });
+
+        secure.get('/customer/status', authenticated, (req, res) => {
+            res.json('ACTIVE');
+        });
+
+        // Accounts
+
+        secure.get('/accounts', authenticated, (req, res) => {
+            res.json(this.fixtures.accounts);
+        });
+
+        secure.get('/accounts/:accountId', authenticated, (req, res) => {
+            const account = this.fixtures.accountDetails[req.params.accountId];
+            if (!account) return this.sendError(res, 404, 'ACCOUNT.NOT_FOUND', 'Unknown account');
+            res.json(account);
+        });
+
+        secure.get('/accounts/:accountId/bankRecord', authenticated, (req, res) => {
+            const bankRecord = this.fixtures.bankRecords[req.params.accountId];
+            if (!bankRecord) return this.sendError(res, 404, 'ACCOUNT.NOT_FOUND', 'Unknown account');
+            res.json(bankRecord);
+        });
+
+        secure.get('/accounts/:accountId/futureOperations', authenticated, (req, res) => {
+            if (!this.fixtures.accountDetails[req.params.accountId]) return this.sendError(res, 404, 'ACCOUNT.NOT_FOUND', 'Unknown account');
+            res.json({totalAmount: 0, futureOperations: []});
+        });
+
+        secure.get('/accounts/:accountId/transactions/after/:startAt/limit/:limit', authenticated, (req, res) => {
+            const transactions = this.fixtures.transactions[req.params.accountId];
+            if (!transactions) return this.sendError(res, 404, 'ACCOUNT.NOT_FOUND', 'Unknown account');
+            const startIndex = req.params.startAt === '0' ? 0 : transactions.findIndex(transaction => transaction.id === req.params.startAt) + 1;
+            if (startIndex === 0 && req.params.startAt !== '0') return res.json([]);
+
+            // The transactions are sorted from the most recent, the displayable ones are the first of the list
+            const historyLimit = new Date(this.fixtures.accounts.businessDate);
+            historyLimit.setDate(historyLimit.getDate() - this.transactionsHistoryDays);
+            const displayableTransactions = req.ingSession.transactionsUnlocked ? transactions : transactions.filter(transaction => new Date(transaction.effectiveDate) >= historyLimit);
+
+            const page = displayableTransactions.slice(startIndex, startIndex + parseInt(req.params.limit));
+            if (page.length === 0 && startIndex < transactions.length) {
+                return this.sendError(res, 403, 'SCA.DISPLAY_TRANSACTIONS_REQUIRED', 'A strong authentication is required to display older transactions');
+            }
+            res.json(page);
+        });
+
+        // Cards
+
+        secure.get('/accounts/cards/v2/cards/:accountId', authenticated, (req, res) => {
+            res.json(this.fixtures.cards[req.params.accountId] || []);
+        });
+
+        secure.post('/accounts/cards/v2/transactions', authenticated, (req, res) => {
+            const {accountUid, cardUid} = req.body || {};
+            if (!this.findCard(accountUid, cardUid)) return this.sendError(res, 404, 'CARD.NOT_FOUND', 'Unknown card');
+            res.json(this.fixtures.cardTransactions[cardUid] || []);
+        });
+
+        secure.post('/accounts/cards/v2/functionalities/access', authenticated, (req, res) => {
+            const {accountUid, cardUid} = req.body || {};
+            if (!this.findCard(accountUid, cardUid)) return this.sendError(res, 404, 'CARD.NOT_FOUND', 'Unknown card');
+            res.json(this.fixtures.cardLimits[cardUid].functionalities);
+        });
+
+        secure.post('/accounts/cards/v2/limits', authenticated, (req, res) => {
+            const {accountUid, cardUid} = req.body || {};
+            if (!this.findCard(accountUid, cardUid)) return this.sendError(res, 404, 'CARD.NOT_FOUND', 'Unknown card');
+            res.json({limits: this.fixtures.cardLimits[cardUid].limits, acknowledged: true});
+        });
+
+        // The decreases are applied directly, the increases require the CHANGE_CARD_LIMITS sensitive operation
+        secure.post('/accounts/cards/v2/limits/change', authenticated, (req, res) => {
+            const {accountUid, cardUid, limits} = req.body || {};
+            const card = this.findCard(accountUid, cardUid);
+            if (!card) return this.sendError(res, 404, 'CARD.NOT_FOUND', 'Unknown card');
+            if (!this.fixtures.cardLimits[cardUid].functionalities.CARD_LIMIT.enabled) return this.sendError(res, 403, 'CARD.FUNCTIONALITY_DISABLED', 'The limits of this card can\'t be changed');
+            if (card.limitsChangedWithinTheDay) return this.sendError(res, 409, 'CARD.LIMITS_ALREADY_CHANGED', 'The limits of this card have already been changed today');
+            const currentLimits = this.fixtures.cardLimits[cardUid].limits;
+            const validLimits = Array.isArray(limits) && limits.length > 0 && limits.every(limit => currentLimits.some(currentLimit => currentLimit.type === limit.type) && typeof limit.authorized === 'number' && limit.authorized > 0);
+            if (!validLimits) return this.sendError(res, 400, 'CARD.INVALID_LIMITS', 'Invalid card limits');
+            if (limits.some(limit => limit.authorized > currentLimits.find(currentLimit => currentLimit.type === limit.type).authorized)) {
+                return this.sendError(res, 403, 'SCA.CARD_LIMITS_REQUIRED', 'A strong authentication is required to raise the card limits');
+            }
+            this.applyCardLimits(req.body);
+            res.json({acknowledged: true});
+        });
+
+        secure.post('/accounts/cards/v2/contactless', authenticated, (req, res) => {
+            const {accountUid, cardUid, contactlessToggleStatus} = req.body || {};
+            const card = this.findCard(accountUid, cardUid);
+            if (!card) return this.sendError(res, 404, 'CARD.NOT_FOUND', 'Unknown card');
+            if (!['ON', 'OFF'].includes(contactlessToggleStatus)) return this.sendError(res, 400, 'CARD.INVALID_CONTACTLESS_STATUS', 'The contactless status must be ON or OFF');
+            card.contactless = contactlessToggleStatus === 'ON';
+            res.json({acknowledged: true});
+        });
+
+        secure.post('/accounts/cards/v2/changeCardStatus', authenticated, (req, res) => {
+            const {accountUniqueID, cardUid, statusCode} = req.body || {};
+            const card = this.findCard(accountUniqueID, cardUid);
+            if (!card) return this.sendError(res, 404, 'CARD.NOT_FOUND', 'Unknown card');
+            const labels = {ACTIVATED: 'Active', LOCKED_BY_CLIENT: 'Bloquée par le client'};
+            if (!labels[statusCode]) return this.sendError(res, 400, 'CARD.INVALID_STATUS', 'The status must be ACTIVATED or LOCKED_BY_CLIENT');
+            card.status = {code: statusCode, label: labels[statusCode]};
+            res.json({acknowledged: true});
+        });
+
+        // Direct debits
+
+        secure.get('/accounts/:accountId/directDebits/authorizations', authenticated, (req, res) => {
+            res.json(this.fixtures.directDebits.authorizations[req.params.accountId] || []);
+        });
+
+        secure.get('/accounts/direct/debit/past/list/:accountId', authenticated, (req, res) => {
+            res.json(this.fixtures.directDebits.past[req.params.accountId] || []);
+        });
+
+        secure.get('/accounts/direct/debit/pending/list/:accountId', authenticated, (req, res) => {
+            res.json(this.fixtures.directDebits.pending[req.params.accountId] || []);
+        });
+
+        // Messages
+
+        secure.get('/customer/hermes', authenticated, (req, res) => {
+            const perPage = parseInt(req.query.nbRowByPage) || 30;
+            const pageNumber = parseInt(req.query.pageNumber) || 1;
+            const messages = this.fixtures.messages.map(({content, ...message}) => message);
+            res.json(messages.slice((pageNumber - 1) * perPage, pageNumber * perPage));
+        });
+
+        secure.get('/customer/hermes/number', authenticated, (req, res) => {
+            const messages = this.fixtures.messages.filter(message => req.query.hermesCountType !== 'UNREAD' || !message.alreadyRead);
+            res.json(messages.length);
+        });
+
+        secure.get('/customer/hermes/:messageId/content', authenticated, (req, res) => {
+            const message = this.fixtures.messages.find(m => String(m.messageId) === req.params.messageId);
+            if (!message) return this.sendError(res, 404, 'HERMES.NOT_FOUND', 'Unknown message');
+            res.json({messageId: message.messageId, dateOnLine: message.dateOnLine, object: message.object, content: message.content});
+        });
+
+        secure.post('/customer/hermes/validate', authenticated, (req, res) => {
+            const message = this.fixtures.messages.find(m => String(m.messageId) === String(req.body));
+            if (!message) return this.sendError(res, 404, 'HERMES.NOT_FOUND', 'Unknown message');
+            message.alreadyRead = true;
+            res.json({acknowledged: true});
+        });
+
+        secure.delete('/customer/hermes/:messageId', authenticated, (req, res) => {
+            const messages = this.fixtures.messages.filter(m => String(m.messageId) !== req.params.messageId);
+            if (messages.length === this.fixtures.messages.length) return this.sendError(res, 404, 'HERMES.NOT_FOUND', 'Unknown message');
+            this.fixtures.messages = messages;
+            res.json({acknowledged: true});
+        });
+
+        // Transfers
+
+        secure.get('/transfers/debitAccounts', authenticated, (req, res) => {
+            res.json(this.fixtures.accounts.accounts.filter(account => account.type.code !== 'ASV'));
+        });
+
+        secure.get('/transfers/debitAccounts/:accountId/creditAccounts', authenticated, (req, res) => {
+            const internalAccounts = this.fixtures.accounts.accounts.filter(account => account.type.code !== 'ASV' && account.uid !== req.params.accountId);
+            res.json({internalAccounts, externalAccounts: this.fixtures.beneficiaries});
+        });
+
+        secure.post('/transfers/v3/new/validate', authenticated, (req, res) => {
+            const {fromAccount, toAccount, amount, executionDate, mobilePeriodicity, endDate} = req.body || {};
+            const debitAccount = this.fixtures.accounts.accounts.find(account => account.uid === fromAccount);
+            if (!debitAccount) return this.sendError(res, 400, 'TRANSFER.UNKNOWN_DEBIT_ACCOUNT', 'Unknown debit account');
+            const creditAccount = this.findCreditAccount(toAccount);
+            if (!creditAccount) return this.sendError(res, 400, 'TRANSFER.UNKNOWN_CREDIT_ACCOUNT', 'Unknown credit account');
+            if (creditAccount.type.code === 'INTERNATIONAL') return this.sendError(res, 400, 'TRANSFER.INTERNATIONAL_BENEFICIARY', 'The transfers to an international beneficiary are international transfers');
+            if (!(amount > 0)) return this.sendError(res, 400, 'TRANSFER.INVALID_AMOUNT', 'The amount must be positive');
+            if (amount > debitAccount.availableBalance) return this.sendError(res, 400, 'TRANSFER.INSUFFICIENT_BALANCE', 'Insufficient balance');
+            if (mobilePeriodicity && !PERIODICITY_LABELS[mobilePeriodicity.code]) return this.sendError(res, 400, 'TRANSFER.INVALID_PERIODICITY', 'Unknown periodicity');
+            if (endDate && endDate < (executionDate || new Date().toISOString().substr(0, 10))) return this.sendError(res, 400, 'TRANSFER.INVALID_END_DATE', 'The end date is before the first execution');
+            const date = executionDate ? new Date(executionDate) : new Date();
+            res.json({executionSuggestedDate: MockIngServer.formatFrenchDate(date)});
+        });
+
+        secure.post('/transfers/international/quote', authenticated, (req, res) => {
+            const {fromAccount, toAccount, amount, currency, feeOption} = req.body || {};
+            const debitAccount = this.fixtures.accounts.accounts.find(account => account.uid === fromAccount);
+            if (!debitAccount) return this.sendError(res, 400, 'TRANSFER.UNKNOWN_DEBIT_ACCOUNT', 'Unknown debit account');
+            const beneficiary = this.fixtures.beneficiaries.find(beneficiary => beneficiary.uid === toAccount && beneficiary.type.code === 'INTERNATIONAL');
+            if (!beneficiary) return this.sendError(res, 400, 'TRANSFER.UNKNOWN_CREDIT_ACCOUNT', 'Unknown international beneficiary');
+            if (!(amount > 0)) return this.sendError(res, 400, 'TRANSFER.INVALID_AMOUNT', 'The amount must be positive');
+            if (!EXCHANGE_RATES[currency]) return this.sendError(res, 400, 'TRANSFER.UNSUPPORTED_CURRENCY', `The currency ${currency} is not supported`, {currency});
+            if (INTERNATIONAL_TRANSFER_FEES[feeOption] === undefined) return this.sendError(res, 400, 'TRANSFER.INVALID_FEE_OPTION', `Unknown fee option ${feeOption}`, {feeOption});
+
+            const round = value => Math.round(value * 100) / 100;
+            const debitAmount = round(amount / EXCHANGE_RATES[currency]);
+            const fees = INTERNATIONAL_TRANSFER_FEES[feeOption];
+            const totalDebitAmount = round(debitAmount + fees);
+            if (totalDebitAmount > debitAccount.availableBalance) return this.sendError(res, 400, 'TRANSFER.INSUFFICIENT_BALANCE', 'Insufficient balance');
+
+            const now = new Date();
+            const quote = {
+                quoteId: MockIngServer.randomToken(),
+                fromAccount, toAccount, amount, currency, feeOption,
+                exchangeRate: EXCHANGE_RATES[currency],
+                debitAmount,
+                fees: {amount: fees, currency: 'EUR'},
+                totalDebitAmount,
+                // The international transfers are executed in 2 days
+                executionDate: new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString().substr(0, 10),
+                expiresAt: new Date(now.getTime() + QUOTE_VALIDITY).toISOString()
+            };
+            this.internationalQuotes.set(quote.quoteId, quote);
+            res.json(quote);
+        });
+
+        secure.get('/transfers/international/quote/:quoteId', authenticated, (req, res) => {
+            const quote = this.internationalQuotes.get(req.params.quoteId);
+            if (!quote) return this.sendError(res, 404, 'TRANSFER.QUOTE_NOT_FOUND', 'Unknown quote');
+            if (new Date(quote.expiresAt) <= new Date()) return this.sendError(res, 409, 'TRANSFER.QUOTE_EXPIRED', 'The quote has expired', {quoteId: quote.quoteId});
+            res.json(quote);
+        });
+
+        secure.get('/futureTransfers', authenticated, (req, res) => {
+            res.json({pendingTransfers: this.futureTransfers, mobileReccuringTransfers: this.recurringTransfers, nbPendingTransfers: this.futureTransfers.length});
+        });
+
+        // External accounts
+
+        secure.get('/externalAccounts/beneficiaries', authenticated, (req, res) => {
+            res.json(this.fixtures.beneficiaries);
+        });
+
+        secure.post('/externalAccounts/add/validateRequest', authenticated, (req, res) => {
+            const {accountHolderName, iban} = req.body || {};
+            const normalizedIban = (iban || '').replace(/\s/g, '').toUpperCase();
+            if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalizedIban)) {
+                return this.sendError(res, 400, 'EXTERNAL_ACCOUNT.IBAN_BAD_FORMAT', 'The IBAN format is invalid', {iban});
+            }
+            if (this.fixtures.beneficiaries.some(beneficiary => beneficiary.iban === normalizedIban)) {
+                return this.sendError(res, 400, 'EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS', 'This external account already exists', {iban});
+            }
+            res.json({accountHolderName, bankName: 'BANQUE EXTERNE', bic: 'BEXTFRPPXXX', iban: normalizedIban});
+        });
+
+        secure.post('/externalAccounts/international/add/validateRequest', authenticated, (req, res) => {
+            const body = req.body || {};
+            const accountNumber = (body.accountNumber || '').replace(/\s/g, '').toUpperCase();
+            if (!/^[A-Z0-9]{4,34}$/.test(accountNumber)) {
+                return this.sendError(res, 400, 'EXTERNAL_ACCOUNT.ACCOUNT_NUMBER_BAD_FORMAT', 'The account number format is invalid', {accountNumber: body.accountNumber});
+            }
+            if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(body.bic || '')) {
+                return this.sendError(res, 400, 'EXTERNAL_ACCOUNT.BIC_BAD_FORMAT', 'The BIC format is invalid', {bic: body.bic});
+            }
+            if (!EXCHANGE_RATES[body.currency]) {
+                return this.sendError(res, 400, 'EXTERNAL_ACCOUNT.UNSUPPORTED_CURRENCY', `The currency ${body.currency} is not supported`, {currency: body.currency});
+            }
+            if (this.fixtures.beneficiaries.some(beneficiary => beneficiary.accountNumber === accountNumber && beneficiary.bic === body.bic)) {
+                return this.sendError(res, 400, 'EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS', 'This external account already exists', {accountNumber: body.accountNumber});
+            }
+            res.json({...body, accountNumber, bankName: body.bankName.toUpperCase()});
+        });
+
+        secure.delete('/externalAccounts/:beneficiaryId', authenticated, (req, res) => {
+            this.fixtures.beneficiaries = this.fixtures.beneficiaries.filter(beneficiary => beneficiary.uid !== req.params.beneficiaryId);
+            res.json({acknowledged: true});
+        });
+
+        // Life insurance
+
+        secure.get('/lifeInsurance/externalAccounts', authenticated, (req, res) => {
+            res.json(this.fixtures.lifeInsurance.externalAccounts);
+        });
+
+        secure.get('/saveInvest/token/generate', authenticated, (req, res) => {
+            req.ingSession.saveInvestToken = MockIngServer.randomToken();
+            res.json({token: req.ingSession.saveInvestToken, cif: this.customer.customerId});
+        });
+
+        // The Save Invest API is authenticated by the bearer token generated above
+        saveInvest.use((req, res, next) => {
+            const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+            const known = [...this.sessions.values()].some(session => session.saveInvestToken && session.saveInvestToken === token);
+            if (!known) return this.sendError(res, 401, 'AUTHENTICATION.INVALID_TOKEN', 'Invalid Save Invest token');
+            next();
+        });
+
+        saveInvest.get('/lifeinsurance/contract/:contractId', (req, res) => {
+            const contract = this.fixtures.lifeInsurance.contracts[req.params.contractId];
+            if (!contract) return this.sendError(res, 404, 'LIFE_INSURANCE.CONTRACT_NOT_FOUND', 'Unknown contract');
+            const {amounts, ...details} = contract;
+            res.json(req.query.only ? {id: contract.id, ...amounts} : details);
+        });
+
+        saveInvest.get('/lifeinsurance/advice/:customerId/:contractId', (req, res) => {
+            const contract = this.fixtures.lifeInsurance.contracts[req.params.contractId];
+            if (!contract || req.params.customerId !== this.customer.customerId) return this.sendError(res, 404, 'LIFE_INSURANCE.CONTRACT_NOT_FOUND', 'Unknown contract');
+            res.json({
+                questionnaireId: 1,
+                cif: this.customer.customerId,
+                contractId: contract.id,
+                date: '2021-01-15',
+                riskProfile: 'BALANCED',
+                profile: {type: 'SELF', selfAllocation: {type: 'BALANCED', allocation: {EUROS: {value: 60}, SHARES: {value: 40}, BOND: {value: 0}}}},
+                managementMode: contract.managementMode,
+                status: 'VALID',
+                flaggedProfile: false
+            });
+        });
+
+        saveInvest.get('/lifeinsurance/mandate', (req, res) => {
+            res.json(this.fixtures.lifeInsurance.mandates);
+        });
+
+        saveInvest.use((req, res) => this.sendError(res, 404, 'NOT_FOUND', `No mock for ${req.method} ${req.path}`));
+
+        // Strong customer authentication
+
+        secure.get('/toggle/sca/status', authenticated, (req, res) => {
+            res.json({acknowledged: true});
+        });
+
+        secure.post('/sca/keyPad', authenticated, (req, res) => {
+            const keypad = MockIngServer.newKeypad(5);
+            keypad.id = MockIngServer.randomToken();
+            req.ingSession.sca = {action: (req.body || {}).sensitiveOperationAction, keypad};
+            res.json({pinPositions: keypad.pinPositions, keyPadUrl: `sca/keypad/${keypad.id}.png`});
+        });
+
+        secure.get('/sca/keypad/:keypadId.png', authenticated, (req, res, next) => {
+            const sca = req.ingSession.sca;
+            if (!sca || !sca.keypad || sca.keypad.id !== req.params.keypadId) return this.sendError(res, 404, 'SCA.STEP1_NOT_DONE', 'Unknown keypad');
+            this.sendKeypad(res, sca.keypad).catch(next);
+        });
+
+        secure.post('/sca/validatePin', authenticated, (req, res) => {
+            const sca = req.ingSession.sca;
+            const body = req.body || {};
+            if (!sca || !sca.keypad || sca.action !== body.sensitiveOperationAction) return this.sendError(res, 400, 'SCA.STEP1_NOT_DONE', 'No keypad requested for this operation');
+            const keypad = sca.keypad;
+            sca.keypad = null;
+            if (!this.checkClickPositions(keypad, (body.keyPad || {}).clickPositions)) return this.sendError(res, 400, 'SCA.INVALID_PIN_CODE', 'Invalid pin code');
+            const request = MockIngServer.getSensitiveOperationRequest(body);
+            if (sca.action === 'INTERNATIONAL_TRANSFER') {
+                const quote = request && this.internationalQuotes.get(request.quoteId);
+                if (!quote || new Date(quote.expiresAt) <= new Date()) return this.sendError(res, 409, 'TRANSFER.QUOTE_EXPIRED', 'The quote has expired', {quoteId: request && request.quoteId});
+            }
+            sca.secretCode = MockIngServer.randomToken();
+            sca.request = request;
+            res.json({validated: true, secretCode: sca.secretCode, executed: false});
+        });
+
+        secure.get('/sensitiveoperation/:action/otpChannels', authenticated, (req, res) => {
+            res.json(this.fixtures.otpChannels);
+        });
+
+        secure.post('/sca/sendOtp', authenticated, (req, res) => {
+            const sca = req.ingSession.sca;
+            const body = req.body || {};
+            if (!sca || !sca.secretCode || sca.secretCode !== body.secretCode) return this.sendError(res, 400, 'SCA.STEP1_NOT_DONE', 'The pin code must be validated first');
+            sca.otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+            const sentOneTimePassword = {action: sca.action, phone: body.channelValue, type: body.channelType, otp: sca.otp, sentAt: new Date()};
+            this.sentOneTimePasswords.push(sentOneTimePassword);
+            if (this.onOneTimePassword) this.onOneTimePassword(sentOneTimePassword);
+            res.json({acknowledged: true});
+        });
+
+        secure.post('/sca/confirmOtp', authenticated, (req, res) => {
+            const sca = req.ingSession.sca;
+            const body = req.body || {};
+            if (!sca || !sca.otp || sca.action !== body.sensitiveOperationAction) return this.sendError(res, 400, 'SCA.STEP1_NOT_DONE', 'No one time password sent for this operation');
+            if (sca.otp !== body.otp) return this.sendError(res, 400, 'SCA.INVALID_OTP', 'Invalid one time password');
+            req.ingSession.sca = null;
+            // Like ING, the request validated with the pin code is executed, whatever is sent with the one time password
+            this.executeSensitiveOperation(req.ingSession, sca.action, sca.request);
+            res.json({acknowledged: true});
+        });
+
+        secure.use((req, res) => this.sendError(res, 404, 'NOT_FOUND', `No mock for ${req.method} ${req.path}`));
+
+        return app;
+    }
+
+    /**
+     * Returns the session matching the JSESSIONID cookie, or create a new one
+     * @param {Request} req
+     * @param {Response} res
+     * @return {Object}
+     */
+    getOrCreateSession(req, res) {
+        req.cookies = {};
+        for (const pair of (req.get('Cookie') || '').split(';')) {
+            const separatorIndex = pair.indexOf('=');
+            if (separatorIndex > 0) req.cookies[pair.slice(0, separatorIndex).trim()] = pair.slice(separatorIndex + 1).trim();
+        }
+
+        let session = this.sessions.get(req.cookies.JSESSIONID);
+        if (!session) {
+            session = {id: MockIngServer.randomToken(), authenticated: false, authToken: null, authCookie: null, saveInvestToken: null, loginStep: null, keypad: null, sca: null};
+            this.sessions.set(session.id, session);
+            res.append('Set-Cookie', `JSESSIONID=${session.id}; Path=/; HttpOnly`);
+        }
+        return session;
+    }
+
+    /**
+     * Returns true if the request carries the auth token and the auth cookie of an authenticated session
+     * @param {Request} req
+     * @return {boolean}
+     */
+    isAuthenticated(req) {
+        const session = req.ingSession;
+        return session.authenticated && req.get('Ingdf-Auth-Token') === session.authToken && req.cookies.INGDF_AUTH === session.authCookie;
+    }
+
+    /**
+     * Send an error with the same shape as the ING API
+     * @param {Response} res
+     * @param {number} status
+     * @param {string} code
+     * @param {string} message
+     * @param {Object} values
+     */
+    sendError(res, status, code, message, values = {}) {
+        res.status(status).json({error: {code, message, values}});
+    }
+
+    /**
+     * Render a keypad as a PNG image and send it
+     * @param {Response} res
+     * @param {{digits: Array<number>, scale: number}} keypad
+     * @return {Promise<void>}
+     */
+    async sendKeypad(res, keypad) {
+        const image = await KeypadGenerator.render(keypad.digits, keypad.scale);
+        res.type('png').send(await image.getBufferAsync(Jimp.MIME_PNG));
+    }
+
+    /**
+     * Check that the click positions match the password digits requested by the keypad
+     * @param {{digits: Array<number>, pinPositions: Array<number>, scale: number}} keypad
+     * @param {Array<Array<number>>} clickPositions
+     * @return {boolean}
+     */
+    checkClickPositions(keypad, clickPositions) {
+        if (!Array.isArray(clickPositions) || clickPositions.length !== keypad.pinPositions.length) return false;
+        const passwordKeypad = new PasswordKeypad(null);
+        return keypad.pinPositions.every((pinPosition, i) => {
+            const cellIndex = passwordKeypad.getCellIndex(clickPositions[i][0], clickPositions[i][1], keypad.scale);
+            return cellIndex !== -1 && String(keypad.digits[cellIndex]) === this.customer.password[pinPosition - 1];
+        });
+    }
+
+    /**
+     * Apply the effect of a sensitive operation once its one time password is confirmed
+     * @param {Object} session
+     * @param {string} action
+     * @param {Object} request
+     */
+    executeSensitiveOperation(session, action, request) {
+        if (action === 'EXTERNAL_TRANSFER' && request) {
+            this.executedTransfers.push(request);
+            const creditAccount = this.findCreditAccount(request.toAccount);
+            const futureTransfer = {
+                amount: request.amount,
+                label: request.label,
+                executionDate: request.executionDate,
+                fromAccountUid: request.fromAccount,
+                toExternalAccountUid: request.toAccount,
+                toAccountLabel: creditAccount ? creditAccount.label : undefined,
+                cancelable: true
+            };
+            // The recurring transfers are only registered, their executions are not simulated
+            if (request.mobilePeriodicity) {
+                const {code} = request.mobilePeriodicity;
+                this.recurringTransfers.push({
+                    uid: `REC${String(this.executedTransfers.length).padStart(7, '0')}`,
+                    ...futureTransfer,
+                    mobilePeriodicity: {code, label: PERIODICITY_LABELS[code]},
+                    endDate: request.endDate
+                });
+                return;
+            }
+            if (request.executionDate > new Date().toISOString().substr(0, 10)) {
+                this.futureTransfers.push({uid: `TRF${String(this.executedTransfers.length).padStart(7, '0')}`, ...futureTransfer});
+                return;
+            }
+
+            const transactions = this.fixtures.transactions[request.fromAccount];
+            if (transactions) {
+                const lastId = transactions.reduce((max, transaction) => Math.max(max, parseInt(transaction.id)), 0);
+                transactions.unshift({
+                    id: String(lastId + 1),
+                    effectiveDate: request.executionDate,
+                    accountingDate: request.executionDate,
+                    detail: `VIREMENT SEPA EMIS ${request.label || ''}`.trim(),
+                    amount: -request.amount,
+                    transcodeNeedCustomerAction: false,
+                    type: 'TRANSFER',
+                    isOldBankCode: false,
+                    sameMonthAsPrevious: true,
+                    sameDateAsPrevious: false,
+                    sameDateAsNext: false
+                });
+            }
+            this.updateBalance(request.fromAccount, -request.amount);
+            this.updateBalance(request.toAccount, request.amount);
+        } else if (action === 'ADD_TRANSFER_BENEFICIARY' && request) {
+            this.fixtures.beneficiaries.push({
+                uid: `EXT${String(++this.lastBeneficiaryNumber).padStart(7, '0')}`,
+                label: request.accountHolderName,
+                owner: request.accountHolderName,
+                type: {code: 'EXTERNAL', label: 'Compte externe'},
+                bankName: request.bankName,
+                bic: request.bic,
+                iban: request.iban,
+                inGoodStanding: true,
+                hasPositiveBalance: true
+            });
+        } else if (action === 'INTERNATIONAL_TRANSFER' && request) {
+            // The quote is used once, the amount is debited right away and sent on the execution date of the quote
+            const quote = this.internationalQuotes.get(request.quoteId);
+            if (!quote) return;
+            this.internationalQuotes.delete(request.quoteId);
+            this.executedTransfers.push(request);
+            const today = new Date().toISOString().substr(0, 10);
+            const transactions = this.fixtures.transactions[request.fromAccount];
+            if (transactions) {
+                const lastId = transactions.reduce((max, transaction) => Math.max(max, parseInt(transaction.id)), 0);
+                transactions.unshift({
+                    id: String(lastId + 1),
+                    effectiveDate: today,
+                    accountingDate: today,
+                    detail: `VIREMENT INTERNATIONAL EMIS ${request.amount} ${request.currency} ${request.label || ''}`.trim(),
+                    amount: -quote.totalDebitAmount,
+                    transcodeNeedCustomerAction: false,
+                    type: 'TRANSFER',
+                    isOldBankCode: false,
+                    sameMonthAsPrevious: true,
+                    sameDateAsPrevious: false,
+                    sameDateAsNext: false
+                });
+            }
+            this.updateBalance(request.fromAccount, -quote.totalDebitAmount);
+        } else if (action === 'ADD_INTERNATIONAL_BENEFICIARY' && request) {
+            this.fixtures.beneficiaries.push({
+                uid: `EXT${String(++this.lastBeneficiaryNumber).padStart(7, '0')}`,
+                label: request.accountHolderName,
+                owner: request.accountHolderName.toUpperCase(),
+                type: {code: 'INTERNATIONAL', label: 'Compte international'},
+                bankName: request.bankName,
+                bic: request.bic,
+                accountNumber: request.accountNumber,
+                currency: request.currency,
+                inGoodStanding: true,
+                hasPositiveBalance: true
+            });
+        } else if (action === 'CANCEL_FUTURE_TRANSFER' && request) {
+            const transfers = request.recurring ? this.recurringTransfers : this.futureTransfers;
+            const index = transfers.findIndex(transfer => transfer.uid === request.transferUid);
+            if (index !== -1) transfers.splice(index, 1);
+        } else if (action === 'CHANGE_CARD_LIMITS' && request) {
+            this.applyCardLimits(request);
+        } else if (['SUSPEND_DIRECT_DEBIT_AUTHORIZATION', 'REVOKE_DIRECT_DEBIT_AUTHORIZATION'].includes(action) && request) {
+            const authorization = (this.fixtures.directDebits.authorizations[request.accountUid] || []).find(authorization => authorization.uid === request.authorizationUid);
+            if (authorization) authorization.status = action === 'REVOKE_DIRECT_DEBIT_AUTHORIZATION' ? {code: 'REVOKED', label: 'Révoqué'} : {code: 'SUSPENDED', label: 'Suspendu'};
+        } else if (['BLOCK_DIRECT_DEBIT_CREDITOR', 'UNBLOCK_DIRECT_DEBIT_CREDITOR'].includes(action) && request) {
+            for (const authorization of this.fixtures.directDebits.authorizations[request.accountUid] || []) {
+                if (authorization.creditorId === request.creditorId) authorization.creditorBlocked = action === 'BLOCK_DIRECT_DEBIT_CREDITOR';
+            }
+        } else if (action === 'REJECT_DIRECT_DEBIT' && request) {
+            // The rejected debit moves to the past debits
+            const pendingDebits = this.fixtures.directDebits.pending[request.accountUid] || [];
+            const index = pendingDebits.findIndex(debit => debit.uid === request.debitUid);
+            if (index === -1) return;
+            const [{uid, ...debit}] = pendingDebits.splice(index, 1);
+            const pastDebits = this.fixtures.directDebits.past[request.accountUid] = this.fixtures.directDebits.past[request.accountUid] || [];
+            pastDebits.unshift({...debit, status: 'REJECTED', action: 'REJECTED_BY_CUSTOMER'});
+        } else if (action === 'DISPLAY_TRANSACTIONS') {
+            session.transactionsUnlocked = true;
+        }
+    }
+
+    /**
+     * Change the authorized amounts of a card, the card is flagged with limitsChangedWithinTheDay until the server restarts
+     * @param {{cardUid: string, limits: Array<{type: string, authorized: number}>}} request
+     */
+    applyCardLimits({cardUid, limits}) {
+        for (const {type, authorized} of limits) {
+            const limit = this.fixtures.cardLimits[cardUid].limits.find(currentLimit => currentLimit.type === type);
+            limit.authorized = authorized;
+            limit.available = Math.max(Math.round((authorized - limit.used) * 100) / 100, 0);
+        }
+        for (const cards of Object.values(this.fixtures.cards)) {
+            const card = cards.find(card => card.uid === cardUid);
+            if (card) card.limitsChangedWithinTheDay = true;
+        }
+    }
+
+    /**
+     * Add an amount to the balances of an account, the accounts of other banks are ignored
+     * @param {string} accountId
+     * @param {number} amount
+     */
+    updateBalance(accountId, amount) {
+        const round = value => Math.round((value + amount) * 100) / 100;
+        for (const account of [this.fixtures.accounts.accounts.find(account => account.uid === accountId), this.fixtures.accountDetails[accountId]]) {
+            if (!account) continue;
+            account.ledgerBalance = round(account.ledgerBalance);
+            if (typeof account.availableBalance === 'number') account.availableBalance = round(account.availableBalance);
+        }
+        if (this.fixtures.accountDetails[accountId]) this.fixtures.accounts.aggregatedBalance = round(this.fixtures.accounts.aggregatedBalance);
+    }
+
+    /**
+     * Find a card of an account given its id
+     * @param {string} accountId
+     * @param {string} cardId
+     * @return {Object|undefined}
+     */
+    findCard(accountId, cardId) {
+        return (this.fixtures.cards[accountId] || []).find(card => card.uid === cardId);
+    }
+
+    /**
+     * Find a credit account (own account or beneficiary) given its id
+     * @param {string} accountId
+     * @return {Object|undefined}
+     */
+    findCreditAccount(accountId) {
+        return this.fixtures.accounts.accounts.find(account => account.uid === accountId)
+            || this.fixtures.beneficiaries.find(beneficiary => beneficiary.uid === accountId);
+    }
+
+    /**
+     * Returns the request of a sensitive operation call, given under a key depending on the action
+     * @param {Object} body
+     * @return {Object|null}
+     */
+    static getSensitiveOperationRequest(body) {
+        return body.transferRequest || body.externalAccountsRequest || body.futureTransferCancelRequest || body.cardLimitsRequest
+            || body.directDebitAuthorizationRequest || body.directDebitCreditorRequest || body.directDebitRejectRequest
+            || body.internationalTransferRequest || body.internationalExternalAccountRequest || null;
+    }
+
+    /**
+     * Generate a new keypad with shuffled digits and random password positions
+     * @param {number} scale - 1 for the login keypad, 5 for the sensitive operation keypad
+     * @return {{digits: Array<number>, pinPositions: Array<number>, scale: number}}
+     */
+    static newKeypad(scale) {
+        const digits = MockIngServer.shuffle(Util.range(10));
+        const pinPositions = MockIngServer.shuffle(Util.range(6).map(i => i + 1)).slice(0, 3).sort();
+        return {digits, pinPositions, scale};
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array
+     * @return {Array}
+     */
+    static shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(0, i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Format a date with the DD/MM/YYYY format used by ING
+     * @param {Date} date
+     * @return {string}
+     */
+    static formatFrenchDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+    }
+
+    /**
+     * Returns a random hexadecimal token
+     * @return {string}
+     */
+    static randomToken() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+}
+
+if (require.main === module) {
+    const server = new MockIngServer({
+        onOneTimePassword: ({action, phone, otp}) => console.log(`One time password for ${action} sent to ${phone} : ${otp}`)
+    });
+    server.start(process.env.PORT || 8081).then(baseUrl => {
+        console.log(`Mock ING server listening on ${baseUrl}`);
+        console.log(`Credentials : CUSTOMER_ID=${server.customer.customerId} BIRTHDATE=${server.customer.birthdate} PASSWORD=${server.customer.password}`);
+    });
+}
+
+module.exports = MockIngServer;
@@ -0,0 +1,173 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const readline = require('readline');
+
+/**
+ * Class providing the one time password providers given to the sensitive operations
+ * A provider is an async function receiving {operation, sensitiveOperationAction, channel, signal} and returning the
+ * one time password, it must stop waiting when the signal is aborted
+ * Usage :
+ * await ingApi.makeTransfer(fromAccount, toAccount, 10, 'Label', '', {oneTimePasswordProvider: OneTimePasswordProvider.fromStdin()});
+ */
+class OneTimePasswordProvider {
+
+    /**
+     * Returns a provider asking the one time password on the terminal
+     * @param {{input?: stream.Readable, output?: stream.Writable}} options - process.stdin and process.stderr by default
+     * @return {function({operation: Object, sensitiveOperationAction: string, channel: {type: string, phone: string}, signal: AbortSignal}): Promise<string>}
+     */
+    static fromStdin({input = process.stdin, output = process.stderr} = {}) {
+        return ({sensitiveOperationAction, channel, signal}) => new Promise((resolve, reject) => {
+            const rl = readline.createInterface({input, output, terminal: !!output.isTTY});
+            const onAbort = () => {
+                rl.close();
+                reject(new Error('One time password prompt aborted'));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, {once: true});
+            const destination = channel ? ` sent to ${channel.phone}` : '';
+            rl.question(`${sensitiveOperationAction} : enter the one time password${destination} : `, answer => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                rl.close();
+                resolve(answer.trim());
+            });
+        });
+    }
+
+    /**
+     * Returns a provider waiting for a one time password written in a file (e.g. by a SMS forwarding tool)
+     * Only the content written after the start of the wait is considered
+     * @param {string} filePath
+     * @param {{pattern?: RegExp, interval?: number}} options - pattern : the first group is the one time password,
+     * interval : polling interval in ms
+     * @return {function({operation: Object, sensitiveOperationAction: string, channel: {type: string, phone: string}, signal: AbortSignal}): Promise<string>}
+     */
+    static fromFile(filePath, {pattern = /\b(\d{6,8})\b/, interval = 1000} = {}) {
+        const readContent = () => fs.promises.readFile(filePath, 'utf8').catch(e => {
+            if (e.code === 'ENOENT') return '';
+            throw e;
+        });
+
+        return async ({signal}) => {
+            const initialContent = await readContent();
+            return await new Promise((resolve, reject) => {
+                const timer = setInterval(async () => {
+                    try {
+                        const content = await readContent();
+                        if (content === initialContent) return;
+                        const newContent = content.startsWith(initialContent) ? content.slice(initialContent.length) : content;
+                        const matches = [...newContent.matchAll(new RegExp(pattern, 'g'))];
+                        if (!matches.length) return;
+                        stop();
+                        resolve(matches[matches.length - 1][1]);
+                    } catch (e) {
+                        stop();
+                        reject(e);
+                    }
+                }, interval);
+                const onAbort = () => {
+                    stop();
+                    reject(new Error('One time password file watch aborted'));
+                };
+                const stop = () => {
+                    clearInterval(timer);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                };
+                if (signal) signal.addEventListener('abort', onAbort, {once: true});
+            });
+        };
+    }
+}
+
+/**
+ * Class representing a one time password provider fed by HTTP calls
+ * The codes can be delivered by an existing server (e.g. the /validation/sms endpoint of app.js) calling deliver, or by
+ * the server started with listen, which accepts POST / with a {code, operation?, operationId?} JSON body
+ */
+class OneTimePasswordWebhook {
+
+    constructor() {
+        // The operations waiting for their one time password
+        this.waiters = [];
+        this.server = null;
+    }
+
+    /**
+     * Returns the provider to give to the sensitive operations
+     * @return {function({operation: Object, sensitiveOperationAction: string, channel: {type: string, phone: string}, signal: AbortSignal}): Promise<string>}
+     */
+    get provider() {
+        return ({operation, sensitiveOperationAction, signal}) => new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error('One time password webhook wait aborted'));
+            };
+            const waiter = {
+                operationId: operation ? operation.id : null,
+                sensitiveOperationAction,
+                resolve: code => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve(code);
+                }
+            };
+            this.waiters.push(waiter);
+            if (signal) signal.addEventListener('abort', onAbort, {once: true});
+        });
+    }
+
+    /**
+     * Give a one time password to the oldest operation waiting for it
+     * @param {string} code
+     * @param {{operation?: string, operationId?: string}} target - The operation type and/or id the code is for
+     * @return {boolean} false if no operation was waiting for this code
+     */
+    deliver(code, {operation = null, operationId = null} = {}) {
+        const waiter = this.waiters.find(w => (!operationId || w.operationId === operationId) && (!operation || w.sensitiveOperationAction === operation));
+        if (!waiter) return false;
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        waiter.resolve(String(code).trim());
+        return true;
+    }
+
+    /**
+     * Start a HTTP server receiving the one time passwords
+     * @param {number} port
+     * @param {string} host
+     * @return {Promise<void>}
+     */
+    listen(port, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                let delivered = false;
+                try {
+                    const {code, operation, operationId} = JSON.parse(body);
+                    delivered = req.method === 'POST' && !!code && this.deliver(code, {operation, operationId});
+                } catch (e) {
+                    // An invalid body is answered as an undelivered code
+                }
+                res.writeHead(delivered ? 200 : 404, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify({delivered}));
+            });
+        });
+        return new Promise((resolve, reject) => {
+            this.server.listen(port, host, resolve);
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop the HTTP server
+     * @return {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+}
+
+module.exports = {
+    OneTimePasswordProvider,
+    OneTimePasswordWebhook
+};
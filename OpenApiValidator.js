@@ -0,0 +1,283 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {IngRequestError} = require('./IngApiError');
+
+/**
+ * Class validating requests and responses against an OpenAPI 3 document
+ * The supported schema keywords are type, nullable, enum, format (date and date-time), properties, required,
+ * additionalProperties, items, minItems, maxItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength,
+ * maxLength, pattern, allOf, anyOf, oneOf and $ref (local or to another file, e.g. openapi.yaml#/components/schemas/Account)
+ * Usage :
+ * const validator = new OpenApiValidator(path.join(__dirname, 'openapi.yaml'));
+ * const errors = validator.validateResponse('GET', 'accounts', 200, data); // [{location: 'response.accounts[0].uid', message: 'is required'}]
+ */
+class OpenApiValidator {
+
+    /**
+     * Create a new OpenApiValidator instance
+     * @param {string} filePath - The OpenAPI document (YAML or JSON)
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        // file path -> parsed document
+        this.documents = new Map();
+        this.operations = OpenApiValidator.compileOperations(this.loadDocument(this.filePath));
+    }
+
+    /**
+     * Returns a parsed document, loading it on the first call
+     * @param {string} filePath
+     * @return {Object}
+     */
+    loadDocument(filePath) {
+        if (!this.documents.has(filePath)) this.documents.set(filePath, yaml.load(fs.readFileSync(filePath, 'utf8')));
+        return this.documents.get(filePath);
+    }
+
+    /**
+     * Returns the operation matching a method and a path
+     * @param {string} method
+     * @param {string} requestPath - e.g. accounts/0000000001/bankRecord, the query string is ignored
+     * @return {{operation: Object, parameters: Array<Object>, pathParameters: Object<string, string>}|null}
+     */
+    findOperation(method, requestPath) {
+        const normalizedPath = '/' + requestPath.split('?')[0].replace(/^\/+/, '');
+        for (const compiledOperation of this.operations) {
+            if (compiledOperation.method !== method.toLowerCase()) continue;
+            const match = compiledOperation.regex.exec(normalizedPath);
+            if (!match) continue;
+            const pathParameters = {};
+            compiledOperation.parameterNames.forEach((name, i) => pathParameters[name] = decodeURIComponent(match[i + 1]));
+            return {operation: compiledOperation.operation, parameters: compiledOperation.parameters, pathParameters};
+        }
+        return null;
+    }
+
+    /**
+     * Validate a request : path and query parameters, and JSON body
+     * The requests on an undocumented path are not validated
+     * @param {{method: string, path: string, query?: Object<string, string>, body?: *}} request
+     * @return {Array<{location: string, message: string}>}
+     */
+    validateRequest({method, path: requestPath, query = {}, body}) {
+        const found = this.findOperation(method, requestPath);
+        if (!found) return [];
+
+        const errors = [];
+        for (const parameterOrRef of found.parameters) {
+            const parameter = this.resolve(parameterOrRef, this.filePath).schema;
+            if (!['path', 'query'].includes(parameter.in)) continue;
+            const value = parameter.in === 'path' ? found.pathParameters[parameter.name] : query[parameter.name];
+            const location = `${parameter.in}.${parameter.name}`;
+            if (value === undefined || value === '') {
+                if (parameter.required) errors.push({location, message: 'is required'});
+                continue;
+            }
+            if (parameter.schema) {
+                const schema = this.resolve(parameter.schema, this.filePath);
+                errors.push(...this.validateSchema(schema.schema, OpenApiValidator.coerceParameter(value, schema.schema), location, schema.filePath));
+            }
+        }
+
+        const requestBody = found.operation.requestBody && this.resolve(found.operation.requestBody, this.filePath).schema;
+        const bodySchema = requestBody && requestBody.content && requestBody.content['application/json'] && requestBody.content['application/json'].schema;
+        if (bodySchema) {
+            const isEmpty = body === undefined || body === null || (typeof body === 'object' && !Array.isArray(body) && !Object.keys(body).length);
+            if (!(isEmpty && !requestBody.required)) errors.push(...this.validateSchema(bodySchema, isEmpty ? {} : body, 'body', this.filePath));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a JSON response body
+     * @param {string} method
+     * @param {string} requestPath
+     * @param {number} status
+     * @param {*} body - null bodies are not validated
+     * @return {Array<{location: string, message: string}>}
+     */
+    validateResponse(method, requestPath, status, body) {
+        const found = this.findOperation(method, requestPath);
+        if (!found) return [{location: 'response', message: `${method.toUpperCase()} ${requestPath.split('?')[0]} is not documented`}];
+        if (body === null || body === undefined) return [];
+
+        const responses = found.operation.responses || {};
+        const responseOrRef = responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default;
+        if (!responseOrRef) return [{location: 'response', message: `the status ${status} is not documented`}];
+
+        const response = this.resolve(responseOrRef, this.filePath).schema;
+        const content = response.content && response.content['application/json'];
+        if (!content || !content.schema) return [];
+        return this.validateSchema(content.schema, body, 'response', this.filePath);
+    }
+
+    /**
+     * Express middleware answering the requests which don't match the document with a REQUEST.VALIDATION_FAILED error
+     * The path is relative to the mount point of the middleware
+     * @return {function(Request, Response, function)}
+     */
+    middleware() {
+        return (req, res, next) => {
+            const errors = this.validateRequest({method: req.method, path: req.path, query: req.query, body: req.body});
+            if (!errors.length) return next();
+            next(new IngRequestError('REQUEST.VALIDATION_FAILED', OpenApiValidator.formatErrors(errors), {errors}));
+        };
+    }
+
+    /**
+     * Validate a value against a schema
+     * @param {Object} schemaOrRef
+     * @param {*} value
+     * @param {string} location - Location of the value reported in the errors (e.g. body.amount)
+     * @param {string} filePath - The document containing the schema, to resolve its references
+     * @return {Array<{location: string, message: string}>}
+     */
+    validateSchema(schemaOrRef, value, location, filePath) {
+        const resolved = this.resolve(schemaOrRef, filePath);
+        const schema = resolved.schema;
+        filePath = resolved.filePath;
+
+        if (value === null) return schema.nullable || !schema.type ? [] : [{location, message: 'must not be null'}];
+
+        if (schema.allOf) {
+            const errors = schema.allOf.flatMap(subSchema => this.validateSchema(subSchema, value, location, filePath));
+            if (errors.length) return errors;
+        }
+        for (const keyword of ['anyOf', 'oneOf']) {
+            if (!schema[keyword]) continue;
+            const matches = schema[keyword].filter(subSchema => !this.validateSchema(subSchema, value, location, filePath).length).length;
+            if (keyword === 'anyOf' ? matches === 0 : matches !== 1) return [{location, message: `must match ${keyword === 'anyOf' ? 'at least one' : 'exactly one'} of the ${keyword} schemas`}];
+        }
+
+        if (schema.type && !OpenApiValidator.isOfType(value, schema.type)) return [{location, message: `must be of type ${schema.type}`}];
+        if (schema.enum && !schema.enum.includes(value)) return [{location, message: `must be one of ${schema.enum.join(', ')}`}];
+
+        const errors = [];
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({location, message: `must be at least ${schema.minLength} characters long`});
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({location, message: `must be at most ${schema.maxLength} characters long`});
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({location, message: `must match the pattern ${schema.pattern}`});
+            if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) errors.push({location, message: 'must be a date (YYYY-MM-DD)'});
+            if (schema.format === 'date-time' && isNaN(Date.parse(value))) errors.push({location, message: 'must be a date-time'});
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) errors.push({location, message: `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`});
+            if (schema.maximum !== undefined && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) errors.push({location, message: `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}`});
+        }
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({location, message: `must contain at least ${schema.minItems} items`});
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({location, message: `must contain at most ${schema.maxItems} items`});
+            if (schema.items) value.forEach((item, i) => errors.push(...this.validateSchema(schema.items, item, `${location}[${i}]`, filePath)));
+        } else if (typeof value === 'object') {
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) errors.push({location: `${location}.${name}`, message: 'is required'});
+            }
+            const properties = schema.properties || {};
+            for (const [name, propertyValue] of Object.entries(value)) {
+                if (properties[name]) {
+                    errors.push(...this.validateSchema(properties[name], propertyValue, `${location}.${name}`, filePath));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({location: `${location}.${name}`, message: 'is not allowed'});
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...this.validateSchema(schema.additionalProperties, propertyValue, `${location}.${name}`, filePath));
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Resolve a $ref, following the chained references
+     * @param {Object} schema
+     * @param {string} filePath - The document containing the reference
+     * @return {{schema: Object, filePath: string}}
+     */
+    resolve(schema, filePath) {
+        while (schema && schema.$ref) {
+            const [file, pointer = ''] = schema.$ref.split('#');
+            if (file) filePath = path.resolve(path.dirname(filePath), file);
+            schema = pointer.split('/').slice(1)
+                .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, token) => node === undefined ? undefined : node[token], this.loadDocument(filePath));
+            if (schema === undefined) throw new Error(`Unresolved OpenAPI reference ${file}#${pointer}`);
+        }
+        return {schema, filePath};
+    }
+
+    /**
+     * Compile the paths of a document into regular expressions
+     * The paths without parameters are tried first, so that /accounts/debit wins over /accounts/{accountId}
+     * @param {Object} document
+     * @return {Array<{method: string, regex: RegExp, parameterNames: Array<string>, operation: Object, parameters: Array<Object>}>}
+     */
+    static compileOperations(document) {
+        const operations = [];
+        for (const [template, pathItem] of Object.entries(document.paths || {})) {
+            const parameterNames = [];
+            const pattern = template.split('/').map(segment => segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (m, name) => {
+                parameterNames.push(name);
+                return '([^/]+)';
+            })).join('/');
+            for (const method of ['get', 'put', 'post', 'delete', 'patch', 'head', 'options']) {
+                const operation = pathItem[method];
+                if (!operation) continue;
+                // The operation parameters override the path ones with the same name and location
+                const operationParameters = operation.parameters || [];
+                const parameters = [...(pathItem.parameters || []).filter(p => !operationParameters.some(o => o.name === p.name && o.in === p.in)), ...operationParameters];
+                operations.push({method, regex: new RegExp(`^${pattern}$`), parameterNames, operation, parameters});
+            }
+        }
+        return operations.sort((a, b) => a.parameterNames.length - b.parameterNames.length);
+    }
+
+    /**
+     * Convert a path or query parameter to the type of its schema
+     * @param {string} value
+     * @param {{type?: string}} schema
+     * @return {*}
+     */
+    static coerceParameter(value, schema) {
+        if (typeof value !== 'string') return value;
+        if (['integer', 'number'].includes(schema.type) && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+        if (schema.type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+        return value;
+    }
+
+    /**
+     * Returns true if a value has the given OpenAPI type
+     * @param {*} value
+     * @param {string} type
+     * @return {boolean}
+     */
+    static isOfType(value, type) {
+        switch (type) {
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && isFinite(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Returns a readable message from validation errors
+     * Example :
+     * formatErrors([{location: 'body.amount', message: 'is required'}]) = 'body.amount is required'
+     * @param {Array<{location: string, message: string}>} errors
+     * @return {string}
+     */
+    static formatErrors(errors) {
+        return errors.map(error => `${error.location} ${error.message}`).join(', ');
+    }
+}
+
+module.exports = OpenApiValidator;
@@ -1,23 +1,40 @@
 'use strict';
 
+const path = require('path');
 const Jimp = require("jimp");
 const Util = require('./Util');
+const {IngKeypadError} = require('./IngApiError');
+
+// Size of the keypad image at scale 1, the login keypad is sent at scale 1 and the sensitive operation one at scale 5
+const KEYPAD_WIDTH = 484;
+const KEYPAD_HEIGHT = 190;
+
+// The cells and the labeled digits are reduced to grayscale samples of this size before being compared
+const SAMPLE_WIDTH = 45;
+const SAMPLE_HEIGHT = 44;
+
+// The samples of the labeled digits, loaded once per process
+let labeledDigitsSamples = null;
 
 /**
  * Class representing the password keypad used to compose your pin code
+ * Each cell is compared to the labeled digits of keypad_digits, its confidence is the margin between the closest digit
+ * and the next closest one : 1 for a perfect match, 0 when two digits are as close
+ * The difference between a cell and a digit is the mean absolute difference of their grayscale samples, from 0 to 1
  */
 class PasswordKeypad {
 
     /**
      * Create a new PasswordKeypad instance
      * @param {string|Buffer} keypadImage
-     * @param {number} sizeMultiplicator
+     * @param {number|null} sizeMultiplicator - Deduced from the image size when not given
+     * @param {{minConfidence?: number}} options - minConfidence : confidence required for the cells to click
      */
-    constructor(keypadImage, sizeMultiplicator = 1) {
+    constructor(keypadImage, sizeMultiplicator = null, {minConfidence = 0.25} = {}) {
 
         this.keypadImage = keypadImage;
-        // TODO : Deduce the sizeMultiplication from the image
-        this.sizeMultiplication = sizeMultiplicator; // Original keypad size is (484, 190)
+        this.sizeMultiplication = sizeMultiplicator; // Checked against the image size when given
+        this.minConfidence = minConfidence;
 
         this.digitsPositions = [
             {x: 3, y: 3, width: 90, height: 88},
@@ -35,60 +52,193 @@ class PasswordKeypad {
     }
 
     /**
-     * Returns the ordered digits contained in the password keypad
-     * @return {Promise<Array<number>>}
+     * Returns the scale of a keypad image given its size
+     * @param {number} width
+     * @param {number} height
+     * @return {number}
+     * @throws {IngKeypadError} KEYPAD.UNEXPECTED_SIZE if the image doesn't have the keypad proportions
      */
-    async getDigits() {
-
-        const numberOfDigits = this.digitsPositions.length;
+    static getScale(width, height) {
+        const scale = width / KEYPAD_WIDTH;
+        if (!(scale > 0) || Math.abs(height / KEYPAD_HEIGHT - scale) > scale * 0.02) {
+            throw new IngKeypadError('KEYPAD.UNEXPECTED_SIZE', `The keypad image size ${width}x${height} is not a multiple of ${KEYPAD_WIDTH}x${KEYPAD_HEIGHT}`, {width, height});
+        }
+        return scale;
+    }
 
-        // We load our labeled digits
-        const labeledDigits = [];
-        for (const digit of Util.range(numberOfDigits)) {
-            labeledDigits.push(await Jimp.read(`keypad_digits/${digit}.png`));
+    /**
+     * Reduce an area of an image to a grayscale sample of SAMPLE_WIDTH x SAMPLE_HEIGHT, each value being the mean
+     * luminance of the pixels it covers (the transparent pixels are considered white)
+     * @param {{width: number, height: number, data: Buffer}} bitmap - RGBA bitmap of a Jimp image
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @return {Float32Array}
+     */
+    static sample(bitmap, x, y, width, height) {
+        const sample = new Float32Array(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+        const {data} = bitmap;
+        for (let row = 0; row < SAMPLE_HEIGHT; row++) {
+            const top = y + Math.floor(row * height / SAMPLE_HEIGHT);
+            const bottom = Math.max(top + 1, y + Math.floor((row + 1) * height / SAMPLE_HEIGHT));
+            for (let column = 0; column < SAMPLE_WIDTH; column++) {
+                const left = x + Math.floor(column * width / SAMPLE_WIDTH);
+                const right = Math.max(left + 1, x + Math.floor((column + 1) * width / SAMPLE_WIDTH));
+                let sum = 0;
+                for (let py = top; py < bottom; py++) {
+                    for (let offset = (py * bitmap.width + left) * 4, end = (py * bitmap.width + right) * 4; offset < end; offset += 4) {
+                        const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+                        sum += 255 - (255 - luminance) * data[offset + 3] / 255;
+                    }
+                }
+                sample[row * SAMPLE_WIDTH + column] = sum / ((bottom - top) * (right - left));
+            }
         }
+        return sample;
+    }
 
-        // We extract each digit from the keypad
-        const keypadDigits = [];
-        for (const d of Util.range(numberOfDigits)) {
-            const jimpKeypadImage = await Jimp.read(this.keypadImage);
-            const digit = await jimpKeypadImage.crop(
-                this.digitsPositions[d].x * this.sizeMultiplication,
-                this.digitsPositions[d].y * this.sizeMultiplication,
-                this.digitsPositions[d].width * this.sizeMultiplication,
-                this.digitsPositions[d].height * this.sizeMultiplication
-            ).resize(90, 88);
-            keypadDigits.push(digit);
+    /**
+     * Returns the difference between two samples, from 0 (identical) to 1
+     * @param {Float32Array} a
+     * @param {Float32Array} b
+     * @return {number}
+     */
+    static compareSamples(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+        return sum / (a.length * 255);
+    }
+
+    /**
+     * Returns the samples of the labeled digits of keypad_digits, the images are only read on the first call
+     * @return {Promise<Array<Float32Array>>}
+     */
+    static loadLabeledDigits() {
+        if (!labeledDigitsSamples) {
+            labeledDigitsSamples = Promise.all(Util.range(10).map(async digit => {
+                const image = await Jimp.read(path.join(__dirname, 'keypad_digits', `${digit}.png`));
+                return PasswordKeypad.sample(image.bitmap, 0, 0, image.bitmap.width, image.bitmap.height);
+            }));
+            // A failed load is tried again on the next call
+            labeledDigitsSamples.catch(() => labeledDigitsSamples = null);
         }
+        return labeledDigitsSamples;
+    }
 
-        // We associate each keypad digit to a labelled digit
-        const resultDigits = []
-        for (const keypadDigit of keypadDigits) {
-            let closestDigit = 0;
-            let closestPercentage = 1;
-            for (const labeledDigit of Util.range(labeledDigits.length)) {
-                const percentageValue = Jimp.diff(keypadDigit, labeledDigits[labeledDigit]).percent;
-                if (percentageValue < closestPercentage) {
-                    closestPercentage = percentageValue;
-                    closestDigit = labeledDigit;
+    /**
+     * Returns the assignment of the digits to the cells minimizing the total difference, each digit being used once
+     * @param {Array<Array<number>>} differences - Difference between each cell and each digit
+     * @return {Array<number>} the digit of each cell
+     */
+    static getBestAssignment(differences) {
+        const numberOfDigits = differences.length;
+        const fullMask = (1 << numberOfDigits) - 1;
+
+        // best[mask] : lowest total difference of the first cells using the digits of mask
+        const best = new Array(fullMask + 1).fill(Infinity);
+        const choice = new Array(fullMask + 1).fill(-1);
+        best[0] = 0;
+        for (let mask = 0; mask < fullMask; mask++) {
+            if (best[mask] === Infinity) continue;
+            const cell = Util.range(numberOfDigits).filter(digit => mask & (1 << digit)).length;
+            for (const digit of Util.range(numberOfDigits)) {
+                if (mask & (1 << digit)) continue;
+                const nextMask = mask | (1 << digit);
+                const total = best[mask] + differences[cell][digit];
+                if (total < best[nextMask]) {
+                    best[nextMask] = total;
+                    choice[nextMask] = digit;
                 }
             }
-            resultDigits.push(closestDigit);
         }
 
-        return resultDigits;
+        const digits = [];
+        for (let mask = fullMask; mask; mask &= ~(1 << choice[mask])) digits.unshift(choice[mask]);
+        return digits;
     }
 
+    /**
+     * Recognize the digits of the keypad
+     * When the closest digits of the cells are not a permutation of 0-9, the best assignment is used and the cells
+     * given another digit than their closest one get a 0 confidence
+     * @return {Promise<{digits: Array<number>, confidences: Array<number>, corrected: boolean, scale: number}>}
+     * @throws {IngKeypadError} KEYPAD.UNEXPECTED_SIZE if the scale is not the expected one
+     */
+    async recognize() {
+
+        const numberOfDigits = this.digitsPositions.length;
+        const jimpKeypadImage = await Jimp.read(this.keypadImage);
+
+        const {width, height} = jimpKeypadImage.bitmap;
+        const scale = PasswordKeypad.getScale(width, height);
+        if (this.sizeMultiplication && Math.abs(scale - this.sizeMultiplication) > scale * 0.02) {
+            throw new IngKeypadError('KEYPAD.UNEXPECTED_SIZE', `The keypad image size ${width}x${height} doesn't match the scale ${this.sizeMultiplication}`, {width, height});
+        }
+
+        const labeledDigits = await PasswordKeypad.loadLabeledDigits();
+
+        // We compare each digit extracted from the keypad to each labeled digit
+        const differences = [];
+        for (const d of Util.range(numberOfDigits)) {
+            const position = this.digitsPositions[d];
+            const keypadDigit = PasswordKeypad.sample(
+                jimpKeypadImage.bitmap,
+                Math.round(position.x * scale),
+                Math.round(position.y * scale),
+                Math.round(position.width * scale),
+                Math.round(position.height * scale)
+            );
+            differences.push(labeledDigits.map(labeledDigit => PasswordKeypad.compareSamples(keypadDigit, labeledDigit)));
+        }
+
+        // We associate each keypad digit to its closest labelled digit, each digit must appear once
+        let digits = differences.map(cellDifferences => cellDifferences.indexOf(Math.min(...cellDifferences)));
+        const corrected = new Set(digits).size !== numberOfDigits;
+        if (corrected) digits = PasswordKeypad.getBestAssignment(differences);
+
+        const confidences = digits.map((digit, cell) => {
+            const otherDifferences = differences[cell].filter((difference, otherDigit) => otherDigit !== digit);
+            const nextDifference = Math.min(...otherDifferences);
+            return nextDifference > 0 ? Math.max(0, 1 - differences[cell][digit] / nextDifference) : 0;
+        });
+
+        return {digits, confidences, corrected, scale};
+    }
+
+    /**
+     * Returns the ordered digits contained in the password keypad
+     * @return {Promise<Array<number>>}
+     */
+    async getDigits() {
+        return (await this.recognize()).digits;
+    }
+
+
+    /**
+     * Returns the index of the cell containing a position of a keypad image, or -1
+     * @param {number} x
+     * @param {number} y
+     * @param {number} scale
+     * @return {number}
+     */
+    getCellIndex(x, y, scale) {
+        return this.digitsPositions.findIndex(cell => {
+            return x >= cell.x * scale && x < (cell.x + cell.width) * scale && y >= cell.y * scale && y < (cell.y + cell.height) * scale;
+        });
+    }
 
     /**
      * Returns the click positions on the keypad to enter a given password
      * @param {Array<number>} missingPasswordDigitsPositions
      * @param {string} password
      * @return {Promise<Array<Array<number>>>}
+     * @throws {IngKeypadError} KEYPAD.RECOGNITION_UNCERTAIN if a cell to click is recognized with less than minConfidence,
+     * so that no wrong pin code is submitted
      */
     async getClicksPositions(missingPasswordDigitsPositions, password) {
 
-        const digits = await this.getDigits();
+        const {digits, confidences, corrected, scale} = await this.recognize();
 
         // We identify the missing password digits (digits we need to click on)
         let passwordDigitsToClick = [];
@@ -96,14 +246,18 @@ class PasswordKeypad {
             passwordDigitsToClick.push(parseInt(password[passwordDigitPosition - 1]));
         }
 
+        // A wrong click is a wrong pin code, which can lock the account : we rather give up
+        const cellsToClick = passwordDigitsToClick.map(digitToClick => digits.indexOf(digitToClick));
+        if (cellsToClick.some(cell => cell === -1 || confidences[cell] < this.minConfidence)) {
+            throw new IngKeypadError('KEYPAD.RECOGNITION_UNCERTAIN', 'The keypad digits are not recognized with enough confidence', {confidences, corrected}, {retryable: true});
+        }
+
         // We generate a random click position for each digit we need to click on
         const clickPositions = [];
-        for (const digitToClick of passwordDigitsToClick) {
-
-            const digitIndexInKeypad = digits.indexOf(digitToClick);
+        for (const digitIndexInKeypad of cellsToClick) {
 
-            const clickPositionX = (this.digitsPositions[digitIndexInKeypad].x * this.sizeMultiplication) + (Math.random() * this.digitsPositions[digitIndexInKeypad].width * this.sizeMultiplication);
-            const clickPositionY = (this.digitsPositions[digitIndexInKeypad].y * this.sizeMultiplication) + (Math.random() * this.digitsPositions[digitIndexInKeypad].height * this.sizeMultiplication);
+            const clickPositionX = (this.digitsPositions[digitIndexInKeypad].x * scale) + (Math.random() * this.digitsPositions[digitIndexInKeypad].width * scale);
+            const clickPositionY = (this.digitsPositions[digitIndexInKeypad].y * scale) + (Math.random() * this.digitsPositions[digitIndexInKeypad].height * scale);
 
             clickPositions.push([clickPositionX, clickPositionY]);
         }
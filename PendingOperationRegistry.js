@@ -0,0 +1,177 @@
+'use strict';
+
+const crypto = require('crypto');
+const {IngOperationError} = require('./IngApiError');
+
+/**
+ * Class representing the registry of the sensitive operations waiting for their one time password
+ * ING keeps a single sensitive operation flow by session : a new operation supersedes the pending ones, whose one time
+ * password can't be confirmed anymore
+ */
+class PendingOperationRegistry {
+
+    static Status = {
+        PENDING: 'PENDING',
+        CONFIRMING: 'CONFIRMING',
+        CONFIRMED: 'CONFIRMED',
+        CANCELLED: 'CANCELLED',
+        EXPIRED: 'EXPIRED',
+        SUPERSEDED: 'SUPERSEDED'
+    };
+
+    /**
+     * Create a new PendingOperationRegistry instance
+     * @param {{ttl?: number, retention?: number}} options - ttl : validity of an operation in ms (5 minutes by default),
+     * retention : time in ms during which the finished operations are kept (24 hours by default)
+     */
+    constructor({ttl = 5 * 60 * 1000, retention = 24 * 60 * 60 * 1000} = {}) {
+        this.ttl = ttl;
+        this.retention = retention;
+        this.operations = new Map();
+    }
+
+    /**
+     * Register a new pending operation
+     * @param {string} type - The sensitive operation action (e.g. EXTERNAL_TRANSFER)
+     * @param {Object|null} payload - The request to send with the one time password
+     * @param {Object} details - Additional information (e.g. the channel used to send the one time password)
+     * @return {{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}}
+     */
+    create(type, payload = null, details = {}) {
+        this.prune();
+        const createdAt = new Date();
+        const operation = {
+            id: crypto.randomBytes(8).toString('hex'),
+            type,
+            payload,
+            ...details,
+            createdAt,
+            expiresAt: new Date(createdAt.getTime() + this.ttl),
+            status: PendingOperationRegistry.Status.PENDING,
+            updatedAt: createdAt,
+            lastError: null
+        };
+        this.operations.set(operation.id, operation);
+        return operation;
+    }
+
+    /**
+     * Returns an operation given its id
+     * @param {string} operationId
+     * @return {{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}}
+     * @throws {IngOperationError} if the operation does not exist
+     */
+    get(operationId) {
+        this.expire();
+        const operation = this.operations.get(operationId);
+        if (!operation) throw new IngOperationError('OPERATION.NOT_FOUND', `Unknown operation ${operationId}`, {operationId});
+        return operation;
+    }
+
+    /**
+     * Returns a pending operation given its id
+     * @param {string} operationId
+     * @return {{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}}
+     * @throws {IngOperationError} if the operation does not exist or is not pending anymore
+     */
+    getPending(operationId) {
+        const operation = this.get(operationId);
+        if (operation.status === PendingOperationRegistry.Status.EXPIRED) {
+            throw new IngOperationError('OPERATION.EXPIRED', `The operation ${operationId} has expired`, {operationId});
+        }
+        if (operation.status !== PendingOperationRegistry.Status.PENDING) {
+            throw new IngOperationError('OPERATION.NOT_PENDING', `The operation ${operationId} is ${operation.status}`, {operationId, status: operation.status});
+        }
+        return operation;
+    }
+
+    /**
+     * Returns the operations, the most recent first
+     * @param {{status?: string, type?: string}} filters
+     * @return {Array<{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}>}
+     */
+    list({status = null, type = null} = {}) {
+        this.expire();
+        return [...this.operations.values()]
+            .filter(operation => (!status || operation.status === status) && (!type || operation.type === type))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Change the status of an operation
+     * @param {string} operationId
+     * @param {string} status
+     * @param {Object} details
+     * @return {{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}}
+     */
+    setStatus(operationId, status, details = {}) {
+        const operation = this.get(operationId);
+        Object.assign(operation, details, {status, updatedAt: new Date()});
+        return operation;
+    }
+
+    /**
+     * Change the status of an operation only if it still has the expected one
+     * @param {string} operationId
+     * @param {string} expectedStatus
+     * @param {string} status
+     * @param {Object} details
+     * @return {boolean} true if the status has been changed
+     */
+    transition(operationId, expectedStatus, status, details = {}) {
+        if (this.get(operationId).status !== expectedStatus) return false;
+        this.setStatus(operationId, status, details);
+        return true;
+    }
+
+    /**
+     * Cancel a pending operation, its one time password will be refused
+     * @param {string} operationId
+     * @return {{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}}
+     */
+    cancel(operationId) {
+        this.getPending(operationId);
+        return this.setStatus(operationId, PendingOperationRegistry.Status.CANCELLED);
+    }
+
+    /**
+     * Mark every pending operation as superseded by a new sensitive operation flow, whatever its type and whoever
+     * started it : ING keeps a single flow by session
+     * @param {string} sensitiveOperationAction - The action of the new flow, kept as supersededBy
+     * @return {Array<{id: string, type: string, payload: Object|null, createdAt: Date, expiresAt: Date, status: string}>} the superseded operations
+     */
+    supersede(sensitiveOperationAction) {
+        this.expire();
+        const superseded = [...this.operations.values()].filter(operation => operation.status === PendingOperationRegistry.Status.PENDING);
+        for (const operation of superseded) {
+            this.setStatus(operation.id, PendingOperationRegistry.Status.SUPERSEDED, {supersededBy: sensitiveOperationAction});
+        }
+        return superseded;
+    }
+
+    /**
+     * Mark the pending operations past their expiry date as expired
+     */
+    expire() {
+        const now = Date.now();
+        for (const operation of this.operations.values()) {
+            if (operation.status === PendingOperationRegistry.Status.PENDING && operation.expiresAt.getTime() <= now) {
+                operation.status = PendingOperationRegistry.Status.EXPIRED;
+                operation.updatedAt = new Date(now);
+            }
+        }
+    }
+
+    /**
+     * Remove the finished operations older than the retention time
+     */
+    prune() {
+        this.expire();
+        const limit = Date.now() - this.retention;
+        for (const [operationId, operation] of this.operations) {
+            if (operation.status !== PendingOperationRegistry.Status.PENDING && operation.updatedAt.getTime() < limit) this.operations.delete(operationId);
+        }
+    }
+}
+
+module.exports = PendingOperationRegistry;
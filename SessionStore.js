@@ -0,0 +1,187 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Class representing a storage for the serialized IngApi sessions
+ * A store must implement load, save and clear, the sessions are identified by the customer id
+ */
+class SessionStore {
+
+    /**
+     * Returns the session stored for a given key, or null
+     * @param {string} key
+     * @return {Promise<Object|null>}
+     */
+    async load(key) {
+        throw new Error('SessionStore.load must be implemented');
+    }
+
+    /**
+     * Store the session for a given key
+     * @param {string} key
+     * @param {Object} session
+     * @return {Promise<void>}
+     */
+    async save(key, session) {
+        throw new Error('SessionStore.save must be implemented');
+    }
+
+    /**
+     * Remove the session stored for a given key
+     * @param {string} key
+     * @return {Promise<void>}
+     */
+    async clear(key) {
+        throw new Error('SessionStore.clear must be implemented');
+    }
+}
+
+/**
+ * Class representing a session store kept in memory, the sessions are lost when the process stops
+ */
+class MemorySessionStore extends SessionStore {
+
+    constructor() {
+        super();
+        this.sessions = new Map();
+    }
+
+    async load(key) {
+        return this.sessions.has(key) ? JSON.parse(this.sessions.get(key)) : null;
+    }
+
+    async save(key, session) {
+        this.sessions.set(key, JSON.stringify(session));
+    }
+
+    async clear(key) {
+        this.sessions.delete(key);
+    }
+}
+
+/**
+ * Class representing a session store saved in a file encrypted with AES-256-GCM
+ * The file holds the sessions of every customer, its key is derived from a secret with scrypt
+ * The writes are serialized, so that concurrent saves of different customers don't overwrite each other
+ */
+class EncryptedFileSessionStore extends SessionStore {
+
+    /**
+     * Create a new EncryptedFileSessionStore instance
+     * @param {string} filePath
+     * @param {string} secret
+     */
+    constructor(filePath, secret) {
+        super();
+        if (!secret) throw new Error('A secret is required to encrypt the session file');
+        this.filePath = filePath;
+        this.secret = secret;
+        // Tail of the queue of the read-modify-write updates of the file
+        this.updates = Promise.resolve();
+        // Key derived for the salt of the file, derived again only when the salt changes
+        this.derivedKey = null;
+    }
+
+    async load(key) {
+        const sessions = await this.readSessions();
+        return sessions[key] || null;
+    }
+
+    async save(key, session) {
+        await this.update(sessions => {
+            sessions[key] = session;
+        });
+    }
+
+    async clear(key) {
+        await this.update(sessions => {
+            delete sessions[key];
+        });
+    }
+
+    /**
+     * Read, modify and write the session file, after the updates already queued
+     * @param {function(Object<string, Object>): void} modify
+     * @return {Promise<void>}
+     */
+    update(modify) {
+        const update = this.updates.then(async () => {
+            const sessions = await this.readSessions();
+            modify(sessions);
+            await this.writeSessions(sessions);
+        });
+        this.updates = update.catch(() => null);
+        return update;
+    }
+
+    /**
+     * Read and decrypt the session file, a missing file is an empty store
+     * @return {Promise<Object<string, Object>>}
+     */
+    async readSessions() {
+        let content;
+        try {
+            content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return {};
+            throw e;
+        }
+
+        const salt = Buffer.from(content.salt, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', await this.deriveKey(salt), Buffer.from(content.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(content.tag, 'base64'));
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(content.data, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    }
+
+    /**
+     * Encrypt and write the session file, readable by its owner only
+     * The file is replaced atomically so that a crash never leaves a truncated file, the salt of the file is kept and
+     * each write gets a new IV
+     * @param {Object<string, Object>} sessions
+     * @return {Promise<void>}
+     */
+    async writeSessions(sessions) {
+        const salt = this.derivedKey ? this.derivedKey.salt : crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', await this.deriveKey(salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(sessions), 'utf8'), cipher.final()]);
+
+        const content = {
+            version: 1,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+        const temporaryFilePath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(temporaryFilePath, JSON.stringify(content), {mode: 0o600});
+        await fs.promises.rename(temporaryFilePath, this.filePath);
+    }
+
+    /**
+     * Derive the encryption key from the secret, the key of the last salt is cached
+     * @param {Buffer} salt
+     * @return {Promise<Buffer>}
+     */
+    async deriveKey(salt) {
+        if (!this.derivedKey || !this.derivedKey.salt.equals(salt)) {
+            this.derivedKey = {salt, key: await scrypt(this.secret, salt, 32)};
+        }
+        return this.derivedKey.key;
+    }
+}
+
+module.exports = {
+    SessionStore,
+    MemorySessionStore,
+    EncryptedFileSessionStore
+};
@@ -0,0 +1,504 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const PendingOperationRegistry = require('./PendingOperationRegistry');
+
+const SweepRuleType = {
+    SWEEP: 'sweep',
+    TOP_UP: 'topUp'
+};
+
+const SweepStatus = {
+    PLANNED: 'planned',
+    IDLE: 'idle',
+    NOTHING_TO_MOVE: 'nothingToMove',
+    INVALID: 'invalid',
+    REFUSED: 'refused',
+    DEFERRED: 'deferred'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEK_DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Class representing a cron expression (minute hour day-of-month month day-of-week), evaluated in a time zone
+ * Each field is *, a value, a range (1-5), a step (*\/15, 0-30/10) or a comma separated list of them, the months and
+ * the week days can be given by their english names (jan, mon). Like cron, a day matches when its day of month or its
+ * week day matches if both fields are restricted
+ * Usage :
+ * const schedule = new CronSchedule('0 8 1 * *'); // the 1st of each month at 08:00
+ * const nextRun = schedule.next(new Date());
+ */
+class CronSchedule {
+
+    /**
+     * Create a new CronSchedule instance
+     * @param {string} expression
+     * @param {{timeZone?: string}} options - Europe/Paris by default
+     * @throws {Error} if the expression is invalid
+     */
+    constructor(expression, {timeZone = 'Europe/Paris'} = {}) {
+        const fields = String(expression).trim().split(/\s+/);
+        if (fields.length !== 5) throw new Error(`Invalid cron expression "${expression}", 5 fields are expected`);
+
+        this.expression = expression;
+        this.timeZone = timeZone;
+        this.minutes = CronSchedule.parseField(fields[0], 0, 59);
+        this.hours = CronSchedule.parseField(fields[1], 0, 23);
+        this.days = CronSchedule.parseField(fields[2], 1, 31);
+        this.months = CronSchedule.parseField(fields[3], 1, 12, MONTH_NAMES);
+        // 7 is sunday like 0
+        this.weekDays = new Set([...CronSchedule.parseField(fields[4], 0, 7, WEEK_DAY_NAMES)].map(weekDay => weekDay % 7));
+        this.daysRestricted = fields[2] !== '*';
+        this.weekDaysRestricted = fields[4] !== '*';
+
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone, month: 'numeric', day: 'numeric', weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * Returns the values matched by a field of a cron expression
+     * @param {string} field
+     * @param {number} min
+     * @param {number} max
+     * @param {Array<string>} names - Names of the values, from min
+     * @return {Set<number>}
+     * @throws {Error} if the field is invalid
+     */
+    static parseField(field, min, max, names = []) {
+        const parseValue = value => {
+            const nameIndex = names.indexOf(value.toLowerCase());
+            const number = nameIndex !== -1 ? nameIndex + min : Number(value);
+            if (!Number.isInteger(number) || number < min || number > max) throw new Error(`Invalid cron value "${value}" in "${field}"`);
+            return number;
+        };
+
+        const values = new Set();
+        for (const part of field.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step in "${field}"`);
+
+            let [start, end] = [min, max];
+            if (range !== '*') {
+                const bounds = range.split('-');
+                start = parseValue(bounds[0]);
+                end = bounds.length > 1 ? parseValue(bounds[1]) : (stepText === undefined ? start : max);
+                if (end < start) throw new Error(`Invalid cron range "${range}"`);
+            }
+            for (let value = start; value <= end; value += step) values.add(value);
+        }
+        return values;
+    }
+
+    /**
+     * Returns the wall clock fields of a date in the time zone of the schedule
+     * @param {Date} date
+     * @return {{minute: number, hour: number, day: number, month: number, weekDay: number}}
+     */
+    getLocalFields(date) {
+        const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+        return {
+            minute: Number(parts.minute),
+            hour: Number(parts.hour),
+            day: Number(parts.day),
+            month: Number(parts.month),
+            weekDay: WEEK_DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+        };
+    }
+
+    /**
+     * Returns true if the day of the given wall clock fields matches the schedule
+     * @param {{day: number, month: number, weekDay: number}} fields
+     * @return {boolean}
+     */
+    matchesDay({day, month, weekDay}) {
+        if (!this.months.has(month)) return false;
+        if (this.daysRestricted && this.weekDaysRestricted) return this.days.has(day) || this.weekDays.has(weekDay);
+        return this.days.has(day) && this.weekDays.has(weekDay);
+    }
+
+    /**
+     * Returns the last occurrence of the schedule at or before a date, and after another one
+     * The search skips the days and the hours which don't match, a gap of a year is found in a few hundred steps
+     * @param {Date} date
+     * @param {Date} after - Lower bound of the search (excluded)
+     * @return {Date|null}
+     */
+    previous(date, after) {
+        let candidate = new Date(Math.floor(date.getTime() / 60000) * 60000);
+        while (candidate > after) {
+            const fields = this.getLocalFields(candidate);
+            let minutesBack;
+            if (!this.matchesDay(fields)) minutesBack = fields.hour * 60 + fields.minute + 1;
+            else if (!this.hours.has(fields.hour)) minutesBack = fields.minute + 1;
+            else if (!this.minutes.has(fields.minute)) minutesBack = 1;
+            else return candidate;
+            candidate = new Date(candidate.getTime() - minutesBack * 60000);
+        }
+        return null;
+    }
+
+    /**
+     * Returns the first occurrence of the schedule after a date
+     * @param {Date} date
+     * @param {Date} before - Upper bound of the search, a year later by default
+     * @return {Date|null}
+     */
+    next(date, before = new Date(date.getTime() + 366 * 24 * 3600 * 1000)) {
+        let candidate = new Date((Math.floor(date.getTime() / 60000) + 1) * 60000);
+        while (candidate <= before) {
+            const fields = this.getLocalFields(candidate);
+            let minutesForward;
+            if (!this.matchesDay(fields)) minutesForward = 24 * 60 - fields.hour * 60 - fields.minute;
+            else if (!this.hours.has(fields.hour)) minutesForward = 60 - fields.minute;
+            else if (!this.minutes.has(fields.minute)) minutesForward = 1;
+            else return candidate;
+            candidate = new Date(candidate.getTime() + minutesForward * 60000);
+        }
+        return null;
+    }
+}
+
+/**
+ * Class moving money between the accounts of a customer according to scheduled rules :
+ * - sweep : {id, type: 'sweep', schedule, from, to, keep} moves the balance of from above keep to to
+ * - topUp : {id, type: 'topUp', schedule, from, to, below, upTo?} when the balance of to is below below, moves from from
+ *   what brings it to upTo (below by default), without taking from below its own keep (0 by default)
+ * Every rule also accepts minAmount (amounts below are not moved, 0.01 by default), maxAmount and label
+ * A rule runs at most once per occurrence of its schedule (the period), the last period handled by each rule is saved in
+ * the state file. A period is handled when it is due, even if there was nothing to move or the transfer failed, and it is
+ * saved before the transfer is started : a crash never repeats a transfer
+ * The periods missed for more than catchUp ms (e.g. the server was stopped) are skipped
+ * Each transfer is a makeTransfer between own accounts, checked against the transfer policy of the IngApi instance and
+ * left pending for its one time password unless a oneTimePasswordProvider is given
+ * ING keeps a single sensitive operation flow by session : without a oneTimePasswordProvider, a due rule is deferred
+ * while an operation waits for its one time password, its period is handled by a later run
+ * The transfers are emitted as 'transfer' ({rule, preview, operation}), the failures as 'sweepError' (error, preview)
+ * Usage :
+ * const engine = new SweepEngine(ingApi, [{id: 'savings', type: 'sweep', schedule: '0 8 1 * *', from: '0000000001', to: '0000000002', keep: 1500}], {stateFile});
+ * console.log(await engine.preview());
+ * engine.start();
+ */
+class SweepEngine extends EventEmitter {
+
+    /**
+     * Create a new SweepEngine instance
+     * @param {IngApi} ingApi
+     * @param {Array<Object>} rules
+     * @param {{stateFile?: string, interval?: number, timeZone?: string, catchUp?: number, oneTimePasswordProvider?: Function, timeout?: number}} options -
+     * stateFile : JSON file of the last period of each rule, kept in memory when not given,
+     * interval : ms between the end of a run and the next one (1 minute by default),
+     * timeZone : time zone of the schedules (Europe/Paris by default),
+     * catchUp : ms after which a missed period is skipped (24 hours by default),
+     * oneTimePasswordProvider / timeout : see startSensitiveOperation
+     * @throws {Error} if a rule is invalid
+     */
+    constructor(ingApi, rules, {stateFile = null, interval = 60 * 1000, timeZone = 'Europe/Paris', catchUp = 24 * 3600 * 1000, oneTimePasswordProvider = null, timeout = null} = {}) {
+        super();
+        this.ingApi = ingApi;
+        this.stateFile = stateFile;
+        this.interval = interval;
+        this.catchUp = catchUp;
+        this.oneTimePasswordProvider = oneTimePasswordProvider;
+        this.timeout = timeout;
+
+        this.rules = rules.map(rule => SweepEngine.validateRule(rule));
+        const ruleIds = this.rules.map(rule => rule.id);
+        const duplicateId = ruleIds.find((id, index) => ruleIds.indexOf(id) !== index);
+        if (duplicateId) throw new Error(`The sweep rule ${duplicateId} is declared twice`);
+        this.schedules = new Map(this.rules.map(rule => [rule.id, new CronSchedule(rule.schedule, {timeZone})]));
+
+        // ruleId -> {lastPeriod, lastRun}, loaded from the state file on the first run
+        this.state = null;
+        // The runs are chained so that a period is never handled twice at the same time
+        this.queue = Promise.resolve();
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Check a rule and fill its defaults
+     * @param {Object} rule
+     * @return {Object}
+     * @throws {Error} if the rule is invalid
+     */
+    static validateRule(rule) {
+        const fail = message => {
+            throw new Error(`Invalid sweep rule ${rule.id || JSON.stringify(rule)} : ${message}`);
+        };
+        const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        if (!rule.id) fail('id is required');
+        if (!Object.values(SweepRuleType).includes(rule.type)) fail(`type must be one of ${Object.values(SweepRuleType).join(', ')}`);
+        if (!rule.schedule) fail('schedule is required');
+        if (!rule.from || !rule.to) fail('from and to are required');
+        if (rule.from === rule.to) fail('from and to must be different accounts');
+        if (rule.type === SweepRuleType.SWEEP && !isAmount(rule.keep)) fail('keep must be a positive amount');
+        if (rule.type === SweepRuleType.TOP_UP && !isAmount(rule.below)) fail('below must be a positive amount');
+        for (const name of ['keep', 'upTo', 'minAmount', 'maxAmount']) {
+            if (rule[name] !== undefined && !isAmount(rule[name])) fail(`${name} must be a positive amount`);
+        }
+        if (rule.type === SweepRuleType.TOP_UP && rule.upTo !== undefined && rule.upTo < rule.below) fail('upTo must be above below');
+
+        return {minAmount: 0.01, maxAmount: null, label: '', keep: 0, ...rule};
+    }
+
+    /**
+     * Round an amount down to the cent
+     * @param {number} amount
+     * @return {number}
+     */
+    static floorToCent(amount) {
+        return Math.floor(amount * 100 + 1e-6) / 100;
+    }
+
+    /**
+     * Start running the due rules, the first run is done immediately
+     * @return {SweepEngine}
+     */
+    start() {
+        if (this.running) return this;
+        this.running = true;
+        const loop = async () => {
+            try {
+                await this.run();
+            } catch (e) {
+                this.emit('sweepError', e, null);
+            }
+            if (this.running) this.timer = setTimeout(loop, this.interval);
+        };
+        loop();
+        return this;
+    }
+
+    /**
+     * Stop running the rules, a run in progress is finished
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Load the state file, a missing file is an empty state
+     * @return {Promise<Object<string, {lastPeriod: string, lastRun: Object}>>}
+     */
+    async loadState() {
+        if (this.state) return this.state;
+        this.state = {};
+        if (!this.stateFile) return this.state;
+        try {
+            this.state = JSON.parse(await fs.promises.readFile(this.stateFile, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        return this.state;
+    }
+
+    /**
+     * Write the state file, replaced atomically so that a crash never leaves a truncated file
+     * @return {Promise<void>}
+     */
+    async saveState() {
+        if (!this.stateFile) return;
+        await fs.promises.mkdir(path.dirname(this.stateFile), {recursive: true});
+        const temporaryFilePath = `${this.stateFile}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporaryFilePath, JSON.stringify(this.state, null, 2));
+        await fs.promises.rename(temporaryFilePath, this.stateFile);
+    }
+
+    /**
+     * Returns the last period of a rule which has not been handled yet, or null
+     * @param {Object} rule
+     * @param {Date} now
+     * @return {Date|null}
+     */
+    getDuePeriod(rule, now) {
+        const ruleState = this.state[rule.id];
+        const catchUpStart = new Date(now.getTime() - this.catchUp);
+        const lastPeriod = ruleState && ruleState.lastPeriod ? new Date(ruleState.lastPeriod) : null;
+        return this.schedules.get(rule.id).previous(now, lastPeriod && lastPeriod > catchUpStart ? lastPeriod : catchUpStart);
+    }
+
+    /**
+     * Returns the amount a rule would move given the balances of the accounts
+     * @param {Object} rule
+     * @param {Object<string, number>} balances - Balance by account id
+     * @return {number}
+     */
+    getAmount(rule, balances) {
+        let amount;
+        if (rule.type === SweepRuleType.SWEEP) {
+            amount = balances[rule.from] - rule.keep;
+        } else {
+            const missing = balances[rule.to] < rule.below ? (rule.upTo === undefined ? rule.below : rule.upTo) - balances[rule.to] : 0;
+            amount = Math.min(missing, balances[rule.from] - rule.keep);
+        }
+        if (rule.maxAmount !== null) amount = Math.min(amount, rule.maxAmount);
+        amount = SweepEngine.floorToCent(Math.max(amount, 0));
+        return amount >= rule.minAmount ? amount : 0;
+    }
+
+    /**
+     * Returns what each rule would do now, without moving any money
+     * The planned transfers are validated by ING and checked against the transfer policy (makeTransfer dryRun), the
+     * rules are evaluated in order, each one on the balances left by the transfers planned before it
+     * Status of each rule :
+     * - planned : the rule is due and its transfer would be started
+     * - idle : the period of the rule has been handled, amount is what it would move now
+     * - nothingToMove : the rule is due but its amount is below minAmount
+     * - invalid : the accounts of the rule can't be used for a transfer
+     * - refused : the transfer breaks the transfer policy, or is refused by ING
+     * @param {Date} now
+     * @param {{dueOnly?: boolean}} options - dueOnly : only the due rules are previewed
+     * @return {Promise<Array<{ruleId: string, type: string, from: string, to: string, status: string, due: boolean, period: string|null, nextRun: string|null, balances: Object<string, number>, amount: number, executionDate: string|null, reason: string|null}>>}
+     */
+    async preview(now = new Date(), {dueOnly = false} = {}) {
+        await this.loadState();
+        const periods = new Map(this.rules.map(rule => [rule.id, this.getDuePeriod(rule, now)]));
+        const rules = this.rules.filter(rule => !dueOnly || periods.get(rule.id));
+        if (!rules.length) return [];
+
+        const {accounts} = await this.ingApi.getAccounts();
+        const balances = Object.fromEntries(accounts.map(account => [account.uid, typeof account.availableBalance === 'number' ? account.availableBalance : account.ledgerBalance]));
+        const debitAccountIds = (await this.ingApi.getTransfersDebitAccounts()).map(account => account.uid);
+        const creditAccountIds = new Map();
+
+        const previews = [];
+        for (const rule of rules) {
+            const period = periods.get(rule.id);
+            const nextRun = this.schedules.get(rule.id).next(now);
+            const preview = {
+                ruleId: rule.id,
+                type: rule.type,
+                from: rule.from,
+                to: rule.to,
+                status: period ? SweepStatus.PLANNED : SweepStatus.IDLE,
+                due: Boolean(period),
+                period: period ? period.toISOString() : null,
+                nextRun: nextRun ? nextRun.toISOString() : null,
+                balances: {[rule.from]: balances[rule.from], [rule.to]: balances[rule.to]},
+                amount: 0,
+                executionDate: null,
+                reason: null
+            };
+            previews.push(preview);
+
+            // Only the own accounts offered by ING as credit accounts of the debit account can be used
+            if (!debitAccountIds.includes(rule.from)) {
+                Object.assign(preview, {status: SweepStatus.INVALID, reason: `The account ${rule.from} can't be debited`});
+                continue;
+            }
+            if (!creditAccountIds.has(rule.from)) {
+                const {internalAccounts = []} = await this.ingApi.getCreditAccounts(rule.from);
+                creditAccountIds.set(rule.from, internalAccounts.map(account => account.uid));
+            }
+            if (!creditAccountIds.get(rule.from).includes(rule.to)) {
+                Object.assign(preview, {status: SweepStatus.INVALID, reason: `The account ${rule.to} can't be credited from ${rule.from}`});
+                continue;
+            }
+
+            preview.amount = this.getAmount(rule, balances);
+            if (!preview.amount) {
+                if (period) Object.assign(preview, {status: SweepStatus.NOTHING_TO_MOVE, reason: 'The amount to move is below minAmount'});
+                continue;
+            }
+
+            try {
+                const {executionDate, policy} = await this.ingApi.makeTransfer(rule.from, rule.to, preview.amount, rule.label, '', {dryRun: true});
+                preview.executionDate = executionDate;
+                if (!policy.allowed) Object.assign(preview, {status: SweepStatus.REFUSED, reason: policy.violations.map(violation => violation.message).join('; ')});
+            } catch (e) {
+                Object.assign(preview, {status: SweepStatus.REFUSED, reason: e.message});
+            }
+
+            // The next rules see the balances once the planned transfer is made
+            if (preview.status === SweepStatus.PLANNED) {
+                balances[rule.from] = Math.round((balances[rule.from] - preview.amount) * 100) / 100;
+                balances[rule.to] = Math.round((balances[rule.to] + preview.amount) * 100) / 100;
+            }
+        }
+        return previews;
+    }
+
+    /**
+     * Handle the due period of every rule and start the planned transfers
+     * ING is not called when no rule is due
+     * @param {Date} now
+     * @return {Promise<Array<{preview: Object, operation: Object|null, error: Error|null}>>} the result of each due rule,
+     * the deferred rules have the deferred status
+     */
+    run(now = new Date()) {
+        const run = this.queue.then(() => this.doRun(now));
+        this.queue = run.catch(() => null);
+        return run;
+    }
+
+    /**
+     * Run the due rules, see run
+     * @param {Date} now
+     * @return {Promise<Array<{preview: Object, operation: Object|null, error: Error|null}>>}
+     */
+    async doRun(now) {
+        await this.loadState();
+        if (!this.rules.some(rule => this.getDuePeriod(rule, now))) return [];
+
+        await this.ingApi.refreshSession();
+        const previews = await this.preview(now, {dueOnly: true});
+
+        const results = [];
+        for (const preview of previews) {
+            const rule = this.rules.find(r => r.id === preview.ruleId);
+
+            // A new transfer would supersede the pending operation, whose period is already saved as handled
+            if (preview.status === SweepStatus.PLANNED && !this.oneTimePasswordProvider) {
+                const {PENDING, CONFIRMING} = PendingOperationRegistry.Status;
+                const pendingOperation = this.ingApi.getOperations().find(operation => [PENDING, CONFIRMING].includes(operation.status));
+                if (pendingOperation) {
+                    Object.assign(preview, {status: SweepStatus.DEFERRED, reason: `The operation ${pendingOperation.id} is waiting for its one time password`});
+                    results.push({preview, operation: null, error: null});
+                    continue;
+                }
+            }
+
+            const lastRun = {at: new Date().toISOString(), status: preview.status, amount: preview.amount, reason: preview.reason};
+
+            // The period is saved before the transfer : a crash may lose a transfer but never repeats one
+            this.state[rule.id] = {lastPeriod: preview.period, lastRun};
+            await this.saveState();
+
+            const result = {preview, operation: null, error: null};
+            results.push(result);
+            if (preview.status !== SweepStatus.PLANNED) continue;
+
+            try {
+                result.operation = await this.ingApi.makeTransfer(rule.from, rule.to, preview.amount, rule.label, '', {
+                    oneTimePasswordProvider: this.oneTimePasswordProvider || undefined,
+                    timeout: this.timeout
+                });
+                lastRun.operationId = result.operation.id;
+                lastRun.operationStatus = result.operation.status;
+                this.emit('transfer', {rule, preview, operation: result.operation});
+            } catch (e) {
+                result.error = e;
+                lastRun.error = {code: e.code || null, message: e.message};
+                this.emit('sweepError', e, preview);
+            }
+            await this.saveState();
+        }
+        return results;
+    }
+}
+
+module.exports = {
+    SweepEngine,
+    CronSchedule,
+    SweepRuleType,
+    SweepStatus
+};
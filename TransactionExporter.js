@@ -0,0 +1,382 @@
+'use strict';
+
+const fs = require('fs');
+const IngApi = require('./IngApi');
+const {IngHistoryLockedError} = require('./IngApiError');
+
+/**
+ * Class representing an exporter of the account transactions to the accounting and budgeting tools formats
+ * Usage :
+ * const exporter = new TransactionExporter(ingApi);
+ * const ofx = await exporter.exportAccount('ACCOUNT_ID', TransactionExporter.Format.OFX, {since: '2021-01-01'});
+ */
+class TransactionExporter {
+
+    static Format = {
+        OFX: 'ofx',
+        QIF: 'qif',
+        CSV: 'csv',
+        CAMT053: 'camt053'
+    };
+
+    static FileExtension = {
+        ofx: 'ofx',
+        qif: 'qif',
+        csv: 'csv',
+        camt053: 'xml'
+    };
+
+    /**
+     * Create a new TransactionExporter instance
+     * @param {IngApi} ingApi
+     */
+    constructor(ingApi) {
+        this.ingApi = ingApi;
+    }
+
+    /**
+     * Export the transactions of an account
+     * @param {string} accountId
+     * @param {string} format - One of TransactionExporter.Format
+     * @param {{since?: string|Date, until?: string|Date, includeCardPreAuthorizations?: boolean, getOneTimePassword?: Function, csv?: Object, qif?: Object}} options
+     * @return {Promise<string>}
+     */
+    async exportAccount(accountId, format, options = {}) {
+        const statement = await this.getStatement(accountId, options);
+        return TransactionExporter.format(statement, format, options);
+    }
+
+    /**
+     * Export the transactions of an account to a file
+     * @param {string} filePath
+     * @param {string} accountId
+     * @param {string} format - One of TransactionExporter.Format
+     * @param {Object} options - See exportAccount
+     * @return {Promise<void>}
+     */
+    async exportAccountToFile(filePath, accountId, format, options = {}) {
+        await fs.promises.writeFile(filePath, await this.exportAccount(accountId, format, options), 'utf8');
+    }
+
+    /**
+     * Build the statement of an account between two dates
+     * The closing balance is the ledger balance minus the transactions booked after the end date, the opening balance
+     * is the closing balance minus the transactions of the statement
+     * Without since, the statement starts at the oldest transaction which can be fetched : when the history is locked
+     * and no getOneTimePassword provider is given, the transactions fetched before the lock are exported
+     * @param {string} accountId
+     * @param {{since?: string|Date, until?: string|Date, includeCardPreAuthorizations?: boolean, getOneTimePassword?: Function}} options
+     * @return {Promise<{account: {uid: string, label: string, type: string, currency: string, iban: string, bic: string, bankCode: string, counterCode: string, accountNumber: string, ribKey: string, owner: string}, fromDate: string, toDate: string, openingBalance: number, closingBalance: number, transactions: Array<{id: string, date: string, valueDate: string, amount: number, description: string, type: string, pending: boolean}>, generatedAt: Date}>}
+     * @throws {IngHistoryLockedError} if since is older than the transactions which can be fetched
+     */
+    async getStatement(accountId, {since = null, until = null, includeCardPreAuthorizations = false, getOneTimePassword = null} = {}) {
+        const account = await this.ingApi.getAccountById(accountId);
+        const bankRecord = await this.ingApi.getAccountBankRecord(accountId);
+
+        const toDate = until ? IngApi.toIsoDate(until) : IngApi.toIsoDate(new Date());
+
+        let closingBalance = account.ledgerBalance;
+        const transactions = [];
+        try {
+            for await (const transaction of this.ingApi.iterateTransactions(accountId, {since, getOneTimePassword})) {
+                const normalizedTransaction = TransactionExporter.normalizeAccountTransaction(transaction);
+                if (normalizedTransaction.date > toDate) closingBalance -= normalizedTransaction.amount;
+                else transactions.push(normalizedTransaction);
+            }
+        } catch (e) {
+            if (since || !(e instanceof IngHistoryLockedError)) throw e;
+        }
+
+        closingBalance = TransactionExporter.round(closingBalance);
+        const openingBalance = TransactionExporter.round(transactions.reduce((balance, transaction) => balance - transaction.amount, closingBalance));
+
+        if (includeCardPreAuthorizations) {
+            for (const card of await this.ingApi.getCards(accountId)) {
+                for (const cardTransaction of await this.ingApi.getCardTransactions(accountId, card.uid)) {
+                    if (cardTransaction.preAuthorization) transactions.unshift(TransactionExporter.normalizeCardTransaction(cardTransaction));
+                }
+            }
+        }
+
+        const fromDate = since ? IngApi.toIsoDate(since) : (transactions.length ? transactions.map(t => t.date).sort()[0] : toDate);
+
+        return {
+            account: {
+                uid: account.uid,
+                label: account.label,
+                type: account.type ? account.type.code : null,
+                currency: 'EUR',
+                iban: bankRecord.iban,
+                bic: bankRecord.bic,
+                bankCode: bankRecord.bankCode,
+                counterCode: bankRecord.counterCode,
+                accountNumber: bankRecord.accountNumber,
+                ribKey: bankRecord.ribKey,
+                owner: bankRecord.ownerAddress ? bankRecord.ownerAddress.name : account.owner
+            },
+            fromDate,
+            toDate,
+            openingBalance,
+            closingBalance,
+            transactions,
+            generatedAt: new Date()
+        };
+    }
+
+    /**
+     * Format a statement
+     * @param {Object} statement - See getStatement
+     * @param {string} format - One of TransactionExporter.Format
+     * @param {{csv?: Object, qif?: Object}} options
+     * @return {string}
+     */
+    static format(statement, format, options = {}) {
+        switch (format) {
+            case TransactionExporter.Format.OFX:
+                return TransactionExporter.toOfx(statement);
+            case TransactionExporter.Format.QIF:
+                return TransactionExporter.toQif(statement, options.qif);
+            case TransactionExporter.Format.CSV:
+                return TransactionExporter.toCsv(statement, options.csv);
+            case TransactionExporter.Format.CAMT053:
+                return TransactionExporter.toCamt053(statement);
+            default:
+                throw new Error(`Unknown export format ${format}`);
+        }
+    }
+
+    /**
+     * Normalize a transaction returned by getAccountTransactions
+     * @param {{id: string, effectiveDate: string, accountingDate: string, detail: string, amount: number, type: string}} transaction
+     * @return {{id: string, date: string, valueDate: string, amount: number, description: string, type: string, pending: boolean}}
+     */
+    static normalizeAccountTransaction(transaction) {
+        return {
+            id: String(transaction.id),
+            date: IngApi.toIsoDate(transaction.effectiveDate),
+            valueDate: IngApi.toIsoDate(transaction.accountingDate || transaction.effectiveDate),
+            amount: transaction.amount,
+            description: (transaction.detail || '').trim(),
+            type: transaction.type || null,
+            pending: false
+        };
+    }
+
+    /**
+     * Normalize a transaction returned by getCardTransactions
+     * @param {{transactionSequence: string, effectiveDate: number, amount: number, transactionDirection: string, description: string, preAuthorization: boolean}} cardTransaction
+     * @return {{id: string, date: string, valueDate: string, amount: number, description: string, type: string, pending: boolean}}
+     */
+    static normalizeCardTransaction(cardTransaction) {
+        const date = IngApi.toIsoDate(new Date(cardTransaction.effectiveDate));
+        const amount = cardTransaction.transactionDirection === 'CREDIT' ? Math.abs(cardTransaction.amount) : -Math.abs(cardTransaction.amount);
+        return {
+            id: `CARD-${cardTransaction.transactionSequence}`,
+            date,
+            valueDate: date,
+            amount,
+            description: (cardTransaction.description || '').trim(),
+            type: 'CARD',
+            pending: !!cardTransaction.preAuthorization
+        };
+    }
+
+    /**
+     * Format a statement as an OFX 2.1.1 document, the pending transactions are not exported
+     * @param {Object} statement
+     * @return {string}
+     */
+    static toOfx(statement) {
+        const ofxDate = date => date.replace(/-/g, '');
+        const ofxDateTime = date => date.toISOString().replace(/[-:T]/g, '').substr(0, 14);
+        const tag = (name, value) => `<${name}>${TransactionExporter.escapeXml(value)}</${name}>`;
+        const status = '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>';
+
+        const transactions = statement.transactions.filter(transaction => !transaction.pending).map(transaction => [
+            '<STMTTRN>',
+            tag('TRNTYPE', TransactionExporter.getOfxTransactionType(transaction)),
+            tag('DTPOSTED', ofxDate(transaction.date)),
+            tag('DTUSER', ofxDate(transaction.valueDate)),
+            tag('TRNAMT', transaction.amount.toFixed(2)),
+            tag('FITID', transaction.id),
+            tag('NAME', transaction.description.substr(0, 32)),
+            tag('MEMO', transaction.description.substr(0, 255)),
+            '</STMTTRN>'
+        ].join(''));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+            '<OFX>',
+            `<SIGNONMSGSRSV1><SONRS>${status}${tag('DTSERVER', ofxDateTime(statement.generatedAt))}<LANGUAGE>FRA</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+            '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>' + status + '<STMTRS>',
+            tag('CURDEF', statement.account.currency),
+            '<BANKACCTFROM>'
+            + tag('BANKID', statement.account.bankCode)
+            + tag('BRANCHID', statement.account.counterCode)
+            + tag('ACCTID', statement.account.accountNumber)
+            + tag('ACCTTYPE', statement.account.type === 'CA' ? 'CHECKING' : 'SAVINGS')
+            + tag('ACCTKEY', statement.account.ribKey)
+            + '</BANKACCTFROM>',
+            `<BANKTRANLIST>${tag('DTSTART', ofxDate(statement.fromDate))}${tag('DTEND', ofxDate(statement.toDate))}`,
+            ...transactions,
+            '</BANKTRANLIST>',
+            `<LEDGERBAL>${tag('BALAMT', statement.closingBalance.toFixed(2))}${tag('DTASOF', ofxDate(statement.toDate))}</LEDGERBAL>`,
+            '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+            '</OFX>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Returns the OFX transaction type of a transaction
+     * @param {{type: string, amount: number}} transaction
+     * @return {string}
+     */
+    static getOfxTransactionType(transaction) {
+        const ofxTypes = {CARD: 'POS', DIRECT_DEBIT: 'DIRECTDEBIT', TRANSFER: 'XFER', WITHDRAWAL: 'ATM'};
+        return ofxTypes[transaction.type] || (transaction.amount < 0 ? 'DEBIT' : 'CREDIT');
+    }
+
+    /**
+     * Format a statement as a QIF document, the pending transactions are not exported
+     * A QIF field is a line : the line breaks of the descriptions are replaced by spaces
+     * @param {Object} statement
+     * @param {{dateFormat?: string}} options - dateFormat is DD/MM/YYYY (default) or MM/DD/YYYY
+     * @return {string}
+     */
+    static toQif(statement, {dateFormat = 'DD/MM/YYYY'} = {}) {
+        const singleLine = text => text.replace(/[\r\n]+/g, ' ');
+        const lines = [`!Type:${statement.account.type === 'CA' ? 'Bank' : 'Oth A'}`];
+        for (const transaction of statement.transactions.filter(transaction => !transaction.pending)) {
+            lines.push(
+                `D${TransactionExporter.formatDate(transaction.date, dateFormat)}`,
+                `T${transaction.amount.toFixed(2)}`,
+                `P${singleLine(transaction.description)}`,
+                `N${transaction.id}`,
+                '^'
+            );
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a statement as a CSV document (RFC 4180 quoting)
+     * @param {Object} statement
+     * @param {{delimiter?: string, decimalSeparator?: string, dateFormat?: string, header?: boolean, columns?: Array<string>}} options
+     * Available columns : id, date, valueDate, amount, description, type, pending, iban
+     * @return {string}
+     */
+    static toCsv(statement, {delimiter = ';', decimalSeparator = ',', dateFormat = 'YYYY-MM-DD', header = true, columns = ['date', 'valueDate', 'description', 'amount', 'type', 'pending', 'id']} = {}) {
+        const quote = value => {
+            const text = String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const columnValue = (transaction, column) => {
+            switch (column) {
+                case 'date':
+                case 'valueDate':
+                    return TransactionExporter.formatDate(transaction[column], dateFormat);
+                case 'amount':
+                    return transaction.amount.toFixed(2).replace('.', decimalSeparator);
+                case 'iban':
+                    return statement.account.iban;
+                case 'pending':
+                    return transaction.pending ? 'true' : 'false';
+                default:
+                    if (!(column in transaction)) throw new Error(`Unknown CSV column ${column}`);
+                    return transaction[column] === null ? '' : transaction[column];
+            }
+        };
+
+        const lines = [];
+        if (header) lines.push(columns.map(quote).join(delimiter));
+        for (const transaction of statement.transactions) {
+            lines.push(columns.map(column => quote(columnValue(transaction, column))).join(delimiter));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format a statement as an ISO 20022 bank to customer statement (camt.053.001.02)
+     * @param {Object} statement
+     * @return {string}
+     */
+    static toCamt053(statement) {
+        const escape = TransactionExporter.escapeXml;
+        const currency = escape(statement.account.currency);
+        const amount = value => `<Amt Ccy="${currency}">${Math.abs(value).toFixed(2)}</Amt><CdtDbtInd>${value < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`;
+        const balance = (code, value, date) => `<Bal><Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>${amount(value)}<Dt><Dt>${date}</Dt></Dt></Bal>`;
+        const creationDateTime = statement.generatedAt.toISOString().substr(0, 19);
+        const statementId = escape(`${statement.account.uid}-${statement.fromDate}-${statement.toDate}`);
+
+        const entries = statement.transactions.map(transaction => [
+            '<Ntry>',
+            amount(transaction.amount),
+            `<Sts>${transaction.pending ? 'PDNG' : 'BOOK'}</Sts>`,
+            `<BookgDt><Dt>${transaction.date}</Dt></BookgDt>`,
+            `<ValDt><Dt>${transaction.valueDate}</Dt></ValDt>`,
+            `<AcctSvcrRef>${escape(transaction.id)}</AcctSvcrRef>`,
+            `<BkTxCd><Prtry><Cd>${escape(transaction.type || 'OTHER')}</Cd><Issr>ING</Issr></Prtry></BkTxCd>`,
+            `<NtryDtls><TxDtls><RmtInf><Ustrd>${escape(transaction.description.substr(0, 140))}</Ustrd></RmtInf></TxDtls></NtryDtls>`,
+            '</Ntry>'
+        ].join(''));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">',
+            '<BkToCstmrStmt>',
+            `<GrpHdr><MsgId>${statementId}</MsgId><CreDtTm>${creationDateTime}</CreDtTm></GrpHdr>`,
+            '<Stmt>',
+            `<Id>${statementId}</Id>`,
+            `<CreDtTm>${creationDateTime}</CreDtTm>`,
+            `<FrToDt><FrDtTm>${statement.fromDate}T00:00:00</FrDtTm><ToDtTm>${statement.toDate}T23:59:59</ToDtTm></FrToDt>`,
+            `<Acct><Id><IBAN>${escape(statement.account.iban)}</IBAN></Id><Ccy>${currency}</Ccy>`
+            + `<Ownr><Nm>${escape(statement.account.owner || '')}</Nm></Ownr>`
+            + `<Svcr><FinInstnId><BIC>${escape(statement.account.bic)}</BIC></FinInstnId></Svcr></Acct>`,
+            balance('OPBD', statement.openingBalance, statement.fromDate),
+            balance('CLBD', statement.closingBalance, statement.toDate),
+            ...entries,
+            '</Stmt>',
+            '</BkToCstmrStmt>',
+            '</Document>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Format a "YYYY-MM-DD" date
+     * @param {string} isoDate
+     * @param {string} dateFormat - A combination of DD, MM and YYYY
+     * @return {string}
+     */
+    static formatDate(isoDate, dateFormat) {
+        const [year, month, day] = isoDate.split('-');
+        return dateFormat.replace('YYYY', year).replace('MM', month).replace('DD', day);
+    }
+
+    /**
+     * Escape a value to be used in an XML document
+     * @param {*} value
+     * @return {string}
+     */
+    static escapeXml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Round an amount to the cent
+     * @param {number} amount
+     * @return {number}
+     */
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+module.exports = TransactionExporter;
@@ -0,0 +1,254 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {IngHistoryLockedError} = require('./IngApiError');
+
+/**
+ * Class representing a local store of the account transactions, synchronized incrementally with ING
+ * The store is an append-only JSON Lines file, each line being one of :
+ * - {type: 'transaction', accountId, firstSeenAt, data} : a booked transaction returned by getAccountTransactions
+ * - {type: 'preAuthorization', accountId, cardId, firstSeenAt, data} : a card pre-authorization returned by getCardTransactions
+ * - {type: 'preAuthorizationSettled', accountId, cardId, transactionSequence, settledAt} : a pre-authorization no longer pending
+ * Usage :
+ * const store = new TransactionStore(ingApi, 'transactions.jsonl');
+ * await store.sync();
+ * const transactions = await store.getTransactions('ACCOUNT_ID');
+ */
+class TransactionStore {
+
+    /**
+     * Create a new TransactionStore instance
+     * @param {IngApi} ingApi
+     * @param {string} filePath
+     */
+    constructor(ingApi, filePath) {
+        this.ingApi = ingApi;
+        this.filePath = filePath;
+
+        // accountId -> Map(transactionId -> record)
+        this.transactions = new Map();
+        // accountId -> Map(cardId/transactionSequence -> record)
+        this.preAuthorizations = new Map();
+
+        this.loaded = false;
+        // The synchronizations are chained so that two of them never write at the same time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load the store file, a missing file is an empty store
+     * A last line truncated by a crash during a write is removed from the file
+     * @return {Promise<void>}
+     */
+    async load() {
+        this.transactions.clear();
+        this.preAuthorizations.clear();
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        const lines = content.split('\n');
+        // The text after the last newline is a record whose write may have been interrupted by a crash
+        const lastLine = lines.pop();
+        for (const [index, line] of lines.entries()) {
+            if (!line.trim()) continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Corrupted transaction store ${this.filePath} at line ${index + 1}`);
+            }
+            this.applyRecord(record);
+        }
+
+        // The next append must start on a new line : a complete record gets its newline, a truncated one is cut
+        if (lastLine.trim()) {
+            let record = null;
+            try {
+                record = JSON.parse(lastLine);
+            } catch (e) {
+                await fs.promises.truncate(this.filePath, Buffer.byteLength(content, 'utf8') - Buffer.byteLength(lastLine, 'utf8'));
+            }
+            if (record) {
+                this.applyRecord(record);
+                await fs.promises.appendFile(this.filePath, '\n', 'utf8');
+            }
+        }
+
+        this.loaded = true;
+    }
+
+    /**
+     * Synchronize every account returned by getAccounts
+     * @param {{backfill?: boolean, getOneTimePassword?: Function}} options - See syncAccount
+     * @return {Promise<Array<{accountId: string, newTransactions: number, newPreAuthorizations: number, settledPreAuthorizations: number, historyLocked: boolean}>>}
+     */
+    async sync(options = {}) {
+        const {accounts} = await this.ingApi.getAccounts();
+        const results = [];
+        for (const account of accounts) {
+            results.push(await this.syncAccount(account.uid, {...options, withCards: account.type && account.type.code === 'CA'}));
+        }
+        return results;
+    }
+
+    /**
+     * Synchronize an account : fetch the transactions newer than the last stored one, and the card pre-authorizations
+     * With backfill, the iteration goes on past the stored transactions to complete the older history
+     * @param {string} accountId
+     * @param {{backfill?: boolean, withCards?: boolean, getOneTimePassword?: Function}} options - withCards defaults to true
+     * @return {Promise<{accountId: string, newTransactions: number, newPreAuthorizations: number, settledPreAuthorizations: number, historyLocked: boolean}>}
+     */
+    syncAccount(accountId, options = {}) {
+        const synchronization = this.queue.then(() => this.doSyncAccount(accountId, options));
+        this.queue = synchronization.catch(() => null);
+        return synchronization;
+    }
+
+    /**
+     * Returns the stored transactions of an account, the most recent first
+     * @param {string} accountId
+     * @return {Promise<Array<{id: string, effectiveDate: string, accountingDate: string, detail: string, amount: number, type: string, firstSeenAt: string}>>}
+     */
+    async getTransactions(accountId) {
+        if (!this.loaded) await this.load();
+        const records = [...(this.transactions.get(accountId) || new Map()).values()];
+        return records
+            .map(record => ({...record.data, firstSeenAt: record.firstSeenAt}))
+            .sort(TransactionStore.compareTransactions);
+    }
+
+    /**
+     * Returns the card pre-authorizations of an account which are not settled yet
+     * @param {string} accountId
+     * @return {Promise<Array<{cardId: string, transactionSequence: string, effectiveDate: number, amount: number, transactionDirection: string, description: string, firstSeenAt: string}>>}
+     */
+    async getPendingPreAuthorizations(accountId) {
+        if (!this.loaded) await this.load();
+        return [...(this.preAuthorizations.get(accountId) || new Map()).values()]
+            .filter(record => !record.settledAt)
+            .map(record => ({...record.data, cardId: record.cardId, firstSeenAt: record.firstSeenAt}))
+            .sort((a, b) => b.effectiveDate - a.effectiveDate);
+    }
+
+    /**
+     * Synchronize an account, see syncAccount
+     * @param {string} accountId
+     * @param {{backfill?: boolean, withCards?: boolean, getOneTimePassword?: Function}} options
+     * @return {Promise<{accountId: string, newTransactions: number, newPreAuthorizations: number, settledPreAuthorizations: number, historyLocked: boolean}>}
+     */
+    async doSyncAccount(accountId, {backfill = false, withCards = true, getOneTimePassword = null} = {}) {
+        if (!this.loaded) await this.load();
+
+        const result = {accountId, newTransactions: 0, newPreAuthorizations: 0, settledPreAuthorizations: 0, historyLocked: false};
+        const now = new Date().toISOString();
+        const records = [];
+
+        const storedTransactions = this.transactions.get(accountId) || new Map();
+        try {
+            for await (const transaction of this.ingApi.iterateTransactions(accountId, {getOneTimePassword})) {
+                if (storedTransactions.has(String(transaction.id))) {
+                    if (backfill) continue;
+                    break;
+                }
+                records.push({type: 'transaction', accountId, firstSeenAt: now, data: transaction});
+                result.newTransactions++;
+            }
+        } catch (e) {
+            if (!(e instanceof IngHistoryLockedError)) throw e;
+            // We keep what was loaded before the lock, the older history can be completed later with backfill
+            result.historyLocked = true;
+        }
+
+        if (withCards) {
+            const storedPreAuthorizations = this.preAuthorizations.get(accountId) || new Map();
+            const stillPending = new Set();
+
+            for (const card of await this.ingApi.getCards(accountId)) {
+                for (const cardTransaction of await this.ingApi.getCardTransactions(accountId, card.uid)) {
+                    if (!cardTransaction.preAuthorization) continue;
+                    const key = TransactionStore.getPreAuthorizationKey(card.uid, cardTransaction.transactionSequence);
+                    stillPending.add(key);
+                    if (!storedPreAuthorizations.has(key)) {
+                        records.push({type: 'preAuthorization', accountId, cardId: card.uid, firstSeenAt: now, data: cardTransaction});
+                        result.newPreAuthorizations++;
+                    }
+                }
+            }
+
+            // A pre-authorization which is no longer returned as such has been settled in a booked transaction
+            for (const [key, record] of storedPreAuthorizations) {
+                if (record.settledAt || stillPending.has(key)) continue;
+                records.push({type: 'preAuthorizationSettled', accountId, cardId: record.cardId, transactionSequence: record.data.transactionSequence, settledAt: now});
+                result.settledPreAuthorizations++;
+            }
+        }
+
+        await this.append(records);
+        return result;
+    }
+
+    /**
+     * Append records to the store file and apply them to the in-memory state
+     * @param {Array<Object>} records
+     * @return {Promise<void>}
+     */
+    async append(records) {
+        if (!records.length) return;
+        await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+        await fs.promises.appendFile(this.filePath, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+        for (const record of records) this.applyRecord(record);
+    }
+
+    /**
+     * Apply a record to the in-memory state, the records already known are ignored (deduplication)
+     * @param {Object} record
+     */
+    applyRecord(record) {
+        if (record.type === 'transaction') {
+            if (!this.transactions.has(record.accountId)) this.transactions.set(record.accountId, new Map());
+            const accountTransactions = this.transactions.get(record.accountId);
+            const id = String(record.data.id);
+            if (!accountTransactions.has(id)) accountTransactions.set(id, record);
+        } else if (record.type === 'preAuthorization') {
+            if (!this.preAuthorizations.has(record.accountId)) this.preAuthorizations.set(record.accountId, new Map());
+            const accountPreAuthorizations = this.preAuthorizations.get(record.accountId);
+            const key = TransactionStore.getPreAuthorizationKey(record.cardId, record.data.transactionSequence);
+            if (!accountPreAuthorizations.has(key)) accountPreAuthorizations.set(key, {...record, settledAt: null});
+        } else if (record.type === 'preAuthorizationSettled') {
+            const accountPreAuthorizations = this.preAuthorizations.get(record.accountId);
+            const preAuthorization = accountPreAuthorizations && accountPreAuthorizations.get(TransactionStore.getPreAuthorizationKey(record.cardId, record.transactionSequence));
+            if (preAuthorization && !preAuthorization.settledAt) preAuthorization.settledAt = record.settledAt;
+        }
+    }
+
+    /**
+     * Returns the key identifying a card pre-authorization
+     * @param {string} cardId
+     * @param {string} transactionSequence
+     * @return {string}
+     */
+    static getPreAuthorizationKey(cardId, transactionSequence) {
+        return `${cardId}/${transactionSequence}`;
+    }
+
+    /**
+     * Compare two transactions to sort them from the most recent
+     * @param {{id: string, effectiveDate: string}} a
+     * @param {{id: string, effectiveDate: string}} b
+     * @return {number}
+     */
+    static compareTransactions(a, b) {
+        if (a.effectiveDate !== b.effectiveDate) return a.effectiveDate < b.effectiveDate ? 1 : -1;
+        const idA = Number(a.id), idB = Number(b.id);
+        if (!isNaN(idA) && !isNaN(idB)) return idB - idA;
+        return String(b.id).localeCompare(String(a.id));
+    }
+}
+
+module.exports = TransactionStore;
@@ -0,0 +1,239 @@
+'use strict';
+
+const fs = require('fs');
+const {IngPolicyError} = require('./IngApiError');
+
+const WEEK_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+/**
+ * Class representing the guard rails checked before the transfers and the beneficiary additions
+ * A check returns a verdict {allowed, violations: [{rule, message}]} listing every broken rule :
+ * - maxAmount : the amount of a transfer is above maxAmount
+ * - beneficiaryLimit : the amount of a transfer is above the limit of its beneficiary
+ * - dailyLimit : the transfers started today (pending, confirming or confirmed) would exceed dailyLimit
+ * - allowedBeneficiaries : the beneficiary is not in the allowlist
+ * - beneficiaryAdditions : the beneficiary additions are disabled, or the IBAN is not in the addition allowlist
+ * The transfer rules are keyed on the beneficiary ids, ING doesn't return the IBAN of the beneficiaries
+ * - schedule : the operation is outside of the allowed time slots
+ * The daily total is computed from the operations of the IngApi pending operation registry, the transfers made before
+ * a restart or from another device are not counted. The international transfers count for their amount debited in euros
+ * A transfer checked with the reserve option holds its amount in the daily total until its operation is registered,
+ * so that concurrent transfers can't exceed dailyLimit together
+ * Usage :
+ * const transferPolicy = new TransferPolicy({maxAmount: 500, dailyLimit: 1000, allowedBeneficiaries: ['EXT0000001']});
+ * const ingApi = new IngApi(customerId, birthdate, password, {transferPolicy});
+ */
+class TransferPolicy {
+
+    /**
+     * Create a new TransferPolicy instance
+     * @param {{maxAmount?: number, dailyLimit?: number, beneficiaryLimits?: Object<string, number>, allowedBeneficiaries?: Array<string>, allowOwnAccounts?: boolean, allowBeneficiaryAdditions?: boolean, allowedBeneficiaryIbans?: Array<string>, schedule?: Array<{days?: Array<string>, from?: string, to?: string}>, timeZone?: string}} options -
+     * beneficiaryLimits : maximum amount of a transfer by beneficiary id,
+     * allowedBeneficiaries : beneficiary ids allowed as transfer destination (all when not given),
+     * allowOwnAccounts : the transfers to the accounts of the customer are allowed even if they are not in allowedBeneficiaries,
+     * allowedBeneficiaryIbans : IBANs (or account numbers) allowed as beneficiary addition (all when not given),
+     * schedule : time slots when the operations are allowed (always when not given), e.g. [{days: ['mon', 'tue'], from: '08:00', to: '20:00'}],
+     * timeZone : time zone of the schedule and of the days of dailyLimit (Europe/Paris by default)
+     * @throws {Error} if a beneficiary of beneficiaryLimits or allowedBeneficiaries is given by IBAN
+     */
+    constructor(options = {}) {
+        const {maxAmount = null, dailyLimit = null, beneficiaryLimits = {}, allowedBeneficiaries = null, allowOwnAccounts = true, allowBeneficiaryAdditions = true, allowedBeneficiaryIbans = null, schedule = null, timeZone = 'Europe/Paris'} = options;
+        this.options = options;
+        this.maxAmount = maxAmount;
+        this.dailyLimit = dailyLimit;
+        this.beneficiaryLimits = Object.fromEntries(Object.entries(beneficiaryLimits).map(([key, limit]) => [TransferPolicy.normalizeAccount(key), limit]));
+        this.allowedBeneficiaries = allowedBeneficiaries ? allowedBeneficiaries.map(TransferPolicy.normalizeAccount) : null;
+        this.allowOwnAccounts = allowOwnAccounts;
+        this.allowBeneficiaryAdditions = allowBeneficiaryAdditions;
+        this.allowedBeneficiaryIbans = allowedBeneficiaryIbans ? allowedBeneficiaryIbans.map(TransferPolicy.normalizeAccount) : null;
+        this.schedule = schedule;
+        this.timeZone = timeZone;
+        this.reservations = new Set();
+
+        const ibans = [...Object.keys(this.beneficiaryLimits), ...this.allowedBeneficiaries || []].filter(account => IBAN_PATTERN.test(account));
+        if (ibans.length) throw new Error(`The beneficiaries are given by id, not by IBAN : ${ibans.join(', ')}`);
+
+        for (const slot of schedule || []) {
+            const unknownDays = (slot.days || []).filter(day => !WEEK_DAYS.includes(day));
+            if (unknownDays.length) throw new Error(`Unknown schedule days : ${unknownDays.join(', ')}`);
+        }
+    }
+
+    /**
+     * Create a policy from a JSON file holding the constructor options
+     * @param {string} filePath
+     * @return {TransferPolicy}
+     */
+    static fromFile(filePath) {
+        return new TransferPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    /**
+     * Create a policy with the same rules and without reservation, e.g. for another customer : the daily total of a
+     * policy only counts the operations of the IngApi instances which use it
+     * @return {TransferPolicy}
+     */
+    copy() {
+        return new TransferPolicy(this.options);
+    }
+
+    /**
+     * Normalize an account id or an IBAN to compare it
+     * @param {string} account
+     * @return {string}
+     */
+    static normalizeAccount(account) {
+        return String(account).replace(/\s/g, '').toUpperCase();
+    }
+
+    /**
+     * Check that an amount can be transferred : a positive number with at most 2 decimals
+     * @param {number} amount
+     * @throws {IngPolicyError} POLICY.INVALID_AMOUNT
+     */
+    static checkAmount(amount) {
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || Math.round(amount * 100) !== Number((amount * 100).toFixed(6))) {
+            throw new IngPolicyError('POLICY.INVALID_AMOUNT', 'The amount must be a positive number with at most 2 decimals', {amount}, {retryable: false});
+        }
+    }
+
+    /**
+     * Throw if a verdict doesn't allow the operation
+     * @param {{allowed: boolean, violations: Array<{rule: string, message: string}>}} verdict
+     * @param {string} code - e.g. POLICY.TRANSFER_REFUSED
+     * @throws {IngPolicyError}
+     */
+    static assertAllowed(verdict, code) {
+        if (verdict.allowed) return;
+        throw new IngPolicyError(code, verdict.violations.map(violation => violation.message).join('; '), {violations: verdict.violations}, {retryable: false});
+    }
+
+    /**
+     * Returns the date (YYYY-MM-DD), week day and time (HH:MM) of a date in the time zone of the policy
+     * @param {Date} date
+     * @return {{day: string, weekDay: string, time: string}}
+     */
+    getLocalTime(date) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(date).map(part => [part.type, part.value]));
+        return {day: `${parts.year}-${parts.month}-${parts.day}`, weekDay: parts.weekday.toLowerCase(), time: `${parts.hour}:${parts.minute}`};
+    }
+
+    /**
+     * Returns the schedule violation of an operation made at a given date, or null
+     * @param {Date} now
+     * @return {{rule: string, message: string}|null}
+     */
+    checkSchedule(now) {
+        if (!this.schedule) return null;
+        const {weekDay, time} = this.getLocalTime(now);
+        const inSlot = this.schedule.some(({days = WEEK_DAYS, from = '00:00', to = '24:00'}) => days.includes(weekDay) && time >= from && time < to);
+        return inSlot ? null : {rule: 'schedule', message: `The operations are not allowed on ${weekDay} at ${time}`};
+    }
+
+    /**
+     * Returns the amount of the transfers started on the day of a date, pending, confirming or confirmed, and of the reserved
+     * transfers, in euros
+     * @param {IngApi} ingApi
+     * @param {Date} now
+     * @return {number}
+     */
+    getDailyTotal(ingApi, now) {
+        const today = this.getLocalTime(now).day;
+        const {EXTERNAL_TRANSFER, INTERNATIONAL_TRANSFER} = ingApi.SensitiveOperationAction;
+        const operations = ingApi.getOperations().filter(operation => [EXTERNAL_TRANSFER, INTERNATIONAL_TRANSFER].includes(operation.type));
+        const operationsTotal = operations
+            .filter(operation => ['PENDING', 'CONFIRMING', 'CONFIRMED'].includes(operation.status) && this.getLocalTime(operation.createdAt).day === today)
+            .reduce((total, operation) => total + (operation.type === INTERNATIONAL_TRANSFER ? operation.payload.totalDebitAmount : operation.payload.amount), 0);
+
+        // A reservation stops counting once the operation of its payload is registered, whatever its status
+        const payloads = new Set(operations.map(operation => operation.payload));
+        return [...this.reservations]
+            .filter(reservation => reservation.day === today && !payloads.has(reservation.payload))
+            .reduce((total, reservation) => total + reservation.amount, operationsTotal);
+    }
+
+    /**
+     * Release a reservation returned by checkTransfer
+     * @param {{day: string, amount: number, payload: Object|null}} reservation
+     */
+    releaseReservation(reservation) {
+        this.reservations.delete(reservation);
+    }
+
+    /**
+     * Check a transfer against the policy
+     * @param {IngApi} ingApi
+     * @param {{fromAccount: string, toAccount: string, amount: number}} transfer - amount in euros
+     * @param {Date} now
+     * @param {{reserve?: boolean}} options - reserve : an allowed transfer reserves its amount in the daily total, the
+     * reservation must be given the payload of the operation, and released with releaseReservation once the operation
+     * is registered or has failed
+     * @return {Promise<{allowed: boolean, violations: Array<{rule: string, message: string}>, reservation?: {day: string, amount: number, payload: Object|null}}>}
+     */
+    async checkTransfer(ingApi, {fromAccount, toAccount, amount}, now = new Date(), {reserve = false} = {}) {
+        const violations = [];
+        let reservation = null;
+
+        if (this.maxAmount !== null && amount > this.maxAmount) {
+            violations.push({rule: 'maxAmount', message: `The amount ${amount} is above the maximum of ${this.maxAmount}`});
+        }
+
+        if (this.dailyLimit !== null) {
+            const dailyTotal = this.getDailyTotal(ingApi, now);
+            if (dailyTotal + amount > this.dailyLimit) {
+                violations.push({rule: 'dailyLimit', message: `The transfers of the day would reach ${Math.round((dailyTotal + amount) * 100) / 100}, above the daily limit of ${this.dailyLimit}`});
+            } else if (reserve) {
+                // Reserved before the first await, the concurrent checks count it
+                reservation = {day: this.getLocalTime(now).day, amount, payload: null};
+                this.reservations.add(reservation);
+            }
+        }
+
+        const beneficiary = TransferPolicy.normalizeAccount(toAccount);
+        const limit = this.beneficiaryLimits[beneficiary];
+        if (limit !== undefined && amount > limit) {
+            violations.push({rule: 'beneficiaryLimit', message: `The amount ${amount} is above the limit of ${limit} for ${toAccount}`});
+        }
+
+        if (this.allowedBeneficiaries && !this.allowedBeneficiaries.includes(beneficiary)) {
+            // The accounts are only loaded when the destination is not in the allowlist
+            const ownAccount = this.allowOwnAccounts && (await ingApi.getAccounts()).accounts.some(account => account.uid === toAccount);
+            if (!ownAccount) violations.push({rule: 'allowedBeneficiaries', message: `The beneficiary ${toAccount} is not allowed`});
+        }
+
+        const scheduleViolation = this.checkSchedule(now);
+        if (scheduleViolation) violations.push(scheduleViolation);
+
+        if (reservation && violations.length) this.releaseReservation(reservation);
+        else if (reservation) return {allowed: true, violations, reservation};
+
+        return {allowed: violations.length === 0, violations};
+    }
+
+    /**
+     * Check a beneficiary addition against the policy
+     * @param {{accountHolderName: string, iban: string}} beneficiary
+     * @param {Date} now
+     * @return {{allowed: boolean, violations: Array<{rule: string, message: string}>}}
+     */
+    checkBeneficiaryAddition({accountHolderName, iban}, now = new Date()) {
+        const violations = [];
+
+        if (!this.allowBeneficiaryAdditions) {
+            violations.push({rule: 'beneficiaryAdditions', message: 'The beneficiary additions are disabled'});
+        } else if (this.allowedBeneficiaryIbans && !this.allowedBeneficiaryIbans.includes(TransferPolicy.normalizeAccount(iban))) {
+            violations.push({rule: 'beneficiaryAdditions', message: `The IBAN of ${accountHolderName} is not allowed`});
+        }
+
+        const scheduleViolation = this.checkSchedule(now);
+        if (scheduleViolation) violations.push(scheduleViolation);
+
+        return {allowed: violations.length === 0, violations};
+    }
+}
+
+module.exports = TransferPolicy;
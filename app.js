@@ -1,71 +1,110 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
 const express = require('express');
-const IngApi = require("./IngApi");
+const CustomerRegistry = require('./CustomerRegistry');
+const IngApiRouter = require('./IngApiRouter');
+const OpenApiValidator = require('./OpenApiValidator');
+const ApiKeyAuthenticator = require('./ApiKeyAuthenticator');
+const {EventMonitor} = require('./EventMonitor');
+const {SweepEngine} = require('./SweepEngine');
+const TransferPolicy = require('./TransferPolicy');
+const {EncryptedFileSessionStore} = require('./SessionStore');
 
 const app = express();
 
 app.use(express.json());
 
+const customersFile = process.env.ING_CUSTOMERS_FILE; // JSON file of the customers, see CustomerRegistry.fromFile
 const customerId = process.env.CUSTOMER_ID; // e.g. 0123456789
 const birthdate = process.env.BIRTHDATE; // e.g. 01011970 (DDMMYYYY format)
 const password = process.env.PASSWORD; // e.g. 123456
-
-const ingApi = new IngApi(customerId, birthdate, password);
-
-
-app.use(async (req, res, next) => {
-    await ingApi.refreshSession();
-    next();
-});
-
-
-app.post('/validation/sms', async (req, res, next) => {
-    const operation = req.body.validation.operation;
-    const code = req.body.validation.code;
-
-    let validationRequest = null;
-    if (operation === ingApi.SensitiveOperationAction.EXTERNAL_TRANSFER) validationRequest = ingApi.validationRequest.transferRequest;
-    else if (operation === ingApi.SensitiveOperationAction.ADD_TRANSFER_BENEFICIARY) validationRequest = ingApi.validationRequest.externalAccountsRequest;
-
-    res.json(await ingApi.confirmOneTimePassword(operation, code, validationRequest));
+const baseUrl = process.env.ING_BASE_URL; // e.g. http://127.0.0.1:8081 to use the MockIngServer
+
+const host = process.env.HOST || '127.0.0.1'; // e.g. 0.0.0.0 to listen on every interface
+const port = Number(process.env.PORT) || 8080;
+const apiKeysFile = process.env.ING_API_KEYS_FILE; // JSON file of the API keys, see ApiKeyAuthenticator
+const monitorFile = process.env.ING_MONITOR_FILE; // JSON file of the EventMonitor options, e.g. {"webhooks": [{"url": "...", "secret": "..."}]}
+const sweepFile = process.env.ING_SWEEP_FILE; // JSON file of the SweepEngine options and rules, e.g. {"rules": [{"id": "savings", "type": "sweep", ...}]}
+const transferPolicyFile = process.env.ING_TRANSFER_POLICY_FILE; // JSON file of the TransferPolicy options, e.g. {"maxAmount": 500, "dailyLimit": 1000}
+const tlsCertFile = process.env.TLS_CERT_FILE;
+const tlsKeyFile = process.env.TLS_KEY_FILE;
+
+// A half TLS configuration would silently serve plain http
+if (Boolean(tlsCertFile) !== Boolean(tlsKeyFile)) {
+    throw new Error('TLS_CERT_FILE and TLS_KEY_FILE must be given together');
+}
+
+// Without API keys anyone reaching the server can use the account, this is only allowed on the loopback interface
+const authenticator = apiKeysFile ? ApiKeyAuthenticator.fromFile(apiKeysFile) : null;
+if (!authenticator && !['127.0.0.1', '::1', 'localhost'].includes(host)) {
+    throw new Error(`ING_API_KEYS_FILE is required to listen on ${host}`);
+}
+
+// The session survives the restarts when a session file and its secret are given
+const sessionStore = process.env.ING_SESSION_FILE ? new EncryptedFileSessionStore(process.env.ING_SESSION_FILE, process.env.ING_SESSION_SECRET) : null;
+
+// The ING responses are checked against openapi.yaml in warn (logs) or strict (errors) mode, to notice the changes of ING
+const responseValidation = process.env.ING_RESPONSE_VALIDATION || (process.env.NODE_ENV === 'development' ? 'warn' : null);
+const responseValidator = responseValidation ? new OpenApiValidator(path.join(__dirname, 'openapi.yaml')) : null;
+
+// The transfers and the beneficiary additions of every customer are checked against the same rules, each customer has its own daily total
+const transferPolicy = transferPolicyFile ? TransferPolicy.fromFile(transferPolicyFile) : null;
+
+// Each customer has its own IngApi instance, the customer of the environment variables is the default one
+const ingApiOptions = {baseUrl, sessionStore, responseValidator, responseValidation, transferPolicy};
+const registry = customersFile ? CustomerRegistry.fromFile(customersFile, ingApiOptions) : new CustomerRegistry(ingApiOptions);
+if (customerId) {
+    if (!registry.customers.has(customerId)) registry.add({customerId, birthdate, password});
+    registry.setDefault(customerId);
+}
+
+// Each customer is polled by its own monitor, which posts the events to the webhooks
+if (monitorFile) {
+    const monitorOptions = JSON.parse(fs.readFileSync(monitorFile, 'utf8'));
+    for (const {customerId, ingApi} of registry.customers.values()) {
+        const monitor = new EventMonitor(ingApi, monitorOptions);
+        monitor.on('pollError', e => console.error(`Event monitor of ${customerId} : ${e.message}`));
+        monitor.on('webhookError', ({event, url, error}) => console.error(`Event ${event.type} of ${customerId} not delivered to ${url} : ${error}`));
+        monitor.start();
+    }
+}
+
+// The sweep rules run for their customerId (the default customer when not given), each customer has its state file
+if (sweepFile) {
+    const {rules, stateDirectory = path.dirname(sweepFile), ...sweepOptions} = JSON.parse(fs.readFileSync(sweepFile, 'utf8'));
+    for (const {customerId, ingApi} of registry.customers.values()) {
+        const customerRules = rules.filter(rule => (rule.customerId || registry.defaultCustomerId) === customerId).map(({customerId, ...rule}) => rule);
+        if (!customerRules.length) continue;
+        const stateFile = path.join(stateDirectory, `sweep-state-${customerId}.json`);
+        const engine = new SweepEngine(ingApi, customerRules, {...sweepOptions, stateFile});
+        engine.on('transfer', ({rule, operation}) => console.log(`Sweep ${rule.id} of ${customerId} : ${operation.payload.amount} from ${rule.from} to ${rule.to}, operation ${operation.id} ${operation.status}`));
+        engine.on('sweepError', (e, preview) => console.error(`Sweep ${preview ? preview.ruleId : ''} of ${customerId} : ${e.message}`));
+        engine.start();
+    }
+}
+
+
+// The requests are authenticated before anything is asked to ING
+if (authenticator) app.use(authenticator.middleware());
+
+// The request bodies and parameters are checked against openapi-server.yaml
+const requestValidator = new OpenApiValidator(path.join(__dirname, 'openapi-server.yaml'));
+
+// The session of the customer is refreshed before each request
+app.use(IngApiRouter.createForRegistry(registry, {requestValidator, authenticator}));
+
+app.use(IngApiRouter.notFoundHandler);
+
+app.use(IngApiRouter.errorHandler);
+
+
+const tls = Boolean(tlsCertFile && tlsKeyFile);
+const server = tls ? https.createServer({cert: fs.readFileSync(tlsCertFile), key: fs.readFileSync(tlsKeyFile)}, app) : app;
+
+server.listen(port, host, () => {
+    console.log(`Listening on ${tls ? 'https' : 'http'}://${host}:${port}${authenticator ? '' : ' without authentication'}`);
 });
 
-
-app.get('/accounts', async (req, res) => {
-    res.json(await ingApi.getAccounts());
-});
-
-
-app.get('/accounts/:accountId', async (req, res) => {
-    res.json(await ingApi.getAccountById(req.params.accountId));
-});
-
-
-app.get('/accounts/debit', async (req, res) => {
-    res.json(await ingApi.getTransfersDebitAccounts());
-});
-
-
-app.get('/account/:accountId/externalAccount', async (req, res) => {
-    res.json(await ingApi.getCreditAccounts(req.params.accountId));
-});
-
-
-app.get('/account/:accountId/bankRecord', async (req, res) => {
-    res.json(await ingApi.getAccountBankRecord(req.params.accountId));
-});
-
-
-app.post('/account/:accountId/transfer', async (req, res) => {
-    const accountId = req.params.accountId;
-    const beneficiaryId = req.body.beneficiaryId;
-    const amount = req.body.amount;
-    const label = req.body.label;
-
-    res.json(await ingApi.makeTransfer(accountId, beneficiaryId, amount, label));
-});
-
-
-app.listen(8080);
-
@@ -0,0 +1,516 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const IngApi = require('./IngApi');
+const TransactionExporter = require('./TransactionExporter');
+const TransferPolicy = require('./TransferPolicy');
+const {SweepEngine} = require('./SweepEngine');
+const {EncryptedFileSessionStore} = require('./SessionStore');
+const {OneTimePasswordProvider} = require('./OneTimePasswordProvider');
+const {IngApiError, IngHistoryLockedError} = require('./IngApiError');
+
+const USAGE = `Usage : ing <command> [options]
+
+Commands :
+  accounts                                        List the accounts and their balances
+  transactions <account> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--limit n] [--unlock]
+                                                  List the transactions of an account
+  cards [account]                                 List the cards
+  cards limits <account> <cardId> [PAYMENT=<amount>] [WITHDRAWAL=<amount>] [--revert-after <n>m|h|d]
+                                                  Display the limits of a card, or change them (2FA for an increase),
+                                                  --revert-after waits and restores the previous limits
+  messages [--unread] [--read <messageId>]        List the messages, or display one
+  beneficiaries                                   List the transfer beneficiaries
+  beneficiaries add <accountHolderName> <iban> [--allow-same-holder]
+                                                  Add a beneficiary (2FA), --allow-same-holder adds a second account of
+                                                  the holder of a beneficiary in the same bank
+  beneficiaries add-international <accountHolderName> <accountNumber> --bic <bic> --bank <name>
+           --bank-address <address> --bank-city <city> --bank-country <CC> --currency <code> [--intermediary-bic <bic>]
+           [--allow-same-holder]
+                                                  Add an international beneficiary (2FA)
+  beneficiaries rm <beneficiaryId>                Delete a beneficiary
+  transfer --from <account> --to <account> --amount <amount> [--label <label>] [--date YYYY-MM-DD] [--dry-run]
+           [--every WEEKLY|MONTHLY|QUARTERLY|HALF_YEARLY|YEARLY [--until YYYY-MM-DD]]
+           [--currency <code> [--fees OUR|SHA|BEN]]
+                                                  Make a transfer (2FA), or only check it with --dry-run, --every
+                                                  creates a recurring transfer starting on --date, --currency makes an
+                                                  international transfer whose quote is displayed before the 2FA
+  scheduled                                       List the deferred and recurring transfers
+  scheduled cancel <transferId>                   Cancel a deferred or recurring transfer (2FA)
+  sweeps [--rules <path>] [--run]                 Preview the sweep rules, or run the due ones (2FA)
+
+Options :
+  --format json|csv|table                         Output format (table by default)
+  --channel-phone <phone>                         Phone receiving the one time password
+  --session-file <path>                           Session file (~/.ing/session.json by default)
+
+An account is given by its id or its label (e.g. "Livret A").
+The credentials are read from the CUSTOMER_ID, BIRTHDATE and PASSWORD environment variables, the session file is
+encrypted with ING_SESSION_SECRET, or with a random key generated in <session file>.key (readable by its owner only)
+when it is not set. ING_BASE_URL targets another backend (e.g. MockIngServer).
+ING_TRANSFER_POLICY_FILE is a JSON file of TransferPolicy options checked before the transfers and the beneficiary
+additions. The sweep rules are read from --rules or ING_SWEEP_FILE (see SweepEngine), their state is shared with app.js.`;
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+}, e => {
+    const code = e instanceof IngApiError ? ` (${e.code})` : '';
+    console.error(`Error : ${e.message}${code}`);
+    process.exitCode = 1;
+});
+
+/**
+ * Run a command of the ING command-line interface
+ * @param {Array<string>} argv
+ * @return {Promise<number>} the exit code
+ */
+async function main(argv) {
+    const {positionals, options} = parseArguments(argv);
+    const [command, ...args] = positionals;
+
+    if (!command || options.help) {
+        console.log(USAGE);
+        return command || options.help ? 0 : 1;
+    }
+
+    const format = options.format || 'table';
+    if (!['json', 'csv', 'table'].includes(format)) throw new Error(`Unknown format ${format}`);
+
+    const ingApi = await createIngApi(options);
+    const channel = options['channel-phone'] ? {phone: options['channel-phone']} : null;
+    const oneTimePasswordProvider = OneTimePasswordProvider.fromStdin();
+
+    switch (command) {
+
+        case 'accounts': {
+            const {accounts} = await ingApi.getAccounts();
+            print(accounts.map(account => ({
+                id: account.uid,
+                label: account.label,
+                type: account.type.label,
+                ledgerBalance: account.ledgerBalance,
+                availableBalance: account.availableBalance === undefined ? '' : account.availableBalance
+            })), format);
+            break;
+        }
+
+        case 'transactions': {
+            if (!args[0]) throw new Error('The account is missing');
+            const account = await resolveAccount(ingApi, args[0]);
+            const limit = options.limit ? parseInt(options.limit) : (options.since ? Infinity : 50);
+            const transactions = [];
+            const iterator = ingApi.iterateTransactions(account.uid, {
+                since: options.since,
+                until: options.until,
+                getOneTimePassword: options.unlock ? oneTimePasswordProvider : null,
+                channel
+            });
+            try {
+                for await (const transaction of iterator) {
+                    if (transactions.length >= limit) break;
+                    transactions.push(TransactionExporter.normalizeAccountTransaction(transaction));
+                }
+            } catch (e) {
+                if (!(e instanceof IngHistoryLockedError)) throw e;
+                // The transactions loaded before the lock are still displayed
+                console.error(`${e.message}, use --unlock to display the older transactions`);
+            }
+            print(transactions.map(({id, date, amount, description, type}) => ({date, amount, description, type, id})), format);
+            break;
+        }
+
+        case 'cards': {
+            if (args[0] === 'limits') {
+                const [, accountIdOrLabel, cardId, ...limitArgs] = args;
+                if (!accountIdOrLabel || !cardId) throw new Error('Usage : ing cards limits <account> <cardId> [PAYMENT=<amount>] [WITHDRAWAL=<amount>]');
+                const account = await resolveAccount(ingApi, accountIdOrLabel);
+                if (!limitArgs.length) {
+                    const {limits} = await ingApi.getCardLimits(account.uid, cardId);
+                    print(limits.map(({type, authorized, available, used}) => ({type, authorized, available, used})), format);
+                    break;
+                }
+                const limits = Object.fromEntries(limitArgs.map(limitArg => {
+                    const [type, amount] = limitArg.split('=');
+                    return [type.toUpperCase(), parseFloat(String(amount).replace(',', '.'))];
+                }));
+                const revertAt = options['revert-after'] ? new Date(Date.now() + parseDuration(options['revert-after'])) : null;
+                const change = await ingApi.setCardLimits(account.uid, cardId, limits, {channel, oneTimePasswordProvider, revertAt});
+                print(change.limits.map(({type, authorized}) => ({
+                    type,
+                    authorized,
+                    previous: change.previousLimits.find(limit => limit.type === type).authorized,
+                    applied: change.applied,
+                    revertAt: revertAt ? revertAt.toISOString() : ''
+                })), format);
+                if (change.revert) {
+                    // The revert timer runs in this process
+                    console.error(`The previous limits will be restored at ${revertAt.toISOString()}, keep the command running`);
+                    const revert = await waitForCardLimitsRevert(change.revert);
+                    console.error(`Revert ${revert.status}${revert.lastError ? ` : ${revert.lastError.message}` : ''}`);
+                }
+                break;
+            }
+            const accounts = args[0] ? [await resolveAccount(ingApi, args[0])] : (await ingApi.getAccounts()).accounts.filter(account => account.type.code === 'CA');
+            const cards = [];
+            for (const account of accounts) {
+                for (const card of await ingApi.getCards(account.uid)) {
+                    cards.push({id: card.uid, account: account.label, number: card.number, type: card.type.label, status: card.status.label, contactless: card.contactless});
+                }
+            }
+            print(cards, format);
+            break;
+        }
+
+        case 'messages': {
+            if (options.read) {
+                const message = await ingApi.getMessageContent(options.read);
+                if (format === 'json') print(message, format);
+                else console.log(`${message.dateOnLine} - ${message.object}\n\n${message.content.replace(/<[^>]+>/g, '').trim()}`);
+                break;
+            }
+            const messages = (await ingApi.getMessages()).filter(message => !options.unread || !message.alreadyRead);
+            print(messages.map(message => ({id: message.messageId, date: message.dateOnLine, object: message.object, read: message.alreadyRead})), format);
+            break;
+        }
+
+        case 'beneficiaries': {
+            const [action, ...actionArgs] = args;
+            if (!action) {
+                const beneficiaries = await ingApi.getExternalAccountsBeneficiaries();
+                print(beneficiaries.map(beneficiary => ({id: beneficiary.uid, label: beneficiary.label, owner: beneficiary.owner, bank: beneficiary.bankName, bic: beneficiary.bic, currency: beneficiary.currency || 'EUR'})), format);
+            } else if (action === 'add') {
+                if (actionArgs.length < 2) throw new Error('Usage : ing beneficiaries add <accountHolderName> <iban>');
+                const operation = await ingApi.addNewBeneficiary(actionArgs[0], actionArgs.slice(1).join(''), {channel, oneTimePasswordProvider, allowSameHolder: Boolean(options['allow-same-holder'])});
+                print({operation: operation.id, status: operation.status, ...operation.payload}, format);
+            } else if (action === 'add-international') {
+                const missingOptions = ['bic', 'bank', 'bank-address', 'bank-city', 'bank-country', 'currency'].filter(option => !options[option]);
+                if (actionArgs.length < 2 || missingOptions.length) {
+                    throw new Error('Usage : ing beneficiaries add-international <accountHolderName> <accountNumber> --bic <bic> --bank <name> --bank-address <address> --bank-city <city> --bank-country <CC> --currency <code>');
+                }
+                const operation = await ingApi.addNewInternationalBeneficiary({
+                    accountHolderName: actionArgs[0],
+                    accountNumber: actionArgs.slice(1).join(''),
+                    bic: options.bic,
+                    bankName: options.bank,
+                    bankAddress: {address1: options['bank-address'], city: options['bank-city'], country: options['bank-country']},
+                    currency: options.currency,
+                    intermediaryBank: options['intermediary-bic'] ? {bic: options['intermediary-bic']} : undefined
+                }, {channel, oneTimePasswordProvider, allowSameHolder: Boolean(options['allow-same-holder'])});
+                const {bankAddress, intermediaryBank, ...payload} = operation.payload;
+                print({operation: operation.id, status: operation.status, ...payload}, format);
+            } else if (action === 'rm') {
+                if (!actionArgs[0]) throw new Error('Usage : ing beneficiaries rm <beneficiaryId>');
+                print(await ingApi.deleteBeneficiary(actionArgs[0]) || {deleted: actionArgs[0]}, format);
+            } else {
+                throw new Error(`Unknown beneficiaries action ${action}`);
+            }
+            break;
+        }
+
+        case 'transfer': {
+            for (const option of ['from', 'to', 'amount']) {
+                if (!options[option]) throw new Error(`The --${option} option is missing`);
+            }
+            const amount = parseFloat(String(options.amount).replace(',', '.'));
+            if (!(amount > 0)) throw new Error(`Invalid amount ${options.amount}`);
+            const fromAccount = await resolveAccount(ingApi, options.from);
+            const toAccount = await resolveCreditAccount(ingApi, fromAccount.uid, options.to);
+            if (options.currency) {
+                if (options.date || options.every) throw new Error('The international transfers can\'t be deferred nor recurring');
+                await makeInternationalTransfer(ingApi, fromAccount.uid, toAccount.uid, amount, options, format, {channel, oneTimePasswordProvider});
+                break;
+            }
+            const recurrence = options.every ? {periodicity: String(options.every).toUpperCase(), endDate: options.until || undefined} : null;
+            if (options['dry-run']) {
+                const {executionDate, policy} = await ingApi.makeTransfer(fromAccount.uid, toAccount.uid, amount, options.label || '', options.date || '', {dryRun: true, recurrence});
+                print({allowed: policy.allowed, executionDate, violations: policy.violations.map(violation => violation.message).join('; ')}, format);
+                break;
+            }
+            const operation = await ingApi.makeTransfer(fromAccount.uid, toAccount.uid, amount, options.label || '', options.date || '', {channel, oneTimePasswordProvider, recurrence});
+            const {mobilePeriodicity, ...payload} = operation.payload;
+            print({operation: operation.id, status: operation.status, ...payload, ...(mobilePeriodicity ? {periodicity: mobilePeriodicity.code} : {})}, format);
+            break;
+        }
+
+        case 'scheduled': {
+            const [action, transferId] = args;
+            if (action === 'cancel') {
+                if (!transferId) throw new Error('Usage : ing scheduled cancel <transferId>');
+                const operation = await ingApi.cancelFutureTransfer(transferId, {channel, oneTimePasswordProvider});
+                print({operation: operation.id, status: operation.status, ...operation.payload}, format);
+                break;
+            }
+            if (action) throw new Error(`Unknown scheduled action ${action}`);
+            const {pendingTransfers = [], mobileReccuringTransfers = []} = await ingApi.getFutureTransfers();
+            print([...pendingTransfers, ...mobileReccuringTransfers].map(transfer => ({
+                id: transfer.uid,
+                executionDate: transfer.executionDate,
+                periodicity: transfer.mobilePeriodicity ? transfer.mobilePeriodicity.label || transfer.mobilePeriodicity.code : '',
+                endDate: transfer.endDate || '',
+                from: transfer.fromAccountLabel || transfer.fromAccountUid,
+                to: transfer.toAccountLabel || transfer.toExternalAccountUid,
+                amount: transfer.amount,
+                label: transfer.label || '',
+                cancelable: transfer.cancelable !== false
+            })), format);
+            break;
+        }
+
+        case 'sweeps': {
+            const engine = createSweepEngine(ingApi, options.rules || process.env.ING_SWEEP_FILE, {oneTimePasswordProvider});
+            const previews = options.run ? (await engine.run()).map(({preview, operation, error}) => ({
+                ...preview,
+                reason: error ? error.message : preview.reason,
+                operation: operation ? `${operation.id} ${operation.status}` : ''
+            })) : await engine.preview();
+            print(previews.map(({ruleId, status, from, to, amount, executionDate, nextRun, reason, operation}) => ({
+                rule: ruleId, status, from, to, amount, executionDate: executionDate || '', nextRun: nextRun || '', reason: reason || '', ...(options.run ? {operation} : {})
+            })), format);
+            break;
+        }
+
+        default:
+            console.error(`Unknown command ${command}\n\n${USAGE}`);
+            return 1;
+    }
+
+    await ingApi.saveSession();
+    return 0;
+}
+
+/**
+ * Parse the command-line arguments
+ * Example :
+ * parseArguments(['transactions', 'Livret A', '--since', '2021-01-01', '--unlock']) = {positionals: ['transactions', 'Livret A'], options: {since: '2021-01-01', unlock: true}}
+ * @param {Array<string>} argv
+ * @return {{positionals: Array<string>, options: Object<string, string|boolean>}}
+ */
+function parseArguments(argv) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const separatorIndex = arg.indexOf('=');
+            if (separatorIndex !== -1) {
+                options[arg.slice(2, separatorIndex)] = arg.slice(separatorIndex + 1);
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                options[arg.slice(2)] = argv[++i];
+            } else {
+                options[arg.slice(2)] = true;
+            }
+        } else {
+            positionals.push(arg);
+        }
+    }
+    return {positionals, options};
+}
+
+/**
+ * Create the IngApi instance, reusing the session saved by the previous invocations
+ * @param {Object<string, string|boolean>} options
+ * @return {Promise<IngApi>}
+ */
+async function createIngApi(options) {
+    const customerId = process.env.CUSTOMER_ID; // e.g. 0123456789
+    const birthdate = process.env.BIRTHDATE; // e.g. 01011970 (DDMMYYYY format)
+    const password = process.env.PASSWORD; // e.g. 123456
+    const baseUrl = process.env.ING_BASE_URL; // e.g. http://127.0.0.1:8081 to use the MockIngServer
+
+    if (!customerId || !birthdate || !password) throw new Error('The CUSTOMER_ID, BIRTHDATE and PASSWORD environment variables are required');
+
+    const sessionFile = options['session-file'] || process.env.ING_SESSION_FILE || path.join(os.homedir(), '.ing', 'session.json');
+    const sessionStore = new EncryptedFileSessionStore(sessionFile, process.env.ING_SESSION_SECRET || await getSessionKey(sessionFile));
+
+    // Each invocation starts with an empty operation registry : the dailyLimit rule only counts the current transfer
+    const transferPolicy = process.env.ING_TRANSFER_POLICY_FILE ? TransferPolicy.fromFile(process.env.ING_TRANSFER_POLICY_FILE) : null;
+
+    // The steps of refreshSession would pollute the output, the warnings go to stderr
+    const logger = {log: () => null, warn: message => console.error(message)};
+    const ingApi = new IngApi(customerId, birthdate, password, {baseUrl, sessionStore, transferPolicy, logger});
+
+    const session = await ingApi.refreshSession();
+    if (!session || !session.authenticated) throw new Error('Authentication failed');
+
+    return ingApi;
+}
+
+/**
+ * Returns the key of a session file, kept in <session file>.key and generated on the first call with a random value
+ * only readable by its owner
+ * A session file saved before the key was generated can't be decrypted anymore : it is removed, the next login saves
+ * a new one
+ * @param {string} sessionFile
+ * @return {Promise<string>}
+ */
+async function getSessionKey(sessionFile) {
+    const keyFile = `${sessionFile}.key`;
+    try {
+        return (await fs.promises.readFile(keyFile, 'utf8')).trim();
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    await fs.promises.mkdir(path.dirname(keyFile), {recursive: true, mode: 0o700});
+    const key = crypto.randomBytes(32).toString('hex');
+    try {
+        // wx : two invocations generating the key at the same time keep the first one
+        await fs.promises.writeFile(keyFile, key, {mode: 0o600, flag: 'wx'});
+    } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        return (await fs.promises.readFile(keyFile, 'utf8')).trim();
+    }
+    await fs.promises.rm(sessionFile, {force: true});
+    return key;
+}
+
+/**
+ * Create the sweep engine of the customer from a sweep file, see app.js for its format
+ * @param {IngApi} ingApi
+ * @param {string} sweepFile
+ * @param {Object} options - See SweepEngine
+ * @return {SweepEngine}
+ */
+function createSweepEngine(ingApi, sweepFile, options) {
+    if (!sweepFile) throw new Error('The --rules option or the ING_SWEEP_FILE environment variable is required');
+    const {rules, stateDirectory = path.dirname(sweepFile), ...sweepOptions} = JSON.parse(fs.readFileSync(sweepFile, 'utf8'));
+    const customerRules = rules.filter(rule => !rule.customerId || rule.customerId === ingApi.customerId).map(({customerId, ...rule}) => rule);
+    const stateFile = path.join(stateDirectory, `sweep-state-${ingApi.customerId}.json`);
+    return new SweepEngine(ingApi, customerRules, {...sweepOptions, ...options, stateFile});
+}
+
+/**
+ * Parse a duration like 30m, 2h or 1d
+ * @param {string} duration
+ * @return {number} the duration in ms
+ */
+function parseDuration(duration) {
+    const match = /^(\d+)([mhd])$/.exec(String(duration));
+    if (!match) throw new Error(`Invalid duration ${duration}, e.g. 30m, 2h or 1d`);
+    return parseInt(match[1]) * {m: 60, h: 3600, d: 86400}[match[2]] * 1000;
+}
+
+/**
+ * Wait for the end of a card limits revert scheduled by setCardLimits
+ * @param {{status: string}} revert
+ * @return {Promise<{status: string, lastError: {code: string, message: string}|null}>}
+ */
+async function waitForCardLimitsRevert(revert) {
+    while (['SCHEDULED', 'RUNNING'].includes(revert.status)) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return revert;
+}
+
+/**
+ * Returns an account given its id or its label
+ * @param {IngApi} ingApi
+ * @param {string} accountIdOrLabel
+ * @return {Promise<{uid: string, label: string}>}
+ */
+async function resolveAccount(ingApi, accountIdOrLabel) {
+    const {accounts} = await ingApi.getAccounts();
+    const account = findByIdOrLabel(accounts, accountIdOrLabel);
+    if (!account) throw new Error(`Unknown account ${accountIdOrLabel}`);
+    return account;
+}
+
+/**
+ * Make an international transfer, or only quote it with --dry-run
+ * The quote is written on stderr before the 2FA, so that the one time password is only entered once it is known
+ * @param {IngApi} ingApi
+ * @param {string} fromAccount
+ * @param {string} toAccount
+ * @param {number} amount
+ * @param {Object} options - The command-line options
+ * @param {string} format
+ * @param {Object} sensitiveOperationOptions - See startSensitiveOperation
+ * @return {Promise<void>}
+ */
+async function makeInternationalTransfer(ingApi, fromAccount, toAccount, amount, options, format, sensitiveOperationOptions) {
+    const transferOptions = {feeOption: options.fees ? String(options.fees).toUpperCase() : undefined, label: options.label || ''};
+    if (options['dry-run']) {
+        const {quote, policy} = await ingApi.makeInternationalTransfer(fromAccount, toAccount, amount, options.currency, {...transferOptions, dryRun: true});
+        print({allowed: policy.allowed, ...formatQuote(quote), violations: policy.violations.map(violation => violation.message).join('; ')}, format);
+        return;
+    }
+    const onQuote = quote => {
+        const {exchangeRate, debitAmount, fees, totalDebitAmount, executionDate} = formatQuote(quote);
+        console.error(`Quote : ${amount} ${quote.currency} = ${debitAmount} EUR at ${exchangeRate}, fees ${fees} (${quote.feeOption}), ${totalDebitAmount} EUR debited, executed on ${executionDate}`);
+    };
+    const operation = await ingApi.makeInternationalTransfer(fromAccount, toAccount, amount, options.currency, {...transferOptions, ...sensitiveOperationOptions, onQuote});
+    print({operation: operation.id, status: operation.status, ...operation.payload}, format);
+}
+
+/**
+ * Returns the displayed fields of an international transfer quote
+ * @param {Object} quote - See IngApi.quoteInternationalTransfer
+ * @return {{quoteId: string, exchangeRate: number, debitAmount: number, fees: string, totalDebitAmount: number, executionDate: string, expiresAt: string}}
+ */
+function formatQuote(quote) {
+    const {quoteId, exchangeRate, debitAmount, fees, totalDebitAmount, executionDate, expiresAt} = quote;
+    return {quoteId, exchangeRate, debitAmount, fees: `${fees.amount} ${fees.currency}`, totalDebitAmount, executionDate, expiresAt};
+}
+
+/**
+ * Returns a transfer destination (own account or beneficiary) given its id or its label
+ * @param {IngApi} ingApi
+ * @param {string} fromAccountId
+ * @param {string} accountIdOrLabel
+ * @return {Promise<{uid: string, label: string}>}
+ */
+async function resolveCreditAccount(ingApi, fromAccountId, accountIdOrLabel) {
+    const {accounts} = await ingApi.getAccounts();
+    const beneficiaries = await ingApi.getExternalAccountsBeneficiaries();
+    const account = findByIdOrLabel([...accounts.filter(a => a.uid !== fromAccountId), ...beneficiaries], accountIdOrLabel);
+    if (!account) throw new Error(`Unknown transfer destination ${accountIdOrLabel}`);
+    return account;
+}
+
+/**
+ * Find an item given its uid or its label (case insensitive)
+ * @param {Array<{uid: string, label: string}>} items
+ * @param {string} idOrLabel
+ * @return {{uid: string, label: string}|undefined}
+ */
+function findByIdOrLabel(items, idOrLabel) {
+    const search = String(idOrLabel).toLowerCase();
+    return items.find(item => item.uid === idOrLabel) || items.find(item => (item.label || '').toLowerCase() === search);
+}
+
+/**
+ * Print data in the given format
+ * @param {Array<Object>|Object} data
+ * @param {string} format - json, csv or table
+ */
+function print(data, format) {
+    if (format === 'json') {
+        console.log(JSON.stringify(data, null, 2));
+        return;
+    }
+
+    const rows = Array.isArray(data) ? data : [data];
+    if (!rows.length) {
+        if (format === 'table') console.log('Nothing to display');
+        return;
+    }
+    const columns = Object.keys(rows[0]);
+    const cell = value => value === null || value === undefined ? '' : String(value);
+
+    if (format === 'csv') {
+        const quote = value => /[";\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        console.log([columns, ...rows.map(row => columns.map(column => cell(row[column])))].map(line => line.map(quote).join(';')).join('\n'));
+        return;
+    }
+
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+    const line = values => values.map((value, i) => typeof rows[0][columns[i]] === 'number' ? value.padStart(widths[i]) : value.padEnd(widths[i])).join('  ').trimEnd();
+    console.log(line(columns));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    for (const row of rows) console.log(line(columns.map(column => cell(row[column]))));
+}
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+'use strict';
+
+const {parseArgs} = require('util');
+const PasswordKeypad = require('./PasswordKeypad');
+const KeypadGenerator = require('./KeypadGenerator');
+const Util = require('./Util');
+
+const USAGE = `Usage : node keypadRegression.js [options]
+
+Recognize generated keypads with PasswordKeypad and check that the clicks land on the right digits
+
+Options :
+  --count <n>              Number of keypads of each scale (1000 by default)
+  --scales <list>          Comma separated keypad scales (1,5 by default)
+  --noise <amplitude>      Noise added to the pixels, from 0 to 1 (0.05 by default)
+  --jpeg-quality <1-100>   JPEG encode the keypads with this quality (PNG by default)
+  --seed <n>               Seed of the generation, to replay a run
+  --min-accuracy <ratio>   Lowest accepted ratio of recognized keypads (0.99 by default)
+  --write <directory>      Only write the keypads and their ground truth in a directory`;
+
+// The test suite runs runScale on a few keypads of a fixed seed
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    }, e => {
+        console.error(e);
+        process.exitCode = 1;
+    });
+}
+
+/**
+ * Run the regression and print its report
+ * Exits with 1 when a click lands on a wrong digit or when the accuracy is below --min-accuracy
+ * @param {Array<string>} argv
+ * @return {Promise<number>} the exit code
+ */
+async function main(argv) {
+    const {values: options} = parseArgs({
+        args: argv,
+        options: {
+            'count': {type: 'string', default: '1000'},
+            'scales': {type: 'string', default: '1,5'},
+            'noise': {type: 'string', default: '0.05'},
+            'jpeg-quality': {type: 'string'},
+            'seed': {type: 'string'},
+            'min-accuracy': {type: 'string', default: '0.99'},
+            'write': {type: 'string'},
+            'help': {type: 'boolean', short: 'h'}
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const count = parseInt(options.count);
+    const scales = options.scales.split(',').map(Number);
+    const generationOptions = {noise: Number(options.noise), jpegQuality: options['jpeg-quality'] ? parseInt(options['jpeg-quality']) : null};
+    const generator = new KeypadGenerator(options.seed ? {seed: parseInt(options.seed)} : {});
+    console.log(`Seed : ${generator.seed}`);
+
+    if (options.write) {
+        for (const scale of scales) {
+            const filePaths = await generator.writeKeypads(`${options.write}/scale-${scale}`, count, {...generationOptions, scale});
+            console.log(`${filePaths.length} keypads written in ${options.write}/scale-${scale}`);
+        }
+        return 0;
+    }
+
+    let failed = false;
+    for (const scale of scales) {
+        const report = await runScale(generator, count, {...generationOptions, scale});
+        const accuracy = report.recognized / count;
+        console.log([
+            `Scale ${scale} : ${report.recognized}/${count} recognized (${(accuracy * 100).toFixed(2)} %)`,
+            `${report.corrected} corrected by the permutation check`,
+            `${report.refused} refused`,
+            `${report.wrongClicks} wrong clicks`,
+            `lowest confidence ${report.lowestConfidence.toFixed(3)}`,
+            `${report.averageTime.toFixed(1)} ms per keypad`
+        ].join(', '));
+        if (report.wrongClicks > 0 || accuracy < Number(options['min-accuracy'])) failed = true;
+    }
+    return failed ? 1 : 0;
+}
+
+/**
+ * Recognize keypads of a scale, and click a random password on each one
+ * A keypad is recognized when its digits are the ground truth, a refused keypad is a keypad whose clicks were refused
+ * with KEYPAD.RECOGNITION_UNCERTAIN, a wrong click is a click which doesn't land on the requested digit
+ * @param {KeypadGenerator} generator
+ * @param {number} count
+ * @param {Object} options - See KeypadGenerator.generate
+ * @return {Promise<{recognized: number, corrected: number, refused: number, wrongClicks: number, lowestConfidence: number, averageTime: number}>}
+ */
+async function runScale(generator, count, options) {
+    const report = {recognized: 0, corrected: 0, refused: 0, wrongClicks: 0, lowestConfidence: 1, averageTime: 0};
+    let totalTime = 0;
+
+    for (const i of Util.range(count)) {
+        const {image, digits} = await generator.generate(options);
+        const passwordKeypad = new PasswordKeypad(image);
+
+        const start = process.hrtime.bigint();
+        const recognition = await passwordKeypad.recognize();
+        totalTime += Number(process.hrtime.bigint() - start) / 1e6;
+
+        if (recognition.digits.join('') === digits.join('')) report.recognized++;
+        if (recognition.corrected) report.corrected++;
+        report.lowestConfidence = Math.min(report.lowestConfidence, ...recognition.confidences);
+
+        // Like ING, 3 random positions of a 6 digits password are requested
+        const password = Util.range(6).map(() => Math.floor(generator.random() * 10)).join('');
+        const pinPositions = generator.shuffleDigits().filter(digit => digit >= 1 && digit <= 6).slice(0, 3);
+        try {
+            const clickPositions = await passwordKeypad.getClicksPositions(pinPositions, password);
+            clickPositions.forEach(([x, y], click) => {
+                const cellIndex = passwordKeypad.getCellIndex(x, y, recognition.scale);
+                if (cellIndex === -1 || String(digits[cellIndex]) !== password[pinPositions[click] - 1]) {
+                    report.wrongClicks++;
+                    console.error(`Keypad ${i + 1} : wrong click for the password position ${pinPositions[click]}`);
+                }
+            });
+        } catch (e) {
+            if (e.code !== 'KEYPAD.RECOGNITION_UNCERTAIN') throw e;
+            report.refused++;
+        }
+    }
+
+    report.averageTime = totalTime / count;
+    return report;
+}
+
+module.exports = {runScale};
@@ -13,8 +13,9 @@ async function main() {
     const customerId = process.env.CUSTOMER_ID; // e.g. 0123456789
     const birthdate = process.env.BIRTHDATE; // e.g. 01011970 (DDMMYYYY format)
     const password = process.env.PASSWORD; // e.g. 123456
+    const baseUrl = process.env.ING_BASE_URL; // e.g. http://127.0.0.1:8081 to use the MockIngServer
 
-    const ingApi = new IngApi(customerId, birthdate, password);
+    const ingApi = new IngApi(customerId, birthdate, password, {baseUrl});
     await ingApi.connect();
 
     const accounts = await ingApi.getAccounts();
@@ -0,0 +1,69 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const CookieJar = require('../CookieJar');
+
+describe('CookieJar', () => {
+    it('sends the cookies back to their host and path', () => {
+        const jar = new CookieJar();
+        jar.setCookies(['JSESSIONID=abc; Path=/; HttpOnly', 'LOGIN=1; Path=/secure'], 'https://m.ing.fr/login');
+
+        assert.equal(jar.getCookieHeader('https://m.ing.fr/secure/accounts'), 'LOGIN=1; JSESSIONID=abc');
+        assert.equal(jar.getCookieHeader('https://m.ing.fr/securebis'), 'JSESSIONID=abc');
+        assert.equal(jar.getCookieHeader('https://other.ing.fr/'), null);
+    });
+
+    it('replaces the cookies with the same name, domain and path', () => {
+        const jar = new CookieJar();
+        jar.setCookie('A=1; Path=/', 'https://m.ing.fr/');
+        jar.setCookie('A=2; Path=/', 'https://m.ing.fr/');
+        jar.setCookie('A=3; Path=/secure', 'https://m.ing.fr/');
+
+        assert.equal(jar.cookies.length, 2);
+        assert.equal(jar.getCookieHeader('https://m.ing.fr/'), 'A=2');
+    });
+
+    it('shares the domain cookies with the subdomains only', () => {
+        const jar = new CookieJar();
+        jar.setCookie('A=1; Domain=.ing.fr', 'https://m.ing.fr/');
+        jar.setCookie('B=1; Domain=example.com', 'https://m.ing.fr/');
+
+        assert.equal(jar.getCookieHeader('https://api.ing.fr/'), 'A=1');
+        assert.equal(jar.getCookieHeader('https://example.com/'), null);
+        assert.equal(jar.getCookieHeader('https://notming.fr/'), null);
+    });
+
+    it('deletes the expired cookies', () => {
+        const jar = new CookieJar();
+        jar.setCookie('A=1', 'https://m.ing.fr/');
+        jar.setCookie('A=; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'https://m.ing.fr/');
+        jar.setCookie('B=1; Max-Age=0', 'https://m.ing.fr/');
+
+        assert.equal(jar.getCookieHeader('https://m.ing.fr/'), null);
+    });
+
+    it('keeps the secure cookies to https', () => {
+        const jar = new CookieJar();
+        jar.setCookie('A=1; Secure', 'https://localhost/');
+
+        assert.equal(jar.getCookieHeader('http://localhost/'), null);
+        assert.equal(jar.getCookieHeader('https://localhost/'), 'A=1');
+    });
+
+    it('is restored from its serialized form', () => {
+        const jar = new CookieJar();
+        jar.setCookie('A=1; Max-Age=3600', 'https://m.ing.fr/');
+        const restored = CookieJar.fromJSON(JSON.parse(JSON.stringify(jar)));
+
+        assert.equal(restored.getCookieHeader('https://m.ing.fr/'), 'A=1');
+    });
+
+    it('matches the paths on a segment boundary', () => {
+        assert.equal(CookieJar.pathMatch('/secure/accounts', '/secure'), true);
+        assert.equal(CookieJar.pathMatch('/secure/accounts', '/secure/'), true);
+        assert.equal(CookieJar.pathMatch('/securebis', '/secure'), false);
+        assert.equal(CookieJar.defaultPath('/secure/login'), '/secure');
+        assert.equal(CookieJar.defaultPath('/login'), '/');
+    });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const CustomerRegistry = require('../CustomerRegistry');
+const TransferPolicy = require('../TransferPolicy');
+
+describe('CustomerRegistry', () => {
+    it('gives each customer its own copy of the transfer policy', async () => {
+        const registry = new CustomerRegistry({transferPolicy: new TransferPolicy({dailyLimit: 100})});
+        const household = registry.add({customerId: '0123456789', birthdate: '01011970', password: '123456'});
+        const company = registry.add({customerId: '9876543210', birthdate: '02021980', password: '654321'});
+
+        assert.notEqual(household.transferPolicy, company.transferPolicy);
+        assert.equal(company.transferPolicy.dailyLimit, 100);
+
+        const transfer = {fromAccount: '0000000001', toAccount: 'EXT0000001', amount: 80};
+        assert.equal((await household.transferPolicy.checkTransfer(household, transfer, new Date(), {reserve: true})).allowed, true);
+        assert.equal((await household.transferPolicy.checkTransfer(household, transfer)).allowed, false);
+        assert.equal((await company.transferPolicy.checkTransfer(company, transfer)).allowed, true);
+    });
+
+    it('refuses the unknown and the duplicated customers', () => {
+        const registry = new CustomerRegistry();
+        registry.add({customerId: '0123456789', birthdate: '01011970', password: '123456'});
+
+        assert.throws(() => registry.add({customerId: '0123456789', birthdate: '01011970', password: '123456'}), /already registered/);
+        assert.throws(() => registry.get('9876543210'), {code: 'REQUEST.NOT_FOUND'});
+    });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const {once} = require('events');
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const IngApi = require('../IngApi');
+const MockIngServer = require('../MockIngServer');
+const {EventMonitor} = require('../EventMonitor');
+
+describe('EventMonitor', () => {
+    let server, ingApi;
+
+    before(async () => {
+        server = new MockIngServer();
+        const baseUrl = await server.start(0);
+        ingApi = new IngApi('0123456789', '01011970', '123456', {baseUrl});
+        await ingApi.connect();
+    });
+
+    after(() => server.stop());
+
+    it('keeps polling when a listener throws', async () => {
+        const monitor = new EventMonitor(ingApi, {interval: 10, balanceThresholds: {'0000000001': 1000000}});
+        let emitted = 0;
+        monitor.on('balance.below', () => {
+            emitted++;
+            throw new Error('Listener failure');
+        });
+
+        monitor.start();
+        const [error] = await once(monitor, 'pollError');
+        assert.equal(error.message, 'Listener failure');
+
+        // The balance stays below its threshold : the next polls don't emit it again, but they run
+        const originalPoll = monitor.poll.bind(monitor);
+        const nextPoll = new Promise(resolve => monitor.poll = () => originalPoll().finally(resolve));
+        await nextPoll;
+        monitor.stop();
+        assert.equal(emitted, 1);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const IbanValidator = require('../IbanValidator');
+
+const rules = result => result.errors.map(error => error.rule);
+
+describe('IbanValidator', () => {
+    it('accepts valid IBANs of the registry countries', () => {
+        for (const iban of ['FR76 3043 8000 0100 0000 0000 116', 'DE89370400440532013000', 'gb82 west 1234 5698 7654 32', 'BE68539007547034', 'MC5811222000010123456789030']) {
+            assert.deepEqual(IbanValidator.validateIban(iban).errors, [], iban);
+        }
+    });
+
+    it('normalizes the IBANs', () => {
+        const result = IbanValidator.validateIban('fr76 3043 8000 0100 0000 0000 116');
+        assert.equal(result.iban, 'FR7630438000010000000000116');
+        assert.equal(result.country, 'FR');
+    });
+
+    it('reports the broken rule', () => {
+        assert.deepEqual(rules(IbanValidator.validateIban('FR763043800001000000000011')), ['length']);
+        assert.deepEqual(rules(IbanValidator.validateIban('DE8937040044053201300A')), ['structure']);
+        assert.deepEqual(rules(IbanValidator.validateIban('DE88370400440532013000')), ['checksum']);
+        assert.deepEqual(rules(IbanValidator.validateIban('1234')), ['country']);
+    });
+
+    it('checks the RIB key of the French IBANs', () => {
+        assert.equal(IbanValidator.computeRibKey('30438', '00001', '00000000001'), '16');
+        // Valid check digits computed on a wrong RIB key
+        assert.deepEqual(rules(IbanValidator.validateIban('FR4930438000010000000000117')), ['ribKey']);
+        assert.deepEqual(IbanValidator.splitFrenchIban('FR7630438000010000000000116'), {bankCode: '30438', counterCode: '00001', accountNumber: '00000000001', ribKey: '16'});
+        assert.equal(IbanValidator.splitFrenchIban('DE89370400440532013000'), null);
+    });
+
+    it('only checks the checksum of the countries missing from the registry', () => {
+        assert.equal(IbanValidator.getIbanLength('ZZ'), null);
+        assert.deepEqual(rules(IbanValidator.validateIban('ZZ56ABCDEFGHIJK')), ['checksum']);
+    });
+
+    it('validates the BIC format', () => {
+        assert.equal(IbanValidator.validateBic('INGBFR21').valid, true);
+        assert.equal(IbanValidator.validateBic('ingb fr 21 xxx').bic, 'INGBFR21XXX');
+        assert.equal(IbanValidator.validateBic('INGB21').valid, false);
+    });
+
+    it('checks a bank record against its IBAN', () => {
+        const bankRecord = {iban: 'FR7630438000010000000000116', bic: 'INGBFR21XXX', bankCode: '30438', counterCode: '00001', accountNumber: '00000000001', ribKey: '16'};
+
+        assert.deepEqual(IbanValidator.validateBankRecord(bankRecord), {valid: true, errors: []});
+        assert.deepEqual(rules(IbanValidator.validateBankRecord({...bankRecord, counterCode: '00002'})), ['ribKey']);
+        assert.deepEqual(rules(IbanValidator.validateBankRecord({...bankRecord, bic: 'ING'})), ['format']);
+    });
+
+    it('throws on an invalid BIC', () => {
+        assert.equal(IbanValidator.checkBic('ingb fr 21'), 'INGBFR21');
+        assert.throws(() => IbanValidator.checkBic('INGB-FR21'), {code: 'EXTERNAL_ACCOUNT.BIC_BAD_FORMAT'});
+    });
+
+    it('throws on an invalid IBAN with the ING error code', () => {
+        assert.equal(IbanValidator.checkIban('de89 3704 0044 0532 0130 00'), 'DE89370400440532013000');
+        assert.throws(() => IbanValidator.checkIban('DE88370400440532013000'), {code: 'EXTERNAL_ACCOUNT.IBAN_BAD_FORMAT'});
+    });
+});
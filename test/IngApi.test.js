@@ -0,0 +1,111 @@
+'use strict';
+
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const IngApi = require('../IngApi');
+const MockIngServer = require('../MockIngServer');
+
+describe('IngApi against MockIngServer', () => {
+    let server, ingApi;
+
+    before(async () => {
+        server = new MockIngServer();
+        const baseUrl = await server.start(0);
+        ingApi = new IngApi('0123456789', '01011970', '123456', {baseUrl});
+        await ingApi.connect();
+    });
+
+    after(() => server.stop());
+
+    it('makes a transfer confirmed with the one time password', async () => {
+        const balance = (await ingApi.getAccountById('0000000001')).ledgerBalance;
+
+        const operation = await ingApi.makeTransfer('0000000001', 'EXT0000001', 12.5, 'Test');
+        assert.equal(operation.status, 'PENDING');
+        assert.equal(operation.payload.amount, 12.5);
+
+        await ingApi.confirmOneTimePassword(operation.id, server.getLastOneTimePassword());
+
+        assert.equal(ingApi.pendingOperations.get(operation.id).status, 'CONFIRMED');
+        assert.equal(server.executedTransfers.length, 1);
+        assert.equal((await ingApi.getAccountById('0000000001')).ledgerBalance, Math.round((balance - 12.5) * 100) / 100);
+    });
+
+    it('refuses a wrong one time password and keeps the operation pending', async () => {
+        const operation = await ingApi.makeTransfer('0000000001', 'EXT0000001', 5, 'Wrong code');
+
+        await assert.rejects(ingApi.confirmOneTimePassword(operation.id, '000000'), {code: 'SCA.INVALID_OTP'});
+        assert.equal(ingApi.pendingOperations.get(operation.id).status, 'PENDING');
+
+        await ingApi.confirmOneTimePassword(operation.id, server.getLastOneTimePassword());
+        assert.equal(ingApi.pendingOperations.get(operation.id).status, 'CONFIRMED');
+    });
+
+    it('refuses a second confirmation or a cancel while the first confirmation is in progress', async () => {
+        const operation = await ingApi.makeTransfer('0000000001', 'EXT0000001', 2, 'Double submit');
+        const oneTimePassword = server.getLastOneTimePassword();
+
+        const confirmation = ingApi.confirmOneTimePassword(operation.id, oneTimePassword);
+        assert.equal(ingApi.pendingOperations.get(operation.id).status, 'CONFIRMING');
+        await assert.rejects(ingApi.confirmOneTimePassword(operation.id, oneTimePassword), {code: 'OPERATION.NOT_PENDING'});
+        assert.throws(() => ingApi.cancelOperation(operation.id), {code: 'OPERATION.NOT_PENDING'});
+
+        await confirmation;
+        assert.equal(ingApi.pendingOperations.get(operation.id).status, 'CONFIRMED');
+    });
+
+    it('refuses a beneficiary of the same holder and bank as an existing one before the 2FA', async () => {
+        server.fixtures.beneficiaries.push({uid: 'EXT0000099', label: 'Paul Martin', owner: 'M PAUL MARTIN', type: {code: 'EXTERNAL', label: 'Compte externe'}, bankName: 'BANQUE EXTERNE', bic: 'BEXTFRPP'});
+        const operations = ingApi.getOperations().length;
+
+        await assert.rejects(ingApi.addNewBeneficiary('Paul Martin', 'FR7630006000011234567890189'), {
+            code: 'EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS',
+            values: {accountNumber: 'FR7630006000011234567890189', beneficiaryId: 'EXT0000099', matchedOn: ['accountHolderName', 'bic']}
+        });
+        assert.equal(ingApi.getOperations().length, operations);
+
+        const operation = await ingApi.addNewBeneficiary('Paul Martin', 'FR7630006000011234567890189', {allowSameHolder: true});
+        assert.equal(operation.status, 'PENDING');
+        ingApi.cancelOperation(operation.id);
+    });
+
+    it('refuses an international beneficiary with the account number of an existing one', async () => {
+        const beneficiary = {
+            accountHolderName: 'Jane Smith',
+            accountNumber: '000 123 456 789',
+            bic: 'CHASUS33XXX',
+            bankName: 'JPMorgan Chase Bank',
+            bankAddress: {address1: '383 Madison Avenue', city: 'New York', country: 'US'},
+            currency: 'USD'
+        };
+
+        await assert.rejects(ingApi.addNewInternationalBeneficiary(beneficiary), {code: 'EXTERNAL_ACCOUNT.EXTERNAL_ACCOUNT_ALREADY_EXISTS', values: {accountNumber: '000123456789', beneficiaryId: 'EXT0000003', matchedOn: ['accountNumber']}});
+    });
+
+    it('logs the session refresh with its logger', async () => {
+        const logs = [];
+        const loggedIngApi = new IngApi('0123456789', '01011970', '123456', {baseUrl: ingApi.baseUrl, logger: {log: message => logs.push(message), warn: () => null}});
+
+        assert.equal((await loggedIngApi.refreshSession()).authenticated, true);
+        assert.deepEqual(logs, ['Connection recovered with loginWithCustomerIdAndBirthdate']);
+    });
+
+    it('normalizes the SEPA creditor identifiers', () => {
+        assert.equal(ingApi.normalizeCreditorId('fr21 zzz 123456'), 'FR21ZZZ123456');
+        assert.throws(() => ingApi.normalizeCreditorId('21ZZZ'), {code: 'DIRECT_DEBIT.INVALID_CREDITOR_ID'});
+    });
+
+    it('lists the invalid fields of an international beneficiary', () => {
+        assert.throws(() => ingApi.normalizeInternationalBeneficiary({accountHolderName: 'Jane Smith', accountNumber: '000123456789', bic: 'CHASUS33XXX', currency: 'USD'}), {
+            code: 'EXTERNAL_ACCOUNT.INVALID_BENEFICIARY',
+            values: {fields: ['bankName', 'bankAddress']}
+        });
+    });
+
+    it('confirms the transfer with a oneTimePasswordProvider', async () => {
+        const operation = await ingApi.makeTransfer('0000000001', 'EXT0000001', 1, 'Provider', '', {
+            oneTimePasswordProvider: async () => server.getLastOneTimePassword()
+        });
+        assert.equal(operation.status, 'CONFIRMED');
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const CustomerRegistry = require('../CustomerRegistry');
+const IngApiRouter = require('../IngApiRouter');
+const ApiKeyAuthenticator = require('../ApiKeyAuthenticator');
+
+describe('IngApiRouter', () => {
+    let server, baseUrl, ingApi;
+    let refreshes = 0;
+
+    before(async () => {
+        const registry = new CustomerRegistry();
+        ingApi = registry.add({customerId: '0123456789', birthdate: '01011970', password: '123456'});
+        registry.add({customerId: '9876543210', birthdate: '02021980', password: '654321'});
+        registry.setDefault('0123456789');
+        ingApi.refreshSession = async () => refreshes++;
+        ingApi.getAccounts = async () => ({accounts: []});
+
+        const authenticator = new ApiKeyAuthenticator([{name: 'reader', key: 'reader-key', scopes: ['read'], customers: ['0123456789']}]);
+        const app = express();
+        app.use(express.json());
+        app.use(authenticator.middleware());
+        app.use(IngApiRouter.createForRegistry(registry, {authenticator}));
+        app.use(IngApiRouter.notFoundHandler);
+        app.use(IngApiRouter.errorHandler);
+
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    const request = (method, path) => fetch(`${baseUrl}${path}`, {method, headers: {Authorization: 'Bearer reader-key'}});
+
+    it('refreshes the session before the routes of a customer', async () => {
+        const response = await request('GET', '/customers/0123456789/accounts');
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), {accounts: []});
+        assert.equal(refreshes, 1);
+    });
+
+    it('answers the unknown, forbidden and out of scope requests without refreshing the session', async () => {
+        refreshes = 0;
+        assert.equal((await request('GET', '/customers/0123456789/unknown')).status, 404);
+        assert.equal((await request('GET', '/unknown')).status, 404);
+        assert.equal((await request('GET', '/customers/9876543210/accounts')).status, 403);
+        assert.equal((await request('DELETE', '/customers/0123456789/beneficiaries/EXT0000001')).status, 403);
+        assert.equal(refreshes, 0);
+    });
+});
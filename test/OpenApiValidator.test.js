@@ -0,0 +1,45 @@
+'use strict';
+
+const path = require('path');
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const OpenApiValidator = require('../OpenApiValidator');
+
+const locations = errors => errors.map(error => error.location);
+
+describe('OpenApiValidator', () => {
+    const ingValidator = new OpenApiValidator(path.join(__dirname, '..', 'openapi.yaml'));
+    const serverValidator = new OpenApiValidator(path.join(__dirname, '..', 'openapi-server.yaml'));
+
+    it('finds the operations and their path parameters', () => {
+        const found = ingValidator.findOperation('get', '/accounts/0000000001/bankRecord?x=1');
+        assert.deepEqual(found.pathParameters, {accountId: '0000000001'});
+        assert.equal(ingValidator.findOperation('delete', 'accounts/0000000001/bankRecord'), null);
+    });
+
+    it('validates the responses', () => {
+        const bankRecord = {iban: 'FR7630438000010000000000116', bic: 'INGBFR21XXX'};
+
+        assert.deepEqual(ingValidator.validateResponse('GET', 'accounts/0000000001/bankRecord', 200, bankRecord), []);
+        assert.deepEqual(locations(ingValidator.validateResponse('GET', 'accounts/0000000001/bankRecord', 200, {iban: 12})), ['response.bic', 'response.iban']);
+        assert.deepEqual(locations(ingValidator.validateResponse('GET', 'unknown', 200, {})), ['response']);
+    });
+
+    it('validates the request bodies', () => {
+        assert.deepEqual(serverValidator.validateRequest({method: 'POST', path: '/accounts/0000000001/transfers', body: {beneficiaryId: 'EXT0000001', amount: 10}}), []);
+        assert.deepEqual(locations(serverValidator.validateRequest({method: 'POST', path: '/accounts/0000000001/transfers', body: {beneficiaryId: 'EXT0000001', amount: 0}})), ['body.amount']);
+        assert.deepEqual(locations(serverValidator.validateRequest({method: 'POST', path: '/accounts/0000000001/transfers', body: {}})), ['body.beneficiaryId', 'body.amount']);
+    });
+
+    it('does not validate the requests on undocumented paths', () => {
+        assert.deepEqual(serverValidator.validateRequest({method: 'GET', path: '/unknown'}), []);
+    });
+
+    it('answers the invalid requests with REQUEST.VALIDATION_FAILED', () => {
+        const middleware = serverValidator.middleware();
+        let error;
+        middleware({method: 'POST', path: '/accounts/0000000001/transfers', query: {}, body: {amount: 10}}, null, e => error = e);
+        assert.equal(error.code, 'REQUEST.VALIDATION_FAILED');
+        assert.deepEqual(locations(error.values.errors), ['body.beneficiaryId']);
+    });
+});
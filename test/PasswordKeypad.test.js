@@ -0,0 +1,32 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordKeypad = require('../PasswordKeypad');
+const KeypadGenerator = require('../KeypadGenerator');
+const {runScale} = require('../keypadRegression');
+
+// Keypads captured from ING, named after their digits in keypad order, e.g. 4702193856.png
+const capturesDirectory = path.join(__dirname, 'keypads');
+const captures = fs.existsSync(capturesDirectory) ? fs.readdirSync(capturesDirectory).filter(file => /^\d{10}\.png$/.test(file)) : [];
+
+describe('PasswordKeypad', () => {
+    it('recognizes the generated keypads of both scales and clicks the right digits', async () => {
+        const generator = new KeypadGenerator({seed: 42});
+
+        for (const [scale, count] of [[1, 10], [5, 2]]) {
+            const report = await runScale(generator, count, {scale, noise: 0.1, jpegQuality: 40});
+            assert.equal(report.recognized, count, `scale ${scale}`);
+            assert.equal(report.wrongClicks, 0, `scale ${scale}`);
+        }
+    });
+
+    it('recognizes the keypads captured from ING', {skip: !captures.length && 'no captured keypad in test/keypads'}, async () => {
+        for (const file of captures) {
+            const recognition = await new PasswordKeypad(fs.readFileSync(path.join(capturesDirectory, file))).recognize();
+            assert.equal(recognition.digits.join(''), path.basename(file, '.png'), file);
+        }
+    });
+});
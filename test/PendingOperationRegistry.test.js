@@ -0,0 +1,80 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const PendingOperationRegistry = require('../PendingOperationRegistry');
+
+const {Status} = PendingOperationRegistry;
+
+describe('PendingOperationRegistry', () => {
+    it('creates pending operations and finds them by id', () => {
+        const registry = new PendingOperationRegistry();
+        const operation = registry.create('EXTERNAL_TRANSFER', {amount: 10}, {channel: 'SMS'});
+
+        assert.equal(operation.status, Status.PENDING);
+        assert.equal(operation.channel, 'SMS');
+        assert.equal(registry.getPending(operation.id), operation);
+        assert.throws(() => registry.get('unknown'), {code: 'OPERATION.NOT_FOUND'});
+    });
+
+    it('refuses the operations which are not pending anymore', () => {
+        const registry = new PendingOperationRegistry();
+        const operation = registry.create('EXTERNAL_TRANSFER');
+
+        registry.cancel(operation.id);
+        assert.equal(operation.status, Status.CANCELLED);
+        assert.throws(() => registry.getPending(operation.id), {code: 'OPERATION.NOT_PENDING'});
+        assert.throws(() => registry.cancel(operation.id), {code: 'OPERATION.NOT_PENDING'});
+    });
+
+    it('expires the operations past their ttl', () => {
+        const registry = new PendingOperationRegistry({ttl: -1});
+        const operation = registry.create('EXTERNAL_TRANSFER');
+
+        assert.throws(() => registry.getPending(operation.id), {code: 'OPERATION.EXPIRED'});
+        assert.equal(registry.get(operation.id).status, Status.EXPIRED);
+    });
+
+    it('supersedes the pending operations of every type', () => {
+        const registry = new PendingOperationRegistry();
+        const first = registry.create('EXTERNAL_TRANSFER');
+        const confirmed = registry.create('ADD_TRANSFER_BENEFICIARY');
+        registry.setStatus(confirmed.id, Status.CONFIRMED);
+
+        assert.deepEqual(registry.supersede('REJECT_DIRECT_DEBIT').map(operation => operation.id), [first.id]);
+        assert.equal(first.status, Status.SUPERSEDED);
+        assert.equal(first.supersededBy, 'REJECT_DIRECT_DEBIT');
+        assert.equal(confirmed.status, Status.CONFIRMED);
+    });
+
+    it('only changes the status of an operation still in the expected status', () => {
+        const registry = new PendingOperationRegistry();
+        const operation = registry.create('EXTERNAL_TRANSFER');
+
+        assert.equal(registry.transition(operation.id, Status.CONFIRMING, Status.CONFIRMED), false);
+        assert.equal(operation.status, Status.PENDING);
+        assert.equal(registry.transition(operation.id, Status.PENDING, Status.CONFIRMING), true);
+        assert.equal(operation.status, Status.CONFIRMING);
+    });
+
+    it('lists the operations filtered by status and type', () => {
+        const registry = new PendingOperationRegistry();
+        const transfer = registry.create('EXTERNAL_TRANSFER');
+        const beneficiary = registry.create('ADD_TRANSFER_BENEFICIARY');
+        registry.cancel(beneficiary.id);
+
+        assert.deepEqual(registry.list({status: Status.PENDING}), [transfer]);
+        assert.deepEqual(registry.list({type: 'ADD_TRANSFER_BENEFICIARY'}), [beneficiary]);
+        assert.equal(registry.list().length, 2);
+    });
+
+    it('prunes the finished operations after the retention time', () => {
+        const registry = new PendingOperationRegistry({retention: -1});
+        const finished = registry.create('EXTERNAL_TRANSFER');
+        registry.cancel(finished.id);
+        const pending = registry.create('EXTERNAL_TRANSFER');
+
+        assert.throws(() => registry.get(finished.id), {code: 'OPERATION.NOT_FOUND'});
+        assert.equal(registry.get(pending.id), pending);
+    });
+});
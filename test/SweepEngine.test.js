@@ -0,0 +1,62 @@
+'use strict';
+
+const {describe, it, beforeEach, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const IngApi = require('../IngApi');
+const MockIngServer = require('../MockIngServer');
+const {SweepEngine, CronSchedule, SweepStatus} = require('../SweepEngine');
+
+const rules = [
+    {id: 'savings', type: 'sweep', schedule: '0 8 * * *', from: '0000000001', to: '0000000002', keep: 2000},
+    {id: 'checking', type: 'sweep', schedule: '0 8 * * *', from: '0000000002', to: '0000000001', keep: 12400}
+];
+
+describe('SweepEngine', () => {
+    let server, ingApi;
+    const now = new Date('2024-01-08T08:30:00Z');
+
+    beforeEach(async () => {
+        server = new MockIngServer();
+        const baseUrl = await server.start(0);
+        ingApi = new IngApi('0123456789', '01011970', '123456', {baseUrl});
+        await ingApi.connect();
+    });
+
+    afterEach(() => server.stop());
+
+    it('defers the rules while a transfer waits for its one time password', async () => {
+        const engine = new SweepEngine(ingApi, rules);
+
+        const [savings, checking] = await engine.run(now);
+        assert.equal(savings.operation.status, 'PENDING');
+        assert.equal(savings.operation.payload.amount, 451.37);
+        assert.equal(checking.preview.status, SweepStatus.DEFERRED);
+        assert.equal(engine.state.checking, undefined);
+
+        await ingApi.confirmOneTimePassword(savings.operation.id, server.getLastOneTimePassword());
+
+        const [deferred] = await engine.run(now);
+        assert.equal(deferred.preview.ruleId, 'checking');
+        assert.equal(deferred.operation.status, 'PENDING');
+        await ingApi.confirmOneTimePassword(deferred.operation.id, server.getLastOneTimePassword());
+
+        assert.deepEqual(server.executedTransfers.map(transfer => transfer.amount), [451.37, 91.59]);
+        assert.deepEqual(await engine.run(now), []);
+    });
+
+    it('starts every transfer in the same run with a oneTimePasswordProvider', async () => {
+        const engine = new SweepEngine(ingApi, rules, {oneTimePasswordProvider: async () => server.getLastOneTimePassword()});
+
+        const results = await engine.run(now);
+        assert.deepEqual(results.map(result => result.operation.status), ['CONFIRMED', 'CONFIRMED']);
+        assert.equal(server.executedTransfers.length, 2);
+    });
+
+    it('finds the occurrences of a cron schedule in its time zone', () => {
+        const schedule = new CronSchedule('0 8 1 * *', {timeZone: 'Europe/Paris'});
+
+        assert.equal(schedule.next(now).toISOString(), '2024-02-01T07:00:00.000Z');
+        assert.equal(schedule.previous(now, new Date('2023-01-01')).toISOString(), '2024-01-01T07:00:00.000Z');
+        assert.throws(() => new CronSchedule('0 8 * *'), /5 fields are expected/);
+    });
+});
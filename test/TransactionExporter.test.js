@@ -0,0 +1,27 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const TransactionExporter = require('../TransactionExporter');
+
+const statement = {
+    account: {type: 'CA'},
+    transactions: [
+        {id: '1', date: '2024-01-05', valueDate: '2024-01-05', amount: -12.5, description: 'PRLV SEPA EDF\r\nECHEANCE JANVIER\nREF 42', type: 'DIRECT_DEBIT', pending: false},
+        {id: '2', date: '2024-01-06', valueDate: '2024-01-06', amount: -3, description: 'CARTE BOULANGERIE', type: 'CARD', pending: true}
+    ]
+};
+
+describe('TransactionExporter', () => {
+    it('writes each QIF transaction on its own lines, without the pending ones', () => {
+        assert.equal(TransactionExporter.toQif(statement), [
+            '!Type:Bank',
+            'D05/01/2024',
+            'T-12.50',
+            'PPRLV SEPA EDF ECHEANCE JANVIER REF 42',
+            'N1',
+            '^',
+            ''
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const IngApi = require('../IngApi');
+const MockIngServer = require('../MockIngServer');
+const TransactionStore = require('../TransactionStore');
+
+describe('TransactionStore', () => {
+    let server, ingApi, directory;
+
+    before(async () => {
+        server = new MockIngServer({transactionsHistoryDays: 100000});
+        const baseUrl = await server.start(0);
+        ingApi = new IngApi('0123456789', '01011970', '123456', {baseUrl});
+        await ingApi.connect();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-store-'));
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it('stores the transactions and only appends the new ones', async () => {
+        const filePath = path.join(directory, 'sync.jsonl');
+        const store = new TransactionStore(ingApi, filePath);
+
+        const [first] = await store.sync();
+        assert.equal(first.accountId, '0000000001');
+        assert.equal(first.newTransactions, server.fixtures.transactions['0000000001'].length);
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').length;
+        const [second] = await store.sync();
+        assert.equal(second.newTransactions, 0);
+        assert.equal(fs.readFileSync(filePath, 'utf8').split('\n').length, lines);
+    });
+
+    it('reloads the stored transactions from its file', async () => {
+        const filePath = path.join(directory, 'reload.jsonl');
+        await new TransactionStore(ingApi, filePath).sync();
+
+        const reloaded = new TransactionStore(ingApi, filePath);
+        const transactions = await reloaded.getTransactions('0000000001');
+        assert.equal(transactions.length, server.fixtures.transactions['0000000001'].length);
+        assert.ok(transactions.every((transaction, i) => i === 0 || TransactionStore.compareTransactions(transactions[i - 1], transaction) <= 0));
+    });
+
+    it('cuts a last line truncated by a crash before appending', async () => {
+        const filePath = path.join(directory, 'truncated.jsonl');
+        const record = {type: 'transaction', accountId: '0000000001', firstSeenAt: '2024-01-01T00:00:00.000Z', data: {id: '1', effectiveDate: '2024-01-01'}};
+        fs.writeFileSync(filePath, JSON.stringify(record) + '\n{"type":"transaction","accountId":"00000');
+
+        const store = new TransactionStore(ingApi, filePath);
+        await store.load();
+        assert.equal(fs.readFileSync(filePath, 'utf8'), JSON.stringify(record) + '\n');
+
+        await store.append([{...record, data: {id: '2', effectiveDate: '2024-01-02'}}]);
+        const reloaded = new TransactionStore(ingApi, filePath);
+        assert.deepEqual((await reloaded.getTransactions('0000000001')).map(transaction => transaction.id), ['2', '1']);
+    });
+
+    it('ends a last record written without its newline', async () => {
+        const filePath = path.join(directory, 'newline.jsonl');
+        const record = {type: 'transaction', accountId: '0000000001', firstSeenAt: '2024-01-01T00:00:00.000Z', data: {id: '1', effectiveDate: '2024-01-01'}};
+        fs.writeFileSync(filePath, JSON.stringify(record));
+
+        const store = new TransactionStore(ingApi, filePath);
+        assert.equal((await store.getTransactions('0000000001')).length, 1);
+        await store.append([{...record, data: {id: '2', effectiveDate: '2024-01-02'}}]);
+
+        assert.equal((await new TransactionStore(ingApi, filePath).getTransactions('0000000001')).length, 2);
+    });
+
+    it('refuses a store corrupted before its last line', async () => {
+        const filePath = path.join(directory, 'corrupted.jsonl');
+        fs.writeFileSync(filePath, '{"type":\n{"type":"transaction","accountId":"1","data":{"id":"1"}}\n');
+
+        await assert.rejects(new TransactionStore(ingApi, filePath).load(), /Corrupted transaction store .* at line 1/);
+    });
+});
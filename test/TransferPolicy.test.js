@@ -0,0 +1,104 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const TransferPolicy = require('../TransferPolicy');
+const PendingOperationRegistry = require('../PendingOperationRegistry');
+
+/**
+ * Returns the parts of IngApi used by the policy, with its own operation registry
+ * @return {{SensitiveOperationAction: Object, pendingOperations: PendingOperationRegistry, getOperations: function, getAccounts: function}}
+ */
+function fakeIngApi() {
+    const pendingOperations = new PendingOperationRegistry();
+    return {
+        SensitiveOperationAction: {EXTERNAL_TRANSFER: 'EXTERNAL_TRANSFER', INTERNATIONAL_TRANSFER: 'INTERNATIONAL_TRANSFER'},
+        pendingOperations,
+        getOperations: () => pendingOperations.list(),
+        getAccounts: async () => ({accounts: [{uid: '0000000002'}]})
+    };
+}
+
+const rules = verdict => verdict.violations.map(violation => violation.rule);
+
+describe('TransferPolicy', () => {
+    it('checks the amounts', () => {
+        TransferPolicy.checkAmount(12.34);
+        for (const amount of [0, -5, 1.234, NaN, '10']) {
+            assert.throws(() => TransferPolicy.checkAmount(amount), {code: 'POLICY.INVALID_AMOUNT'});
+        }
+    });
+
+    it('refuses the beneficiaries given by IBAN', () => {
+        assert.throws(() => new TransferPolicy({allowedBeneficiaries: ['FR76 3000 6000 0112 3456 7890 189']}), /given by id/);
+    });
+
+    it('lists every broken rule', async () => {
+        const policy = new TransferPolicy({maxAmount: 100, beneficiaryLimits: {EXT0000002: 50}, allowedBeneficiaries: ['EXT0000001']});
+        const ingApi = fakeIngApi();
+
+        assert.deepEqual(await policy.checkTransfer(ingApi, {fromAccount: '0000000001', toAccount: 'EXT0000001', amount: 100}), {allowed: true, violations: []});
+        assert.deepEqual(rules(await policy.checkTransfer(ingApi, {fromAccount: '0000000001', toAccount: 'EXT0000002', amount: 150})), ['maxAmount', 'beneficiaryLimit', 'allowedBeneficiaries']);
+        assert.equal((await policy.checkTransfer(ingApi, {fromAccount: '0000000001', toAccount: '0000000002', amount: 10})).allowed, true);
+    });
+
+    it('counts the pending and confirmed transfers of the day in the daily limit', async () => {
+        const policy = new TransferPolicy({dailyLimit: 100});
+        const ingApi = fakeIngApi();
+        const transfer = {fromAccount: '0000000001', toAccount: 'EXT0000001', amount: 40};
+
+        ingApi.pendingOperations.create('EXTERNAL_TRANSFER', {amount: 40});
+        const cancelled = ingApi.pendingOperations.create('EXTERNAL_TRANSFER', {amount: 40});
+        ingApi.pendingOperations.cancel(cancelled.id);
+        ingApi.pendingOperations.create('INTERNATIONAL_TRANSFER', {totalDebitAmount: 30});
+
+        assert.equal(policy.getDailyTotal(ingApi, new Date()), 70);
+        assert.deepEqual(rules(await policy.checkTransfer(ingApi, transfer)), ['dailyLimit']);
+    });
+
+    it('holds the reserved amounts until the operation is registered', async () => {
+        const policy = new TransferPolicy({dailyLimit: 100});
+        const ingApi = fakeIngApi();
+        const transfer = {fromAccount: '0000000001', toAccount: 'EXT0000001', amount: 60};
+
+        const [first, second] = await Promise.all([
+            policy.checkTransfer(ingApi, transfer, new Date(), {reserve: true}),
+            policy.checkTransfer(ingApi, transfer, new Date(), {reserve: true})
+        ]);
+        assert.equal(first.allowed, true);
+        assert.deepEqual(rules(second), ['dailyLimit']);
+
+        first.reservation.payload = {amount: 60};
+        ingApi.pendingOperations.create('EXTERNAL_TRANSFER', first.reservation.payload);
+        assert.equal(policy.getDailyTotal(ingApi, new Date()), 60);
+
+        policy.releaseReservation(first.reservation);
+        assert.equal(policy.getDailyTotal(ingApi, new Date()), 60);
+    });
+
+    it('checks the schedule in its time zone', () => {
+        const policy = new TransferPolicy({schedule: [{days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '08:00', to: '20:00'}], timeZone: 'Europe/Paris'});
+
+        assert.equal(policy.checkSchedule(new Date('2024-01-08T10:00:00Z')), null);
+        assert.equal(policy.checkSchedule(new Date('2024-01-08T19:30:00Z')).rule, 'schedule');
+        assert.equal(policy.checkSchedule(new Date('2024-01-07T10:00:00Z')).rule, 'schedule');
+        assert.throws(() => new TransferPolicy({schedule: [{days: ['monday']}]}), /Unknown schedule days/);
+    });
+
+    it('checks the beneficiary additions', () => {
+        const beneficiary = {accountHolderName: 'John Doe', iban: 'FR7630006000011234567890189'};
+
+        assert.equal(new TransferPolicy().checkBeneficiaryAddition(beneficiary).allowed, true);
+        assert.deepEqual(rules(new TransferPolicy({allowBeneficiaryAdditions: false}).checkBeneficiaryAddition(beneficiary)), ['beneficiaryAdditions']);
+        assert.equal(new TransferPolicy({allowedBeneficiaryIbans: ['FR76 3000 6000 0112 3456 7890 189']}).checkBeneficiaryAddition(beneficiary).allowed, true);
+        assert.equal(new TransferPolicy({allowedBeneficiaryIbans: ['FR1420041010050500013M02606']}).checkBeneficiaryAddition(beneficiary).allowed, false);
+    });
+
+    it('throws the refused verdicts', () => {
+        assert.doesNotThrow(() => TransferPolicy.assertAllowed({allowed: true, violations: []}, 'POLICY.TRANSFER_REFUSED'));
+        assert.throws(() => TransferPolicy.assertAllowed({allowed: false, violations: [{rule: 'maxAmount', message: 'Too much'}]}, 'POLICY.TRANSFER_REFUSED'), {
+            code: 'POLICY.TRANSFER_REFUSED',
+            message: 'Too much'
+        });
+    });
+});